@@ -0,0 +1,289 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { postsAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import usePermission from '../hooks/usePermission';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Switch } from '@/components/ui/switch';
+import { Label } from '@/components/ui/label';
+import { Skeleton } from '@/components/ui/skeleton';
+import { MessageSquareText, CheckCircle2, RotateCcw, Trash2, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Characters of context stored around the annotated text
+const CONTEXT_LENGTH = 32;
+
+// Find the annotated text in the editor, preferring occurrences whose context
+// still matches and that are closest to where it was originally
+const locateAnchor = (text, anchor) => {
+  let best = null;
+  let index = text.indexOf(anchor.quote);
+
+  while (index !== -1) {
+    const prefix = text.slice(Math.max(0, index - anchor.prefix.length), index);
+    const suffix = text.slice(index + anchor.quote.length, index + anchor.quote.length + anchor.suffix.length);
+    const score = (prefix === anchor.prefix ? 0 : text.length) +
+      (suffix === anchor.suffix ? 0 : text.length) +
+      Math.abs(index - anchor.start);
+
+    if (!best || score < best.score) {
+      best = { index, score };
+    }
+    index = text.indexOf(anchor.quote, index + 1);
+  }
+
+  return best ? { index: best.index, length: anchor.quote.length } : null;
+};
+
+const AuthorName = ({ user }) => (
+  <span className="font-medium">
+    {user ? `${user.firstName} ${user.lastName}` : 'Unknown'}
+  </span>
+);
+
+const AnnotationThread = ({ annotation, onSelect, onReply, onResolve, onDelete, canDelete, busy }) => {
+  const [reply, setReply] = useState('');
+
+  const submitReply = () => {
+    onReply(annotation._id, reply.trim());
+    setReply('');
+  };
+
+  return (
+    <div className={`space-y-2 p-3 border rounded-lg ${annotation.resolved ? 'opacity-60' : ''}`}>
+      <button
+        type="button"
+        className="block w-full text-left text-xs italic border-l-2 border-yellow-400 pl-2 text-muted-foreground hover:text-foreground line-clamp-2"
+        onClick={() => onSelect(annotation)}
+      >
+        “{annotation.anchor.quote}”
+      </button>
+      {annotation.isOrphaned && (
+        <Badge variant="outline">Text was changed or removed</Badge>
+      )}
+
+      <div className="text-sm">
+        <AuthorName user={annotation.author} />
+        <span className="text-xs text-muted-foreground"> • {new Date(annotation.createdAt).toLocaleString()}</span>
+        <p className="whitespace-pre-wrap mt-1">{annotation.body}</p>
+      </div>
+
+      {annotation.replies.map((item) => (
+        <div key={item._id} className="text-sm pl-3 border-l">
+          <AuthorName user={item.author} />
+          <span className="text-xs text-muted-foreground"> • {new Date(item.createdAt).toLocaleString()}</span>
+          <p className="whitespace-pre-wrap mt-1">{item.body}</p>
+        </div>
+      ))}
+
+      {annotation.resolved ? (
+        <p className="text-xs text-muted-foreground">
+          Resolved by {annotation.resolvedBy?.firstName || 'someone'} {annotation.resolvedAt && `on ${new Date(annotation.resolvedAt).toLocaleDateString()}`}
+        </p>
+      ) : (
+        <Textarea
+          placeholder="Reply…"
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+          rows={2}
+        />
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        {!annotation.resolved && (
+          <Button type="button" size="sm" variant="outline" onClick={submitReply} disabled={busy || !reply.trim()}>
+            Reply
+          </Button>
+        )}
+        <Button type="button" size="sm" variant="ghost" onClick={() => onResolve(annotation._id, !annotation.resolved)} disabled={busy}>
+          {annotation.resolved ? (
+            <>
+              <RotateCcw className="mr-2 h-4 w-4" />
+              Reopen
+            </>
+          ) : (
+            <>
+              <CheckCircle2 className="mr-2 h-4 w-4" />
+              Resolve
+            </>
+          )}
+        </Button>
+        {canDelete && (
+          <Button type="button" size="sm" variant="ghost" onClick={() => onDelete(annotation._id)} disabled={busy}>
+            <Trash2 className="h-4 w-4" />
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Sidebar with private editorial annotations anchored to text of the post
+// `getEditor` returns the post editor handle (getText/setSelection, see PostEditor),
+// `selection` is the last non-empty editor selection. Notes are anchored to the rendered
+// text, so they can't be added or located while the editor is in Markdown mode
+const AnnotationSidebar = ({ postId, getEditor, selection, isMarkdown = false }) => {
+  const { user } = useAuth();
+  const canReview = usePermission('post:review');
+  const [showResolved, setShowResolved] = useState(false);
+  const [body, setBody] = useState('');
+  const queryClient = useQueryClient();
+  const queryKey = ['post-annotations', postId];
+
+  // Fetch annotations
+  const { data: annotationsData, isLoading } = useQuery({
+    queryKey,
+    queryFn: () => postsAPI.getAnnotations(postId),
+    enabled: !!postId,
+  });
+
+  const annotations = (annotationsData?.data?.annotations || [])
+    .filter(annotation => showResolved || !annotation.resolved);
+  const openCount = (annotationsData?.data?.annotations || []).filter(annotation => !annotation.resolved).length;
+
+  const onSuccess = () => queryClient.invalidateQueries(queryKey);
+  const onError = (error) => {
+    toast.error(error.response?.data?.message || 'Failed to update annotations');
+  };
+
+  const createMutation = useMutation({
+    mutationFn: (data) => postsAPI.createAnnotation(postId, data),
+    onSuccess: () => {
+      setBody('');
+      onSuccess();
+    },
+    onError,
+  });
+
+  const replyMutation = useMutation({
+    mutationFn: ({ annotationId, body }) => postsAPI.replyToAnnotation(postId, annotationId, body),
+    onSuccess,
+    onError,
+  });
+
+  const resolveMutation = useMutation({
+    mutationFn: ({ annotationId, resolved }) => resolved
+      ? postsAPI.resolveAnnotation(postId, annotationId)
+      : postsAPI.unresolveAnnotation(postId, annotationId),
+    onSuccess,
+    onError,
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (annotationId) => postsAPI.deleteAnnotation(postId, annotationId),
+    onSuccess,
+    onError,
+  });
+
+  const busy = replyMutation.isLoading || resolveMutation.isLoading || deleteMutation.isLoading;
+
+  const addAnnotation = () => {
+    const editor = getEditor();
+    if (isMarkdown || !editor || !selection || selection.length === 0) return;
+
+    const text = editor.getText();
+    const start = selection.index;
+    const end = selection.index + selection.length;
+
+    createMutation.mutate({
+      body: body.trim(),
+      anchor: {
+        start,
+        end,
+        quote: text.slice(start, end),
+        prefix: text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+        suffix: text.slice(end, end + CONTEXT_LENGTH),
+      },
+    });
+  };
+
+  // Highlight the annotated text by selecting it in the editor
+  const selectAnnotation = (annotation) => {
+    const editor = getEditor();
+    if (!editor) return;
+
+    if (isMarkdown) {
+      toast.error('Switch to the rich editor to find the annotated text');
+      return;
+    }
+
+    const range = locateAnchor(editor.getText(), annotation.anchor);
+    if (range) {
+      editor.setSelection(range.index, range.length);
+    } else {
+      toast.error('The annotated text is no longer in the post');
+    }
+  };
+
+  const hasSelection = !isMarkdown && selection && selection.length > 0;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <MessageSquareText className="h-5 w-5" />
+          Editorial Notes
+          {openCount > 0 && <Badge variant="secondary">{openCount}</Badge>}
+        </CardTitle>
+        <CardDescription>
+          Private notes on the draft, only visible to its writer, editors and reviewers
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-2">
+          <Textarea
+            placeholder={isMarkdown
+              ? 'Switch to the rich editor to comment on text'
+              : hasSelection ? 'Comment on the selected text…' : 'Select text in the editor to comment on it'}
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            rows={3}
+          />
+          <Button
+            type="button"
+            size="sm"
+            onClick={addAnnotation}
+            disabled={!hasSelection || !body.trim() || createMutation.isLoading}
+          >
+            {createMutation.isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Add note
+          </Button>
+        </div>
+
+        <div className="flex items-center justify-between">
+          <Label htmlFor="showResolved" className="text-sm">Show resolved</Label>
+          <Switch id="showResolved" checked={showResolved} onCheckedChange={setShowResolved} />
+        </div>
+
+        {isLoading ? (
+          <div className="space-y-2">
+            <Skeleton className="h-20 w-full" />
+            <Skeleton className="h-20 w-full" />
+          </div>
+        ) : annotations.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No notes yet</p>
+        ) : (
+          <div className="space-y-3">
+            {annotations.map((annotation) => (
+              <AnnotationThread
+                key={annotation._id}
+                annotation={annotation}
+                onSelect={selectAnnotation}
+                onReply={(annotationId, reply) => replyMutation.mutate({ annotationId, body: reply })}
+                onResolve={(annotationId, resolved) => resolveMutation.mutate({ annotationId, resolved })}
+                onDelete={(annotationId) => deleteMutation.mutate(annotationId)}
+                canDelete={annotation.author?._id === user?._id || canReview}
+                busy={busy}
+              />
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AnnotationSidebar;
@@ -0,0 +1,39 @@
+import { Loader2, Cloud, CloudOff } from 'lucide-react';
+
+const formatTime = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Last-saved indicator of the post editor autosave (see useAutosave)
+const AutosaveIndicator = ({ autosave }) => {
+  const { status, lastSavedAt } = autosave;
+
+  if (status === 'saving') {
+    return (
+      <span className="flex items-center gap-1 text-xs text-muted-foreground" aria-live="polite">
+        <Loader2 className="h-3 w-3 animate-spin" />
+        Saving draft...
+      </span>
+    );
+  }
+
+  if (status === 'saved') {
+    return (
+      <span className="flex items-center gap-1 text-xs text-muted-foreground" aria-live="polite">
+        <Cloud className="h-3 w-3" />
+        Draft saved at {formatTime(lastSavedAt)}
+      </span>
+    );
+  }
+
+  if (status === 'local') {
+    return (
+      <span className="flex items-center gap-1 text-xs text-amber-600" aria-live="polite">
+        <CloudOff className="h-3 w-3" />
+        Saved on this device at {formatTime(lastSavedAt)}, will sync when back online
+      </span>
+    );
+  }
+
+  return null;
+};
+
+export default AutosaveIndicator;
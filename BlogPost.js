@@ -1,6 +1,28 @@
 const mongoose = require('mangoose');
 //openings 
 const slugify - require('slugify');
+const Tag = require('./Tag');
+const { renderContent } = require('../utils/contentRenderer');
+const { toPlainText } = require('../utils/diff');
+const { applyCursor } = require('../utils/pagination');
+
+// Statuses of the editorial review workflow; only the review endpoints move posts into them
+const REVIEW_STATUSES = ['in_review', 'changes_requested'];
+
+// Version of the content renderer; bump it when rendering changes so stored posts are
+// rendered again at startup (2: bare links to supported sites become embeds)
+const RENDER_VERSION = 2;
+
+// Credits a co-author can have on a post
+const CO_AUTHOR_ROLES = ['writer', 'editor', 'photographer'];
+
+// Allowed moves through the review workflow (from -> to)
+const REVIEW_TRANSITIONS = {
+  submit: { from: ['draft', 'changes_requested'], to: 'in_review' },
+  approve: { from: ['in_review'], to: 'published' },
+  request_changes: { from: ['in_review'], to: 'changes_requested' }
+};
+
 const blogPostSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -14,10 +36,26 @@ const blogPostSchema = new mongoose.Schema({
     lowercase: true,
     index: true
   },
+  // Source as written (Markdown or HTML, see isMarkdown)
   content: {
     type: String,
     required: [true, 'Content is required']
   },
+  // Sanitized HTML rendered from the source; this is what readers and feeds get
+  renderedHtml: {
+    type: String,
+    default: ''
+  },
+  // Table of contents from the rendered h2-h4 headings: [{ id, text, level, children }]
+  toc: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // RENDER_VERSION that renderedHtml and toc were produced with
+  renderVersion: {
+    type: Number,
+    default: null
+  },
   excerpt: {
     type: String,
     maxlength: [500, 'Excerpt cannot exceed 500 characters'],
@@ -29,12 +67,55 @@ const blogPostSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Additional credited people, listed in `order` after the main author
+  coAuthors: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: CO_AUTHOR_ROLES,
+      default: 'writer'
+    },
+    order: {
+      type: Number,
+      default: 0
+    }
+  }],
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: ['draft', 'in_review', 'changes_requested', 'published', 'archived'],
     default: 'draft',
     index: true
   },
+  submittedForReviewAt: {
+    type: Date,
+    default: null
+  },
+  reviewHistory: [{
+    action: {
+      type: String,
+      enum: Object.keys(REVIEW_TRANSITIONS),
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    note: {
+      type: String,
+      maxlength: [2000, 'Review note cannot exceed 2000 characters'],
+      default: ''
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   featuredImage: {
     url: { type: String, default: '' },
     publicId: { type: String, default: '' },
@@ -53,9 +134,12 @@ const blogPostSchema = new mongoose.Schema({
     maxlength: [50, 'Tag cannot exceed 50 characters']
   }],
   categories: [{
-    type: String,
-    trim: true,
-    maxlength: [100, 'Category cannot exceed 100 characters']
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Lowercase words of the title, for prefix lookups (search suggestions)
+  titleWords: [{
+    type: String
   }],
   readTime: {
     type: Number,
@@ -114,16 +198,28 @@ const blogPostSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 blogPostSchema.index({ author: 1, status: 1 });
+blogPostSchema.index({ 'coAuthors.user': 1, status: 1 });
 blogPostSchema.index({ tags: 1 });
 blogPostSchema.index({ categories: 1 });
 blogPostSchema.index({ publishedAt: -1 });
+blogPostSchema.index({ status: 1, scheduledAt: 1 });
+blogPostSchema.index({ status: 1, submittedForReviewAt: 1 });
 blogPostSchema.index({ views: -1 });
 blogPostSchema.index({ 'likes.user': 1 });
 blogPostSchema.index({ title: 'text', content: 'text', tags: 'text' });
+blogPostSchema.index({ titleWords: 1, status: 1 });
+
+// Split a title into the lowercase words stored in `titleWords`
+const toTitleWords = (title = '') => [...new Set(title.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])];
+
+// Read time in minutes of rendered content (average 200 words per minute)
+const toReadTime = (html) => Math.ceil(toPlainText(html).split(' ').filter(Boolean).length / 200);
 
 // Generate slug before saving
 blogPostSchema.pre('save', async function(next) {
   if (this.isModified('title')) {
+    this.titleWords = toTitleWords(this.title);
+
     let baseSlug = slugify(this.title, {
       lower: true,
       strict: true,
@@ -142,10 +238,23 @@ blogPostSchema.pre('save', async function(next) {
     this.slug = slug;
   }
   
-  // Calculate read time (average 200 words per minute)
-  if (this.isModified('content')) {
-    const wordCount = this.content.split(/\s+/).length;
-    this.readTime = Math.ceil(wordCount / 200);
+  // Keep co-authors in byline order
+  if (this.isModified('coAuthors')) {
+    this.coAuthors.sort((a, b) => a.order - b.order);
+  }
+
+  // Apply tag aliases (e.g. "node-js" -> "nodejs") and drop duplicates
+  if (this.isModified('tags')) {
+    this.tags = await Tag.canonicalize(this.tags);
+  }
+
+  // Re-render the source and update the read time
+  if (this.isModified('content') || this.isModified('isMarkdown')) {
+    const { html, toc } = renderContent(this.content, { isMarkdown: this.isMarkdown });
+    this.renderedHtml = html;
+    this.toc = toc;
+    this.renderVersion = RENDER_VERSION;
+    this.readTime = toReadTime(this.renderedHtml);
     this.lastModified = new Date();
   }
   
@@ -156,18 +265,58 @@ blogPostSchema.pre('save', async function(next) {
   
   // Generate excerpt if not provided
   if (this.isModified('content') && !this.excerpt) {
-    // Remove HTML tags and get first 150 characters
-    const plainText = this.content.replace(/<[^>]*>/g, '');
+    // Use the rendered text so Markdown syntax doesn't end up in the excerpt
+    const plainText = toPlainText(this.renderedHtml);
     this.excerpt = plainText.substring(0, 150) + (plainText.length > 150 ? '...' : '');
   }
   
   next();
 });
 
+// Apply tag aliases and title words to updates (e.g. findByIdAndUpdate)
+blogPostSchema.pre('findOneAndUpdate', async function(next) {
+  const update = this.getUpdate();
+  const target = update.$set && update.$set.tags !== undefined ? update.$set : update;
+
+  if (Array.isArray(target.tags)) {
+    target.tags = await Tag.canonicalize(target.tags);
+  }
+
+  // Keep title words in sync with a new title
+  const titleTarget = update.$set && update.$set.title !== undefined ? update.$set : update;
+  if (typeof titleTarget.title === 'string') {
+    titleTarget.titleWords = toTitleWords(titleTarget.title);
+  }
+
+  // Re-render when the source or its format changes, reading the other from the post if needed
+  const contentTarget = update.$set && (update.$set.content !== undefined || update.$set.isMarkdown !== undefined)
+    ? update.$set
+    : update;
+  if (contentTarget.content !== undefined || contentTarget.isMarkdown !== undefined) {
+    const current = contentTarget.content === undefined || contentTarget.isMarkdown === undefined
+      ? await this.model.findOne(this.getQuery()).select('content isMarkdown').lean()
+      : null;
+    const content = contentTarget.content !== undefined ? contentTarget.content : current && current.content;
+    const isMarkdown = contentTarget.isMarkdown !== undefined ? contentTarget.isMarkdown : !!(current && current.isMarkdown);
+
+    if (typeof content === 'string') {
+      const { html, toc } = renderContent(content, { isMarkdown });
+      contentTarget.renderedHtml = html;
+      contentTarget.toc = toc;
+      contentTarget.renderVersion = RENDER_VERSION;
+      contentTarget.readTime = toReadTime(contentTarget.renderedHtml);
+      contentTarget.lastModified = new Date();
+    }
+  }
+
+  next();
+});
+
 // Instance method to increment views
+// Views and likes don't touch `updatedAt`, which feeds and draft recovery read as the last edit
 blogPostSchema.methods.incrementViews = function() {
   this.views += 1;
-  return this.save();
+  return this.save({ timestamps: false });
 };
 
 // Instance method to toggle like
@@ -182,12 +331,44 @@ blogPostSchema.methods.toggleLike = function(userId) {
     this.likes.push({ user: userId });
   }
   
-  return this.save();
+  return this.save({ timestamps: false });
+};
+
+// Instance method to check whether a review action is allowed from the current status
+blogPostSchema.methods.canTransition = function(action) {
+  const transition = REVIEW_TRANSITIONS[action];
+  return !!transition && transition.from.includes(this.status);
+};
+
+// Instance method to apply a review action and record it in the history
+// The caller checks canTransition() and saves the document
+blogPostSchema.methods.applyReviewAction = function(action, userId, note = '') {
+  this.status = REVIEW_TRANSITIONS[action].to;
+
+  // Approved posts with a future publication date wait for the scheduler;
+  // a schedule that has already passed is done with
+  if (action === 'approve' && this.scheduledAt) {
+    if (this.scheduledAt > new Date()) {
+      this.status = 'draft';
+    } else {
+      this.scheduledAt = null;
+    }
+  }
+
+  if (action === 'submit') {
+    this.submittedForReviewAt = new Date();
+  }
+  this.reviewHistory.push({ action, user: userId, note });
 };
 
 // Instance method to get public data
-blogPostSchema.methods.getPublicData = function() {
+// The raw `content` source is left out unless `includeContent` is set (for users who can
+// edit the post); readers get the sanitized `renderedHtml`
+blogPostSchema.methods.getPublicData = function({ includeContent = false } = {}) {
   const postObject = this.toObject();
+  if (!includeContent) {
+    delete postObject.content;
+  }
   return {
     ...postObject,
     likesCount: this.likes.length,
@@ -195,12 +376,57 @@ blogPostSchema.methods.getPublicData = function() {
   };
 };
 
+// Static method to fill `titleWords` on posts saved before it existed
+blogPostSchema.statics.syncTitleWords = async function() {
+  const posts = await this.find({ titleWords: { $exists: false } }).select('title').lean();
+  if (posts.length === 0) return 0;
+
+  await this.bulkWrite(posts.map(post => ({
+    updateOne: {
+      filter: { _id: post._id },
+      update: { $set: { titleWords: toTitleWords(post.title) } }
+    }
+  })));
+
+  return posts.length;
+};
+
+// Static method to render posts saved before `renderedHtml` existed or with an older renderer
+// Content saved before `renderedHtml` was stored as sanitized HTML (even when written
+// in Markdown), so it is rendered and from now on edited as HTML
+blogPostSchema.statics.syncRenderedHtml = async function() {
+  const posts = await this.find({ renderVersion: { $ne: RENDER_VERSION } })
+    .select('content isMarkdown renderedHtml')
+    .lean();
+  if (posts.length === 0) return 0;
+
+  await this.bulkWrite(posts.map(post => {
+    const isMarkdown = post.renderedHtml !== undefined && !!post.isMarkdown;
+    const { html, toc } = renderContent(post.content, { isMarkdown });
+    return {
+      updateOne: {
+        filter: { _id: post._id },
+        update: { $set: { renderedHtml: html, toc, isMarkdown, renderVersion: RENDER_VERSION, readTime: toReadTime(html) } }
+      }
+    };
+  }));
+
+  return posts.length;
+};
+
+blogPostSchema.statics.toTitleWords = toTitleWords;
+
+// Static method to build a query for posts by a user, as main author or co-author
+blogPostSchema.statics.authoredBy = function(userId) {
+  return { $or: [{ author: userId }, { 'coAuthors.user': userId }] };
+};
+
 // Static method to find published posts
 blogPostSchema.statics.findPublished = function(options = {}) {
   const query = { status: 'published', publishedAt: { $lte: new Date() } };
   
   if (options.author) {
-    query.author = options.author;
+    Object.assign(query, this.authoredBy(options.author));
   }
   
   if (options.tags && options.tags.length > 0) {
@@ -217,24 +443,41 @@ blogPostSchema.statics.findPublished = function(options = {}) {
   
   return this.find(query)
     .populate('author', 'username firstName lastName avatar')
+    .populate('coAuthors.user', 'username firstName lastName avatar')
+    .populate('categories', 'name slug')
     .sort(options.sort || { publishedAt: -1 });
 };
 
 // Static method to get popular posts
-blogPostSchema.statics.findPopular = function(limit = 10) {
-  return this.find({ status: 'published', publishedAt: { $lte: new Date() } })
+// `after` is a decoded cursor to continue after
+blogPostSchema.statics.findPopular = function(limit = 10, after = null) {
+  const query = { status: 'published', publishedAt: { $lte: new Date() } };
+  if (after) applyCursor(query, 'views', -1, after);
+
+  return this.find(query)
     .populate('author', 'username firstName lastName avatar')
-    .sort({ views: -1, publishedAt: -1 })
+    .populate('coAuthors.user', 'username firstName lastName avatar')
+    .populate('categories', 'name slug')
+    .sort({ views: -1, _id: -1 })
     .limit(limit);
 };
 
 // Static method to get recent posts
-blogPostSchema.statics.findRecent = function(limit = 10) {
-  return this.find({ status: 'published', publishedAt: { $lte: new Date() } })
+// `after` is a decoded cursor to continue after
+blogPostSchema.statics.findRecent = function(limit = 10, after = null) {
+  const query = { status: 'published', publishedAt: { $lte: new Date() } };
+  if (after) applyCursor(query, 'publishedAt', -1, after);
+
+  return this.find(query)
     .populate('author', 'username firstName lastName avatar')
-    .sort({ publishedAt: -1 })
+    .populate('coAuthors.user', 'username firstName lastName avatar')
+    .populate('categories', 'name slug')
+    .sort({ publishedAt: -1, _id: -1 })
     .limit(limit);
 };
 
+blogPostSchema.statics.REVIEW_STATUSES = REVIEW_STATUSES;
+blogPostSchema.statics.CO_AUTHOR_ROLES = CO_AUTHOR_ROLES;
+
 module.exports = mongoose.model('BlogPost', blogPostSchema);
 
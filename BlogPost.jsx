@@ -3,6 +3,9 @@ import { useParams, Link } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useAuth } from '../contexts/AuthContext';
 import { postsAPI, commentsAPI, analyticsAPI } from '../services/api';
+import SeriesNavigator from '../components/SeriesNavigator';
+import RelatedPosts from '../components/RelatedPosts';
+import TableOfContents from '../components/TableOfContents';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Textarea } from '@/components/ui/textarea';
@@ -53,6 +56,9 @@ const BlogPost = () => {
   });
 
   const post = postData?.data?.post;
+  const coAuthors = [...(post?.coAuthors || [])]
+    .filter((coAuthor) => coAuthor.user)
+    .sort((a, b) => a.order - b.order);
   const comments = commentsData?.data?.comments || [];
 
   // Track view
@@ -230,9 +236,11 @@ const BlogPost = () => {
         <header className="space-y-4">
           <div className="flex flex-wrap gap-2">
             {post.categories?.map((category) => (
-              <Badge key={category} variant="secondary">
-                {category}
-              </Badge>
+              <Link key={category._id} to={`/category/${category.slug}`}>
+                <Badge variant="secondary">
+                  {category.name}
+                </Badge>
+              </Link>
             ))}
           </div>
 
@@ -244,15 +252,33 @@ const BlogPost = () => {
 
           <div className="flex items-center justify-between flex-wrap gap-4">
             <div className="flex items-center gap-4">
-              <Avatar>
-                <AvatarImage src={post.author?.avatar} />
-                <AvatarFallback>
-                  {getInitials(post.author?.firstName + ' ' + post.author?.lastName)}
-                </AvatarFallback>
-              </Avatar>
+              <div className="flex -space-x-2">
+                {[post.author, ...coAuthors.map((coAuthor) => coAuthor.user)].map((person, index) => (
+                  <Avatar key={person?._id || index} className="border-2 border-background">
+                    <AvatarImage src={person?.avatar} />
+                    <AvatarFallback>
+                      {getInitials(person?.firstName + ' ' + person?.lastName)}
+                    </AvatarFallback>
+                  </Avatar>
+                ))}
+              </div>
               <div>
                 <p className="font-medium">
                   {post.author?.firstName} {post.author?.lastName}
+                  {coAuthors.length > 0 && (
+                    <span className="font-normal text-muted-foreground">
+                      {' with '}
+                      {coAuthors.map((coAuthor, index) => (
+                        <span key={coAuthor.user?._id || index}>
+                          {index > 0 && (index === coAuthors.length - 1 ? ' and ' : ', ')}
+                          <span className="font-medium text-foreground">
+                            {coAuthor.user?.firstName} {coAuthor.user?.lastName}
+                          </span>
+                          {coAuthor.role !== 'writer' && ` (${coAuthor.role})`}
+                        </span>
+                      ))}
+                    </span>
+                  )}
                 </p>
                 <div className="flex items-center gap-2 text-sm text-muted-foreground">
                   <Calendar className="h-3 w-3" />
@@ -296,19 +322,29 @@ const BlogPost = () => {
           </div>
         )}
 
-        {/* Post Content */}
-        <div 
-          className="prose prose-lg dark:prose-invert max-w-none"
-          dangerouslySetInnerHTML={{ __html: post.content }}
-        />
+        {/* Series Navigator */}
+        {post.series && (
+          <SeriesNavigator series={post.series} postId={post._id} />
+        )}
+
+        {/* Post Content (the sidebar table of contents is positioned next to it) */}
+        <div className="relative space-y-6">
+          <TableOfContents toc={post.toc} />
+          <div 
+            className="prose prose-lg dark:prose-invert max-w-none"
+            dangerouslySetInnerHTML={{ __html: post.renderedHtml }}
+          />
+        </div>
 
         {/* Tags */}
         {post.tags && post.tags.length > 0 && (
           <div className="flex flex-wrap gap-2 pt-6">
             {post.tags.map((tag) => (
-              <Badge key={tag} variant="outline">
-                #{tag}
-              </Badge>
+              <Link key={tag} to={`/tag/${encodeURIComponent(tag)}`}>
+                <Badge variant="outline">
+                  #{tag}
+                </Badge>
+              </Link>
             ))}
           </div>
         )}
@@ -531,6 +567,8 @@ const BlogPost = () => {
             </div>
           )}
         </section>
+
+        <RelatedPosts postId={post._id} />
       </article>
     </div>
   );
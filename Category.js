@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+
+// Post categories, nested through `parent`
+// `ancestors` lists the parent chain from the root so a category's descendants
+// can be found with a single query
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+  coverImage: {
+    url: { type: String, default: '' },
+    publicId: { type: String, default: '' },
+    alt: { type: String, default: '' }
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+categorySchema.index({ ancestors: 1 });
+
+// Generate slug and ancestor chain before saving
+categorySchema.pre('save', async function(next) {
+  if (this.isModified('name') || !this.slug) {
+    const baseSlug = slugify(this.name, {
+      lower: true,
+      strict: true,
+      remove: /[*+~.()'"!:@]/g
+    });
+
+    let slug = baseSlug;
+    let counter = 1;
+
+    // Ensure slug is unique
+    while (await this.constructor.findOne({ slug, _id: { $ne: this._id } })) {
+      slug = `${baseSlug}-${counter}`;
+      counter++;
+    }
+
+    this.slug = slug;
+  }
+
+  if (this.isModified('parent')) {
+    const parent = this.parent ? await this.constructor.findById(this.parent).select('ancestors') : null;
+    this.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+  }
+
+  next();
+});
+
+// Instance method to check whether a category is this one or below it
+categorySchema.methods.isAncestorOf = function(category) {
+  return category._id.equals(this._id) ||
+    category.ancestors.some(ancestor => ancestor.equals(this._id));
+};
+
+// Static method to recompute the ancestor chains below a category (after it moved)
+categorySchema.statics.rebuildDescendants = async function(category) {
+  const children = await this.find({ parent: category._id });
+
+  for (const child of children) {
+    child.ancestors = [...category.ancestors, category._id];
+    await child.save();
+    await this.rebuildDescendants(child);
+  }
+};
+
+// Static method to get the IDs of categories and all their descendants
+categorySchema.statics.findDescendantIds = async function(categoryIds) {
+  const categories = await this.find({
+    $or: [{ _id: { $in: categoryIds } }, { ancestors: { $in: categoryIds } }]
+  }).select('_id');
+
+  return categories.map(category => category._id);
+};
+
+// Static method to find categories given as IDs or slugs
+categorySchema.statics.findByIdsOrSlugs = function(values) {
+  const ids = values.filter(value => mongoose.Types.ObjectId.isValid(value));
+  return this.find({ $or: [{ _id: { $in: ids } }, { slug: { $in: values.map(String) } }] });
+};
+
+// Static method to find a category by name (compared by slug, so case and spacing
+// differences match) or create it
+categorySchema.statics.findOrCreateByName = async function(name) {
+  const slug = slugify(name, {
+    lower: true,
+    strict: true,
+    remove: /[*+~.()'"!:@]/g
+  });
+
+  return (await this.findOne({ slug })) || this.create({ name });
+};
+
+// Static method to list all categories in display order
+categorySchema.statics.findSorted = function() {
+  return this.find().sort({ sortOrder: 1, name: 1 });
+};
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,204 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { postsAPI } from '../services/api';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Skeleton } from '@/components/ui/skeleton';
+import { ChevronLeft, ChevronRight, Eye, Heart, FolderOpen } from 'lucide-react';
+
+const POSTS_PER_PAGE = 10;
+
+// Archive page of a category: breadcrumb, description, subcategories and its posts
+// (including posts filed under subcategories)
+const CategoryArchive = () => {
+  const { slug } = useParams();
+  const [page, setPage] = useState(1);
+
+  useEffect(() => {
+    setPage(1);
+  }, [slug]);
+
+  const { data: categoryData, isLoading: categoryLoading, error } = useQuery({
+    queryKey: ['category', slug],
+    queryFn: () => postsAPI.getCategory(slug),
+    enabled: !!slug,
+  });
+
+  const { data: postsData, isLoading: postsLoading } = useQuery({
+    queryKey: ['posts', { categories: slug, page }],
+    queryFn: () => postsAPI.getPosts({
+      categories: slug,
+      status: 'published',
+      page,
+      limit: POSTS_PER_PAGE,
+    }),
+    enabled: !!slug,
+  });
+
+  const category = categoryData?.data?.category;
+  const children = categoryData?.data?.children || [];
+  const posts = postsData?.data?.posts || [];
+  const pagination = postsData?.data?.pagination;
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  if (categoryLoading) {
+    return (
+      <div className="container mx-auto px-4 py-8 max-w-4xl">
+        <div className="space-y-6">
+          <Skeleton className="h-4 w-48" />
+          <Skeleton className="h-12 w-1/2" />
+          <Skeleton className="h-6 w-full" />
+          <Skeleton className="h-32 w-full" />
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !category) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <Alert variant="destructive">
+          <AlertDescription>
+            {error?.response?.data?.message || 'Category not found'}
+          </AlertDescription>
+        </Alert>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-4xl">
+      <header className="space-y-4 mb-8">
+        {/* Breadcrumb */}
+        <nav className="flex flex-wrap items-center gap-1 text-sm text-muted-foreground">
+          <Link to="/" className="hover:text-foreground">Blog</Link>
+          {category.ancestors.map((ancestor) => (
+            <span key={ancestor._id} className="flex items-center gap-1">
+              <ChevronRight className="h-3 w-3" />
+              <Link to={`/category/${ancestor.slug}`} className="hover:text-foreground">
+                {ancestor.name}
+              </Link>
+            </span>
+          ))}
+          <ChevronRight className="h-3 w-3" />
+          <span className="text-foreground">{category.name}</span>
+        </nav>
+
+        {category.coverImage?.url && (
+          <div className="aspect-[3/1] overflow-hidden rounded-lg">
+            <img
+              src={category.coverImage.url}
+              alt={category.coverImage.alt || category.name}
+              className="w-full h-full object-cover"
+            />
+          </div>
+        )}
+
+        <h1 className="text-4xl font-bold flex items-center gap-3">
+          <FolderOpen className="h-8 w-8 text-muted-foreground" />
+          {category.name}
+        </h1>
+        {category.description && (
+          <p className="text-xl text-muted-foreground">{category.description}</p>
+        )}
+
+        {children.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {children.map((child) => (
+              <Link key={child._id} to={`/category/${child.slug}`}>
+                <Badge variant="outline">{child.name}</Badge>
+              </Link>
+            ))}
+          </div>
+        )}
+      </header>
+
+      {postsLoading ? (
+        <div className="space-y-4">
+          {Array.from({ length: 3 }).map((_, index) => (
+            <Skeleton key={index} className="h-32 w-full" />
+          ))}
+        </div>
+      ) : posts.length === 0 ? (
+        <p className="text-center text-muted-foreground py-12">No posts in this category yet</p>
+      ) : (
+        <div className="space-y-4">
+          {posts.map((post) => (
+            <Card key={post._id}>
+              <CardContent className="p-6 space-y-3">
+                <div className="flex flex-wrap gap-2">
+                  {post.categories?.map((postCategory) => (
+                    <Link key={postCategory._id} to={`/category/${postCategory.slug}`}>
+                      <Badge variant={postCategory.slug === slug ? 'default' : 'secondary'} className="text-xs">
+                        {postCategory.name}
+                      </Badge>
+                    </Link>
+                  ))}
+                </div>
+                <h2 className="text-xl font-bold">
+                  <Link to={`/post/${post.slug}`} className="hover:text-primary transition-colors">
+                    {post.title}
+                  </Link>
+                </h2>
+                {post.excerpt && (
+                  <p className="text-muted-foreground line-clamp-2">{post.excerpt}</p>
+                )}
+                <div className="flex items-center justify-between text-sm">
+                  <div className="flex items-center gap-2">
+                    <Avatar className="h-6 w-6">
+                      <AvatarImage src={post.author?.avatar} />
+                      <AvatarFallback className="text-xs">
+                        {post.author?.firstName?.[0]}{post.author?.lastName?.[0]}
+                      </AvatarFallback>
+                    </Avatar>
+                    <span className="font-medium">{post.author?.firstName} {post.author?.lastName}</span>
+                    <span className="text-muted-foreground">• {formatDate(post.publishedAt || post.createdAt)}</span>
+                  </div>
+                  <div className="flex items-center gap-3 text-muted-foreground">
+                    <span className="flex items-center gap-1">
+                      <Eye className="h-3 w-3" />
+                      {post.views || 0}
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <Heart className="h-3 w-3" />
+                      {post.likesCount || 0}
+                    </span>
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-between pt-6">
+          <p className="text-sm text-muted-foreground">
+            Page {pagination.current} of {pagination.pages}
+          </p>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => setPage(page + 1)} disabled={page >= pagination.pages}>
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CategoryArchive;
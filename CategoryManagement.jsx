@@ -0,0 +1,257 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { adminAPI } from '../services/api';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import { FolderTree, Pencil, Trash2, Plus, Save, X, DatabaseZap, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const EMPTY_FORM = {
+  name: '',
+  parent: '',
+  description: '',
+  coverImageUrl: '',
+  coverImageAlt: '',
+  sortOrder: 0,
+};
+
+const CategoryManagement = () => {
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const queryClient = useQueryClient();
+
+  // Fetch the category tree
+  const { data: categoriesData, isLoading } = useQuery({
+    queryKey: ['admin-categories'],
+    queryFn: () => adminAPI.getCategories(),
+  });
+
+  const categories = categoriesData?.data?.categories || [];
+  const editing = categories.find((category) => category._id === editingId);
+
+  // A category can't be moved below itself or one of its subcategories
+  const parentOptions = categories.filter((category) =>
+    !editing || (category._id !== editing._id && !category.ancestors.includes(editing._id))
+  );
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const onSuccess = (message) => (response) => {
+    toast.success(message || response.message);
+    queryClient.invalidateQueries(['admin-categories']);
+    queryClient.invalidateQueries(['categories']);
+    resetForm();
+  };
+
+  const onError = (error) => {
+    toast.error(error.response?.data?.message || 'Failed to update categories');
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => editingId
+      ? adminAPI.updateCategory(editingId, data)
+      : adminAPI.createCategory(data),
+    onSuccess: onSuccess(),
+    onError,
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (categoryId) => adminAPI.deleteCategory(categoryId),
+    onSuccess: onSuccess(),
+    onError,
+  });
+
+  const migrateMutation = useMutation({
+    mutationFn: () => adminAPI.migrateCategories(),
+    onSuccess: (response) => {
+      const { categoriesCreated, postsUpdated } = response.data;
+      onSuccess(`Created ${categoriesCreated} categories and updated ${postsUpdated} posts`)(response);
+    },
+    onError,
+  });
+
+  const startEditing = (category) => {
+    setEditingId(category._id);
+    setForm({
+      name: category.name,
+      parent: category.parent || '',
+      description: category.description || '',
+      coverImageUrl: category.coverImage?.url || '',
+      coverImageAlt: category.coverImage?.alt || '',
+      sortOrder: category.sortOrder || 0,
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      toast.error('Name is required');
+      return;
+    }
+
+    saveMutation.mutate({
+      name: form.name.trim(),
+      parent: form.parent || null,
+      description: form.description.trim(),
+      coverImage: { url: form.coverImageUrl.trim(), alt: form.coverImageAlt.trim() },
+      sortOrder: parseInt(form.sortOrder) || 0,
+    });
+  };
+
+  const handleDelete = (category) => {
+    if (window.confirm(`Delete "${category.name}"? Its subcategories move up one level and its posts keep their other categories.`)) {
+      deleteMutation.mutate(category._id);
+    }
+  };
+
+  const setField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold flex items-center gap-2">
+            <FolderTree className="h-7 w-7" />
+            Categories
+          </h1>
+          <p className="text-muted-foreground">Organize posts into nested categories</p>
+        </div>
+        <Button
+          variant="outline"
+          onClick={() => migrateMutation.mutate()}
+          disabled={migrateMutation.isLoading}
+        >
+          {migrateMutation.isLoading ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <DatabaseZap className="mr-2 h-4 w-4" />}
+          Import legacy categories
+        </Button>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-3">
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle>All categories</CardTitle>
+            <CardDescription>Post counts include subcategories</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {isLoading ? (
+              Array.from({ length: 5 }).map((_, index) => <Skeleton key={index} className="h-12" />)
+            ) : categories.length === 0 ? (
+              <p className="text-sm text-muted-foreground text-center py-6">No categories yet</p>
+            ) : (
+              categories.map((category) => (
+                <div
+                  key={category._id}
+                  className={`flex items-center justify-between p-3 border rounded-lg ${category._id === editingId ? 'border-primary' : ''}`}
+                  style={{ marginLeft: `${category.depth * 1.5}rem` }}
+                >
+                  <div>
+                    <Link to={`/category/${category.slug}`} className="font-medium text-sm hover:underline">
+                      {category.name}
+                    </Link>
+                    <p className="text-xs text-muted-foreground">/{category.slug}</p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <Badge variant="secondary">{category.totalPostCount} posts</Badge>
+                    <Button variant="ghost" size="icon" onClick={() => startEditing(category)}>
+                      <Pencil className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleDelete(category)}
+                      disabled={deleteMutation.isLoading}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+              ))
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>{editing ? `Edit "${editing.name}"` : 'New category'}</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="name">Name *</Label>
+                <Input id="name" value={form.name} onChange={setField('name')} />
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="parent">Parent</Label>
+                <select
+                  id="parent"
+                  className="h-9 w-full rounded-md border border-input bg-background px-3 text-sm"
+                  value={form.parent}
+                  onChange={setField('parent')}
+                >
+                  <option value="">None (top level)</option>
+                  {parentOptions.map((category) => (
+                    <option key={category._id} value={category._id}>
+                      {'  '.repeat(category.depth)}{category.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="description">Description</Label>
+                <Textarea id="description" value={form.description} onChange={setField('description')} />
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="coverImageUrl">Cover image URL</Label>
+                <Input id="coverImageUrl" value={form.coverImageUrl} onChange={setField('coverImageUrl')} />
+                <Input
+                  placeholder="Alt text"
+                  value={form.coverImageAlt}
+                  onChange={setField('coverImageAlt')}
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="sortOrder">Sort order</Label>
+                <Input id="sortOrder" type="number" value={form.sortOrder} onChange={setField('sortOrder')} />
+                <p className="text-xs text-muted-foreground">Lower numbers are listed first</p>
+              </div>
+
+              <div className="flex gap-2">
+                <Button type="submit" disabled={saveMutation.isLoading}>
+                  {saveMutation.isLoading ? (
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  ) : editing ? (
+                    <Save className="mr-2 h-4 w-4" />
+                  ) : (
+                    <Plus className="mr-2 h-4 w-4" />
+                  )}
+                  {editing ? 'Save' : 'Create'}
+                </Button>
+                {editing && (
+                  <Button type="button" variant="ghost" onClick={resetForm}>
+                    <X className="mr-2 h-4 w-4" />
+                    Cancel
+                  </Button>
+                )}
+              </div>
+            </form>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default CategoryManagement;
@@ -0,0 +1,54 @@
+import { useQuery } from '@tanstack/react-query';
+import { postsAPI } from '../services/api';
+import { Skeleton } from '@/components/ui/skeleton';
+
+// Checkbox list of the category tree; `value` is the array of selected category IDs
+const CategorySelect = ({ value, onChange }) => {
+  const { data: categoriesData, isLoading } = useQuery({
+    queryKey: ['categories'],
+    queryFn: () => postsAPI.getCategories(),
+  });
+
+  const categories = categoriesData?.data?.categories || [];
+
+  const toggle = (categoryId) => {
+    onChange(value.includes(categoryId)
+      ? value.filter((id) => id !== categoryId)
+      : [...value, categoryId]);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="space-y-2">
+        <Skeleton className="h-5 w-3/4" />
+        <Skeleton className="h-5 w-1/2" />
+      </div>
+    );
+  }
+
+  if (categories.length === 0) {
+    return <p className="text-sm text-muted-foreground">No categories yet</p>;
+  }
+
+  return (
+    <div className="space-y-1 max-h-64 overflow-y-auto">
+      {categories.map((category) => (
+        <label
+          key={category._id}
+          className="flex items-center gap-2 text-sm cursor-pointer"
+          style={{ paddingLeft: `${category.depth * 1.25}rem` }}
+        >
+          <input
+            type="checkbox"
+            className="h-4 w-4 rounded border-input"
+            checked={value.includes(category._id)}
+            onChange={() => toggle(category._id)}
+          />
+          {category.name}
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default CategorySelect;
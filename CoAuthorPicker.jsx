@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { searchAPI } from '../services/api';
+import useDebounce from '../hooks/useDebounce';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Users, ArrowUp, ArrowDown, X, Loader2 } from 'lucide-react';
+
+const CO_AUTHOR_ROLES = ['writer', 'editor', 'photographer'];
+
+const MIN_QUERY_LENGTH = 2;
+
+const displayName = (user) => [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username;
+
+// Credit co-authors of a post, in order, each with a role
+// `value` is a list of { user, role } with populated users; `authorId` is the main
+// author, who can't be added. Send it as [{ user: id, role, order }].
+const CoAuthorPicker = ({ value, onChange, authorId }) => {
+  const [query, setQuery] = useState('');
+  const debouncedQuery = useDebounce(query.trim());
+
+  const { data, isFetching } = useQuery({
+    queryKey: ['user-search', debouncedQuery],
+    queryFn: () => searchAPI.users({ q: debouncedQuery }),
+    enabled: debouncedQuery.length >= MIN_QUERY_LENGTH,
+    keepPreviousData: true,
+  });
+
+  const selectedIds = new Set([authorId, ...value.map((coAuthor) => coAuthor.user._id)].filter(Boolean));
+  const results = debouncedQuery.length >= MIN_QUERY_LENGTH
+    ? (data?.data?.users || []).filter((user) => !selectedIds.has(user._id))
+    : [];
+
+  const add = (user) => {
+    onChange([...value, { user, role: 'writer' }]);
+    setQuery('');
+  };
+
+  const update = (index, changes) => {
+    onChange(value.map((coAuthor, i) => (i === index ? { ...coAuthor, ...changes } : coAuthor)));
+  };
+
+  const move = (index, offset) => {
+    const next = [...value];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  const remove = (index) => {
+    onChange(value.filter((_, i) => i !== index));
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Users className="h-5 w-5" />
+          Co-authors
+        </CardTitle>
+        <CardDescription>
+          Credited after you, in this order
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {value.length > 0 && (
+          <ol className="space-y-2">
+            {value.map((coAuthor, index) => (
+              <li key={coAuthor.user._id} className="flex items-center gap-2">
+                <span className="flex-1 truncate text-sm">{displayName(coAuthor.user)}</span>
+                <select
+                  className="h-8 rounded-md border border-input bg-background px-2 text-sm"
+                  value={coAuthor.role}
+                  onChange={(e) => update(index, { role: e.target.value })}
+                  aria-label={`Role of ${displayName(coAuthor.user)}`}
+                >
+                  {CO_AUTHOR_ROLES.map((role) => (
+                    <option key={role} value={role}>{role.charAt(0).toUpperCase() + role.slice(1)}</option>
+                  ))}
+                </select>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon"
+                  className="h-8 w-8"
+                  disabled={index === 0}
+                  onClick={() => move(index, -1)}
+                  aria-label="Move up"
+                >
+                  <ArrowUp className="h-4 w-4" />
+                </Button>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon"
+                  className="h-8 w-8"
+                  disabled={index === value.length - 1}
+                  onClick={() => move(index, 1)}
+                  aria-label="Move down"
+                >
+                  <ArrowDown className="h-4 w-4" />
+                </Button>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon"
+                  className="h-8 w-8"
+                  onClick={() => remove(index)}
+                  aria-label={`Remove ${displayName(coAuthor.user)}`}
+                >
+                  <X className="h-4 w-4" />
+                </Button>
+              </li>
+            ))}
+          </ol>
+        )}
+
+        <div className="relative">
+          <Input
+            placeholder="Add a co-author by name..."
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          {isFetching && (
+            <Loader2 className="absolute right-3 top-2.5 h-4 w-4 animate-spin text-muted-foreground" />
+          )}
+        </div>
+
+        {results.length > 0 && (
+          <ul className="divide-y rounded-md border">
+            {results.map((user) => (
+              <li key={user._id}>
+                <button
+                  type="button"
+                  className="w-full px-3 py-2 text-left text-sm hover:bg-muted"
+                  onClick={() => add(user)}
+                >
+                  {displayName(user)}
+                  <span className="ml-2 text-muted-foreground">@{user.username}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CoAuthorPicker;
@@ -1,4 +1,5 @@
 const mangoose = require('mongoose');
+const { applyCursor } = require('../utils/pagination');
 
 const commentSchema = new mongoose.Schema({
   content: {
@@ -169,6 +170,13 @@ commentSchema.statics.findByPost = function(postId, options = {}) {
   if (!options.includeReplies) {
     query.parentComment = null;
   }
+
+  const direction = options.sort === 'oldest' ? 1 : -1;
+
+  // Continue after a decoded pagination cursor
+  if (options.after) {
+    applyCursor(query, 'createdAt', direction, options.after);
+  }
   
   return this.find(query)
     .populate('author', 'username firstName lastName avatar')
@@ -179,7 +187,7 @@ commentSchema.statics.findByPost = function(postId, options = {}) {
         select: 'username firstName lastName avatar'
       }
     })
-    .sort({ createdAt: options.sort === 'oldest' ? 1 : -1 });
+    .sort({ createdAt: direction, _id: direction });
 };
 
 // Static method to get comment statistics
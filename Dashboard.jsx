@@ -3,6 +3,8 @@ import { Link } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useAuth } from '../contexts/AuthContext';
 import { postsAPI, analyticsAPI } from '../services/api';
+import ScheduledCountdown from '../components/ScheduledCountdown';
+import usePermission from '../hooks/usePermission';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
@@ -30,7 +32,10 @@ import {
   Users,
   MessageSquare,
   Heart,
-  BarChart3
+  BarChart3,
+  Send,
+  CheckCircle2,
+  ClipboardCheck
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
@@ -38,6 +43,7 @@ const Dashboard = () => {
   const { user } = useAuth();
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
+  const canReview = usePermission('post:review');
   const queryClient = useQueryClient();
 
   // Fetch user's posts
@@ -57,6 +63,39 @@ const Dashboard = () => {
     queryFn: () => analyticsAPI.getDashboardAnalytics(),
   });
 
+  // Fetch posts waiting for review (editors)
+  const { data: reviewQueueData, isLoading: reviewQueueLoading } = useQuery({
+    queryKey: ['review-queue'],
+    queryFn: () => postsAPI.getReviewQueue(),
+    enabled: canReview,
+  });
+
+  const onReviewError = (error) => {
+    toast.error(error.response?.data?.message || 'Failed to update review status');
+  };
+
+  // Submit a draft for review
+  const submitForReviewMutation = useMutation({
+    mutationFn: (postId) => postsAPI.submitForReview(postId),
+    onSuccess: () => {
+      toast.success('Post submitted for review');
+      queryClient.invalidateQueries(['user-posts']);
+      queryClient.invalidateQueries(['review-queue']);
+    },
+    onError: onReviewError,
+  });
+
+  // Approve a post from the review queue
+  const approvePostMutation = useMutation({
+    mutationFn: (postId) => postsAPI.approvePost(postId),
+    onSuccess: () => {
+      toast.success('Post approved');
+      queryClient.invalidateQueries(['review-queue']);
+      queryClient.invalidateQueries(['user-posts']);
+    },
+    onError: onReviewError,
+  });
+
   // Delete post mutation
   const deletePostMutation = useMutation({
     mutationFn: postsAPI.deletePost,
@@ -71,6 +110,7 @@ const Dashboard = () => {
   });
 
   const posts = postsData?.data?.posts || [];
+  const reviewQueue = reviewQueueData?.data?.posts || [];
   const analytics = analyticsData?.data || {};
 
   const handleDeletePost = (postId) => {
@@ -79,12 +119,23 @@ const Dashboard = () => {
     }
   };
 
+  // Drafts with a scheduledAt are waiting for the scheduler to publish them
+  const getDisplayStatus = (post) => {
+    return post.status === 'draft' && post.scheduledAt ? 'scheduled' : post.status;
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'published':
         return 'default';
+      case 'scheduled':
+        return 'outline';
       case 'draft':
         return 'secondary';
+      case 'in_review':
+        return 'outline';
+      case 'changes_requested':
+        return 'destructive';
       case 'archived':
         return 'outline';
       default:
@@ -94,8 +145,8 @@ const Dashboard = () => {
 
   const filteredPosts = posts.filter(post => {
     const matchesSearch = post.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         post.content.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesStatus = statusFilter === 'all' || post.status === statusFilter;
+                         (post.excerpt || '').toLowerCase().includes(searchTerm.toLowerCase());
+    const matchesStatus = statusFilter === 'all' || getDisplayStatus(post) === statusFilter;
     return matchesSearch && matchesStatus;
   });
 
@@ -122,6 +173,14 @@ const Dashboard = () => {
         <TabsList>
           <TabsTrigger value="overview">Overview</TabsTrigger>
           <TabsTrigger value="posts">Posts</TabsTrigger>
+          {canReview && (
+            <TabsTrigger value="review">
+              Review Queue
+              {reviewQueue.length > 0 && (
+                <Badge variant="secondary" className="ml-2">{reviewQueue.length}</Badge>
+              )}
+            </TabsTrigger>
+          )}
           <TabsTrigger value="analytics">Analytics</TabsTrigger>
         </TabsList>
 
@@ -240,9 +299,12 @@ const Dashboard = () => {
                         <div>
                           <h4 className="font-medium">{post.title}</h4>
                           <div className="flex items-center gap-2 text-sm text-muted-foreground">
-                            <Badge variant={getStatusColor(post.status)}>
-                              {post.status}
+                            <Badge variant={getStatusColor(getDisplayStatus(post))}>
+                              {getDisplayStatus(post).replace('_', ' ')}
                             </Badge>
+                            {getDisplayStatus(post) === 'scheduled' && (
+                              <ScheduledCountdown date={post.scheduledAt} />
+                            )}
                             <span>•</span>
                             <span>{new Date(post.createdAt).toLocaleDateString()}</span>
                             <span>•</span>
@@ -301,6 +363,24 @@ const Dashboard = () => {
               >
                 Drafts
               </Button>
+              <Button
+                variant={statusFilter === 'scheduled' ? 'default' : 'outline'}
+                onClick={() => setStatusFilter('scheduled')}
+              >
+                Scheduled
+              </Button>
+              <Button
+                variant={statusFilter === 'in_review' ? 'default' : 'outline'}
+                onClick={() => setStatusFilter('in_review')}
+              >
+                In Review
+              </Button>
+              <Button
+                variant={statusFilter === 'changes_requested' ? 'default' : 'outline'}
+                onClick={() => setStatusFilter('changes_requested')}
+              >
+                Changes Requested
+              </Button>
             </div>
           </div>
 
@@ -361,9 +441,12 @@ const Dashboard = () => {
                         <div className="flex-1">
                           <h4 className="font-medium text-lg">{post.title}</h4>
                           <div className="flex items-center gap-2 text-sm text-muted-foreground mt-1">
-                            <Badge variant={getStatusColor(post.status)}>
-                              {post.status}
+                            <Badge variant={getStatusColor(getDisplayStatus(post))}>
+                              {getDisplayStatus(post).replace('_', ' ')}
                             </Badge>
+                            {getDisplayStatus(post) === 'scheduled' && (
+                              <ScheduledCountdown date={post.scheduledAt} />
+                            )}
                             <span>•</span>
                             <Calendar className="h-3 w-3" />
                             <span>{new Date(post.createdAt).toLocaleDateString()}</span>
@@ -401,6 +484,12 @@ const Dashboard = () => {
                               Edit
                             </Link>
                           </DropdownMenuItem>
+                          {['draft', 'changes_requested'].includes(getDisplayStatus(post)) && (
+                            <DropdownMenuItem onClick={() => submitForReviewMutation.mutate(post._id)}>
+                              <Send className="mr-2 h-4 w-4" />
+                              Submit for review
+                            </DropdownMenuItem>
+                          )}
                           <DropdownMenuSeparator />
                           <DropdownMenuItem
                             onClick={() => handleDeletePost(post._id)}
@@ -419,6 +508,72 @@ const Dashboard = () => {
           </Card>
         </TabsContent>
 
+        {canReview && (
+          <TabsContent value="review" className="space-y-6">
+            <Card>
+              <CardHeader>
+                <CardTitle>Review Queue</CardTitle>
+                <CardDescription>
+                  Posts submitted for review, oldest first
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                {reviewQueueLoading ? (
+                  <div className="space-y-4">
+                    {[...Array(3)].map((_, i) => (
+                      <Skeleton key={i} className="h-20 w-full" />
+                    ))}
+                  </div>
+                ) : reviewQueue.length === 0 ? (
+                  <div className="text-center py-8">
+                    <ClipboardCheck className="mx-auto h-12 w-12 text-muted-foreground/50" />
+                    <h3 className="mt-4 text-lg font-semibold">Nothing to review</h3>
+                    <p className="text-muted-foreground">Submitted posts will show up here.</p>
+                  </div>
+                ) : (
+                  <div className="space-y-4">
+                    {reviewQueue.map((post) => {
+                      const submission = [...(post.reviewHistory || [])].reverse()
+                        .find(entry => entry.action === 'submit');
+
+                      return (
+                        <div key={post._id} className="flex items-center justify-between p-4 border rounded-lg">
+                          <div className="flex-1">
+                            <h4 className="font-medium text-lg">{post.title}</h4>
+                            <p className="text-sm text-muted-foreground mt-1">
+                              by {post.author?.firstName} {post.author?.lastName} • submitted{' '}
+                              {new Date(post.submittedForReviewAt).toLocaleString()}
+                            </p>
+                            {submission?.note && (
+                              <p className="text-sm mt-2 line-clamp-2">{submission.note}</p>
+                            )}
+                          </div>
+                          <div className="flex gap-2">
+                            <Button variant="outline" size="sm" asChild>
+                              <Link to={`/edit-post/${post._id}`}>
+                                <Edit className="mr-2 h-4 w-4" />
+                                Review
+                              </Link>
+                            </Button>
+                            <Button
+                              size="sm"
+                              onClick={() => approvePostMutation.mutate(post._id)}
+                              disabled={approvePostMutation.isLoading}
+                            >
+                              <CheckCircle2 className="mr-2 h-4 w-4" />
+                              Approve
+                            </Button>
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </TabsContent>
+        )}
+
         <TabsContent value="analytics" className="space-y-6">
           <Card>
             <CardHeader>
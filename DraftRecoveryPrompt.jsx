@@ -0,0 +1,41 @@
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { History } from 'lucide-react';
+
+const formatDateTime = (date) => new Date(date).toLocaleString([], {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+// Prompt to restore unsaved changes found by the autosave (see useAutosave)
+const DraftRecoveryPrompt = ({ autosave }) => {
+  const { recovered, restore, discard } = autosave;
+
+  if (!recovered) {
+    return null;
+  }
+
+  return (
+    <Alert className="mb-6">
+      <History className="h-4 w-4" />
+      <AlertDescription className="flex flex-wrap items-center justify-between gap-3">
+        <span>
+          You have unsaved changes from {formatDateTime(recovered.savedAt)}
+          {recovered.local ? ' (saved on this device)' : ''}. Restore them?
+        </span>
+        <span className="flex gap-2">
+          <Button type="button" size="sm" onClick={restore}>
+            Restore
+          </Button>
+          <Button type="button" size="sm" variant="outline" onClick={discard}>
+            Discard
+          </Button>
+        </span>
+      </AlertDescription>
+    </Alert>
+  );
+};
+
+export default DraftRecoveryPrompt;
@@ -2,6 +2,9 @@ import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
+import { authAPI } from '../services/api';
+import usePermission from '../hooks/usePermission';
+import SearchSuggest from './SearchSuggest';
 import { Button } from '@/components/ui/button';
 import {
   DropdownMenu,
@@ -20,14 +23,39 @@ import {
   Menu,
   PenTool,
   BarChart3,
-  Shield
+  Shield,
+  Users,
+  FolderTree,
+  Tags,
+  MailWarning,
+  X
 } from 'lucide-react';
+import toast from 'react-hot-toast';
 
 const Header = () => {
   const { isAuthenticated, user, logout, isAdmin } = useAuth();
   const { theme, toggleTheme } = useTheme();
   const navigate = useNavigate();
   const [isOpen, setIsOpen] = useState(false);
+  const [verificationDismissed, setVerificationDismissed] = useState(false);
+  const [resending, setResending] = useState(false);
+  const canManageCategories = usePermission('category:manage');
+  const canManageTags = usePermission('tag:manage');
+  const [searchQuery, setSearchQuery] = useState('');
+
+  const showVerificationBanner = isAuthenticated && user && !user.emailVerified && !verificationDismissed;
+
+  const handleResendVerification = async () => {
+    setResending(true);
+    try {
+      await authAPI.resendVerification();
+      toast.success(`Verification email sent to ${user.email}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setResending(false);
+    }
+  };
 
   const handleLogout = () => {
     logout();
@@ -81,6 +109,13 @@ const Header = () => {
 
           {/* Right side actions */}
           <div className="flex items-center space-x-4">
+            <SearchSuggest
+              value={searchQuery}
+              onChange={setSearchQuery}
+              placeholder="Search..."
+              className="hidden lg:block w-64"
+            />
+
             {/* Theme toggle */}
             <Button
               variant="ghost"
@@ -139,6 +174,30 @@ const Header = () => {
                       </Link>
                     </DropdownMenuItem>
                   )}
+                  {isAdmin() && (
+                    <DropdownMenuItem asChild>
+                      <Link to="/admin/roles" className="cursor-pointer">
+                        <Users className="mr-2 h-4 w-4" />
+                        Roles
+                      </Link>
+                    </DropdownMenuItem>
+                  )}
+                  {canManageCategories && (
+                    <DropdownMenuItem asChild>
+                      <Link to="/admin/categories" className="cursor-pointer">
+                        <FolderTree className="mr-2 h-4 w-4" />
+                        Categories
+                      </Link>
+                    </DropdownMenuItem>
+                  )}
+                  {canManageTags && (
+                    <DropdownMenuItem asChild>
+                      <Link to="/admin/tags" className="cursor-pointer">
+                        <Tags className="mr-2 h-4 w-4" />
+                        Tags
+                      </Link>
+                    </DropdownMenuItem>
+                  )}
                   <DropdownMenuSeparator />
                   <DropdownMenuItem onClick={handleLogout} className="cursor-pointer">
                     <LogOut className="mr-2 h-4 w-4" />
@@ -184,6 +243,39 @@ const Header = () => {
           </div>
         </div>
       </div>
+
+      {/* Email verification banner */}
+      {showVerificationBanner && (
+        <div className="border-t bg-amber-50 text-amber-900 dark:bg-amber-950 dark:text-amber-100">
+          <div className="container mx-auto px-4 py-2 flex items-center justify-between gap-4 text-sm">
+            <div className="flex items-center gap-2">
+              <MailWarning className="h-4 w-4 flex-shrink-0" />
+              <span>
+                Please verify your email address. Check your inbox for the link we sent to {user.email}.
+              </span>
+            </div>
+            <div className="flex items-center gap-2">
+              <Button
+                variant="link"
+                size="sm"
+                className="h-auto p-0 text-inherit underline"
+                onClick={handleResendVerification}
+                disabled={resending}
+              >
+                {resending ? 'Sending...' : 'Resend email'}
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-6 w-6"
+                onClick={() => setVerificationDismissed(true)}
+              >
+                <X className="h-3 w-3" />
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
     </header>
   );
 };
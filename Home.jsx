@@ -1,7 +1,8 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, useInfiniteQuery } from '@tanstack/react-query';
 import { postsAPI } from '../services/api';
+import SearchSuggest from '../components/SearchSuggest';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
@@ -9,7 +10,6 @@ import { Badge } from '@/components/ui/badge';
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
 import { Skeleton } from '@/components/ui/skeleton';
 import { 
-  Search,
   Calendar,
   Eye,
   Heart,
@@ -19,27 +19,61 @@ import {
   Filter,
   Grid,
   List,
-  ChevronRight
+  ChevronRight,
+  Loader2
 } from 'lucide-react';
 
+const POSTS_PER_PAGE = 12;
+
+// Post fields behind the sort options
+const SORT_FIELDS = {
+  latest: 'publishedAt',
+  popular: 'views',
+};
+
 const Home = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('');
   const [sortBy, setSortBy] = useState('latest');
   const [viewMode, setViewMode] = useState('grid');
 
-  // Fetch posts
-  const { data: postsData, isLoading } = useQuery({
-    queryKey: ['posts', { search: searchTerm, category: selectedCategory, sort: sortBy }],
-    queryFn: () => postsAPI.getPosts({
+  const loadMoreRef = useRef(null);
+
+  // Fetch posts page by page with cursors, so posts published meanwhile don't shift the pages
+  const {
+    data: postsData,
+    isLoading,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteQuery({
+    queryKey: ['posts', 'infinite', { search: searchTerm, category: selectedCategory, sort: sortBy }],
+    queryFn: ({ pageParam = '' }) => postsAPI.getPosts({
       search: searchTerm,
-      category: selectedCategory,
-      sort: sortBy,
+      categories: selectedCategory || undefined,
+      sort: SORT_FIELDS[sortBy],
       status: 'published',
-      limit: 20
+      limit: POSTS_PER_PAGE,
+      cursor: pageParam,
     }),
+    getNextPageParam: (lastPage) => lastPage.data.pagination.nextCursor || undefined,
   });
 
+  // Load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const node = loadMoreRef.current;
+    if (!node || !hasNextPage) return;
+
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting && !isFetchingNextPage) {
+        fetchNextPage();
+      }
+    }, { rootMargin: '400px' });
+
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage]);
+
   // Fetch featured posts
   const { data: featuredData } = useQuery({
     queryKey: ['featured-posts'],
@@ -56,7 +90,7 @@ const Home = () => {
     queryFn: () => postsAPI.getCategories(),
   });
 
-  const posts = postsData?.data?.posts || [];
+  const posts = postsData?.pages.flatMap((page) => page.data.posts) || [];
   const featuredPosts = featuredData?.data?.posts || [];
   const categories = categoriesData?.data?.categories || [];
 
@@ -140,9 +174,11 @@ const Home = () => {
                   <CardContent className="p-6">
                     <div className="flex flex-wrap gap-2 mb-3">
                       {post.categories?.slice(0, 2).map((category) => (
-                        <Badge key={category} variant="secondary" className="text-xs">
-                          {category}
-                        </Badge>
+                        <Link key={category._id} to={`/category/${category.slug}`}>
+                          <Badge variant="secondary" className="text-xs">
+                            {category.name}
+                          </Badge>
+                        </Link>
                       ))}
                     </div>
                     <h3 className="text-xl font-bold mb-2 line-clamp-2">
@@ -154,7 +190,7 @@ const Home = () => {
                       </Link>
                     </h3>
                     <p className="text-muted-foreground mb-4 line-clamp-3">
-                      {post.excerpt || truncateText(stripHtml(post.content), 120)}
+                      {post.excerpt || truncateText(stripHtml(post.renderedHtml), 120)}
                     </p>
                     <div className="flex items-center justify-between">
                       <div className="flex items-center gap-2">
@@ -197,15 +233,12 @@ const Home = () => {
         <div className="container mx-auto px-4">
           <div className="flex flex-col lg:flex-row gap-4 items-center justify-between">
             <div className="flex flex-col sm:flex-row gap-4 flex-1">
-              <div className="relative flex-1 max-w-md">
-                <Search className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
-                <Input
-                  placeholder="Search posts..."
-                  value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
-                  className="pl-10"
-                />
-              </div>
+              {/* Typing filters this list and suggests posts, tags, categories and authors */}
+              <SearchSuggest
+                value={searchTerm}
+                onChange={setSearchTerm}
+                className="flex-1 max-w-md"
+              />
               <div className="flex gap-2">
                 <select
                   value={selectedCategory}
@@ -214,8 +247,8 @@ const Home = () => {
                 >
                   <option value="">All Categories</option>
                   {categories.map((category) => (
-                    <option key={category} value={category}>
-                      {category}
+                    <option key={category._id} value={category.slug}>
+                      {'\u00A0\u00A0'.repeat(category.depth)}{category.name}
                     </option>
                   ))}
                 </select>
@@ -226,7 +259,6 @@ const Home = () => {
                 >
                   <option value="latest">Latest</option>
                   <option value="popular">Most Popular</option>
-                  <option value="trending">Trending</option>
                 </select>
               </div>
             </div>
@@ -256,7 +288,7 @@ const Home = () => {
           <div className="flex items-center justify-between mb-8">
             <h2 className="text-3xl font-bold">Latest Posts</h2>
             <p className="text-muted-foreground">
-              {posts.length} post{posts.length !== 1 ? 's' : ''} found
+              {posts.length}{hasNextPage ? '+' : ''} post{posts.length !== 1 ? 's' : ''} found
             </p>
           </div>
 
@@ -339,9 +371,11 @@ const Home = () => {
                   <CardContent className={`p-6 ${viewMode === 'list' ? 'flex-1' : ''}`}>
                     <div className="flex flex-wrap gap-2 mb-3">
                       {post.categories?.slice(0, 2).map((category) => (
-                        <Badge key={category} variant="secondary" className="text-xs">
-                          {category}
-                        </Badge>
+                        <Link key={category._id} to={`/category/${category.slug}`}>
+                          <Badge variant="secondary" className="text-xs">
+                            {category.name}
+                          </Badge>
+                        </Link>
                       ))}
                     </div>
                     <h3 className={`font-bold mb-2 line-clamp-2 ${
@@ -355,7 +389,7 @@ const Home = () => {
                       </Link>
                     </h3>
                     <p className="text-muted-foreground mb-4 line-clamp-3">
-                      {post.excerpt || truncateText(stripHtml(post.content), 120)}
+                      {post.excerpt || truncateText(stripHtml(post.renderedHtml), 120)}
                     </p>
                     <div className="flex items-center justify-between">
                       <div className="flex items-center gap-2">
@@ -395,12 +429,26 @@ const Home = () => {
             </div>
           )}
 
-          {/* Load More Button */}
-          {posts.length > 0 && posts.length >= 20 && (
-            <div className="text-center mt-12">
-              <Button variant="outline" size="lg">
-                Load More Posts
-                <ChevronRight className="ml-2 h-4 w-4" />
+          {/* Infinite scroll; the button is a fallback when the observer doesn't fire */}
+          {hasNextPage && (
+            <div ref={loadMoreRef} className="text-center mt-12">
+              <Button
+                variant="outline"
+                size="lg"
+                onClick={() => fetchNextPage()}
+                disabled={isFetchingNextPage}
+              >
+                {isFetchingNextPage ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Loading...
+                  </>
+                ) : (
+                  <>
+                    Load More Posts
+                    <ChevronRight className="ml-2 h-4 w-4" />
+                  </>
+                )}
               </Button>
             </div>
           )}
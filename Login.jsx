@@ -7,11 +7,14 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Alert, AlertDescription } from '@/components/ui/alert';
-import { Loader2, Eye, EyeOff, Mail, Lock } from 'lucide-react';
+import { Loader2, Eye, EyeOff, Mail, Lock, ShieldCheck } from 'lucide-react';
 
 const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
-  const { login, loading } = useAuth();
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [twoFactorError, setTwoFactorError] = useState('');
+  const { login, verifyTwoFactor, loading } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   
@@ -26,13 +29,89 @@ const Login = () => {
 
   const onSubmit = async (data) => {
     const result = await login(data);
-    if (result.success) {
+    if (result.requiresTwoFactor) {
+      setChallengeToken(result.challengeToken);
+    } else if (result.success) {
       navigate(from, { replace: true });
     } else {
       setError('root', { message: result.error });
     }
   };
 
+  // Second step for accounts with two-factor authentication
+  const onTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setTwoFactorError('');
+
+    const result = await verifyTwoFactor(challengeToken, twoFactorCode.trim());
+    if (result.success) {
+      navigate(from, { replace: true });
+    } else {
+      setTwoFactorError(result.error);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setTwoFactorError('');
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-background to-muted/20 px-4">
+        <Card className="w-full max-w-md">
+          <CardHeader className="space-y-1">
+            <CardTitle className="text-2xl font-bold text-center">Two-factor authentication</CardTitle>
+            <CardDescription className="text-center">
+              Enter the 6-digit code from your authenticator app, or one of your recovery codes
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={onTwoFactorSubmit} className="space-y-4">
+              {twoFactorError && (
+                <Alert variant="destructive">
+                  <AlertDescription>{twoFactorError}</AlertDescription>
+                </Alert>
+              )}
+
+              <div className="space-y-2">
+                <Label htmlFor="twoFactorCode">Authentication code</Label>
+                <div className="relative">
+                  <ShieldCheck className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                  <Input
+                    id="twoFactorCode"
+                    autoComplete="one-time-code"
+                    autoFocus
+                    placeholder="123456"
+                    className="pl-10"
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                  />
+                </div>
+              </div>
+
+              <Button type="submit" className="w-full" disabled={loading || !twoFactorCode.trim()}>
+                {loading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Verifying...
+                  </>
+                ) : (
+                  'Verify'
+                )}
+              </Button>
+
+              <Button type="button" variant="ghost" className="w-full" onClick={cancelTwoFactor}>
+                Back to sign in
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-background to-muted/20 px-4">
       <Card className="w-full max-w-md">
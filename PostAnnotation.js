@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { applyCursor } = require('../utils/pagination');
+
+// Private editorial annotations on a post's content
+// Kept apart from the public Comment model so they never show up on the site
+const annotationSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost',
+    required: true,
+    index: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Text range the annotation is attached to: offsets into the editor text plus the quoted
+  // text and some context, so the range can be found again after the content changes
+  anchor: {
+    start: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    end: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    quote: {
+      type: String,
+      required: [true, 'Annotated text is required'],
+      maxlength: [1000, 'Annotated text cannot exceed 1000 characters']
+    },
+    prefix: {
+      type: String,
+      default: ''
+    },
+    suffix: {
+      type: String,
+      default: ''
+    }
+  },
+  body: {
+    type: String,
+    required: [true, 'Annotation text is required'],
+    trim: true,
+    maxlength: [2000, 'Annotation cannot exceed 2000 characters']
+  },
+  replies: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    body: {
+      type: String,
+      required: [true, 'Reply text is required'],
+      trim: true,
+      maxlength: [2000, 'Reply cannot exceed 2000 characters']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+annotationSchema.index({ post: 1, resolved: 1, createdAt: 1 });
+
+const normalizeWhitespace = (text = '') => text.replace(/\s+/g, ' ').trim();
+
+// Instance method to check whether the annotated text still exists in a plain-text version of the content
+annotationSchema.methods.isAnchoredIn = function(plainText) {
+  return normalizeWhitespace(plainText).includes(normalizeWhitespace(this.anchor.quote));
+};
+
+// Instance method to mark the thread resolved or reopen it
+annotationSchema.methods.setResolved = function(resolved, userId) {
+  this.resolved = resolved;
+  this.resolvedBy = resolved ? userId : null;
+  this.resolvedAt = resolved ? new Date() : null;
+};
+
+// Static method to get the annotations of a post in document order
+// `after` is a decoded cursor to continue after
+annotationSchema.statics.findByPost = function(postId, { includeResolved = true, after = null } = {}) {
+  const query = { post: postId };
+  if (!includeResolved) {
+    query.resolved = false;
+  }
+  if (after) applyCursor(query, 'anchor.start', 1, after);
+
+  return this.find(query)
+    .populate('author', 'username firstName lastName avatar')
+    .populate('replies.author', 'username firstName lastName avatar')
+    .populate('resolvedBy', 'username firstName lastName')
+    .sort({ 'anchor.start': 1, _id: 1 });
+};
+
+module.exports = mongoose.model('PostAnnotation', annotationSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Autosaved editor state of a post, kept apart from the post itself so that
+// saving a draft of a live post never changes what readers see.
+// There is one draft per user and post; `post` is null for a post not created yet
+const postDraftSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost',
+    default: null
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  isMarkdown: {
+    type: Boolean,
+    default: false
+  },
+  excerpt: {
+    type: String,
+    default: ''
+  },
+  tags: [{
+    type: String
+  }],
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  seo: {
+    metaTitle: { type: String, default: '' },
+    metaDescription: { type: String, default: '' }
+  },
+  featuredImage: {
+    type: String,
+    default: ''
+  },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Series',
+    default: null
+  },
+  scheduledAt: {
+    type: Date,
+    default: null
+  },
+  savedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+postDraftSchema.index({ user: 1, post: 1 }, { unique: true });
+postDraftSchema.index({ post: 1 });
+
+// Editor fields stored in a draft
+postDraftSchema.statics.DRAFT_FIELDS = [
+  'title', 'content', 'isMarkdown', 'excerpt', 'tags', 'categories', 'seo', 'featuredImage', 'series', 'scheduledAt'
+];
+
+// Static method to save a user's draft of a post (null for a new post), replacing the previous one
+postDraftSchema.statics.saveFor = function(userId, postId, fields) {
+  return this.findOneAndUpdate(
+    { user: userId, post: postId || null },
+    { $set: { ...fields, savedAt: new Date() } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to drop a user's draft of a post once it has been saved for real
+postDraftSchema.statics.discardFor = function(userId, postId) {
+  return this.deleteOne({ user: userId, post: postId || null });
+};
+
+module.exports = mongoose.model('PostDraft', postDraftSchema);
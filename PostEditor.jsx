@@ -0,0 +1,467 @@
+import { useState, useEffect, useRef, forwardRef, useImperativeHandle } from 'react';
+import { useEditor, EditorContent, Extension } from '@tiptap/react';
+import StarterKit from '@tiptap/starter-kit';
+import Image from '@tiptap/extension-image';
+import Link from '@tiptap/extension-link';
+import Placeholder from '@tiptap/extension-placeholder';
+import Table from '@tiptap/extension-table';
+import TableRow from '@tiptap/extension-table-row';
+import TableHeader from '@tiptap/extension-table-header';
+import TableCell from '@tiptap/extension-table-cell';
+import { marked } from 'marked';
+import TurndownService from 'turndown';
+import { gfm } from 'turndown-plugin-gfm';
+import { imagesAPI } from '../services/api';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Separator } from '@/components/ui/separator';
+import {
+  Bold,
+  Italic,
+  Strikethrough,
+  Code,
+  Heading2,
+  Heading3,
+  Heading4,
+  List,
+  ListOrdered,
+  Quote,
+  SquareCode,
+  Table as TableIcon,
+  ImagePlus,
+  Link as LinkIcon,
+  Undo,
+  Redo,
+  Loader2,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+const turndown = new TurndownService({ headingStyle: 'atx', codeBlockStyle: 'fenced', bulletListMarker: '-' });
+turndown.use(gfm);
+
+// The rich editor has no iframe block, so video frames from older posts become their
+// URL on its own line, which rendering turns back into an embed
+const framesToLinks = (html) => {
+  if (!html || !html.includes('<iframe')) return html;
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll('iframe').forEach((frame) => {
+    const paragraph = doc.createElement('p');
+    paragraph.textContent = frame.getAttribute('src') || '';
+    frame.replaceWith(paragraph);
+  });
+  return doc.body.innerHTML;
+};
+
+const imageFiles = (fileList) => Array.from(fileList || []).filter((file) => file.type.startsWith('image/'));
+
+// Text of the rich editor as the annotation anchors see it (one line per block),
+// with the document position of every text run so offsets can be mapped both ways
+const textIndex = (doc) => {
+  const segments = [];
+  let text = '';
+
+  doc.descendants((node, pos) => {
+    if (!node.isTextblock) return true;
+    node.forEach((child, offset) => {
+      if (child.isText) {
+        segments.push({ index: text.length, pos: pos + 1 + offset, length: child.text.length });
+        text += child.text;
+      }
+    });
+    text += '\n';
+    return false;
+  });
+
+  return { text, segments };
+};
+
+const indexToPos = (segments, index) => {
+  const segment = segments.find((item) => index >= item.index && index <= item.index + item.length);
+  return segment ? segment.pos + (index - segment.index) : null;
+};
+
+const posToIndex = (segments, pos) => {
+  const segment = segments.find((item) => pos >= item.pos && pos <= item.pos + item.length)
+    || [...segments].reverse().find((item) => item.pos <= pos);
+  return segment ? segment.index + Math.min(pos - segment.pos, segment.length) : 0;
+};
+
+const ToolbarButton = ({ icon: Icon, label, shortcut, active, onClick, disabled }) => (
+  <Button
+    type="button"
+    variant={active ? 'secondary' : 'ghost'}
+    size="sm"
+    className="h-8 w-8 p-0"
+    title={shortcut ? `${label} (${shortcut})` : label}
+    aria-label={label}
+    aria-pressed={active}
+    onMouseDown={(e) => e.preventDefault()}
+    onClick={onClick}
+    disabled={disabled}
+  >
+    <Icon className="h-4 w-4" />
+  </Button>
+);
+
+// Post content editor of PostForm (shared by CreatePost and EditPost)
+// Rich mode edits HTML with blocks (headings, lists, quotes, code, tables, images);
+// Markdown mode edits the Markdown source. `isMarkdown` tells which one `value` holds,
+// and switching converts the content. Images can be inserted from the toolbar,
+// dropped or pasted; they are uploaded first.
+// The ref exposes `getText()`, `setSelection(index, length)` and `focus()`, and
+// `onSelectionChange` reports `{ index, length }` in getText() offsets (used by annotations).
+// Offsets only exist in rich mode: Markdown source doesn't line up with the rendered text
+// the anchors are checked against, so in Markdown mode getText() returns null and
+// selections aren't reported
+const PostEditor = forwardRef(({
+  value,
+  onChange,
+  isMarkdown = false,
+  onMarkdownChange,
+  onSelectionChange,
+  placeholder = 'Start writing your post...',
+}, ref) => {
+  const [uploading, setUploading] = useState(false);
+  const fileInputRef = useRef(null);
+  const textareaRef = useRef(null);
+  // Latest Markdown source, for inserts that finish after an upload while the user kept typing
+  const valueRef = useRef(value);
+  valueRef.current = value;
+  // Handlers used inside editor extensions, which are created once
+  const handlersRef = useRef({});
+
+  // Upload images and return their URLs (failed uploads are skipped)
+  const uploadImages = async (files) => {
+    const valid = files.filter((file) => {
+      if (file.size > MAX_IMAGE_SIZE) {
+        toast.error(`${file.name} is larger than 5MB`);
+        return false;
+      }
+      return true;
+    });
+    if (valid.length === 0) return [];
+
+    setUploading(true);
+    try {
+      const results = await Promise.allSettled(valid.map((file) => {
+        const formData = new FormData();
+        formData.append('image', file);
+        return imagesAPI.uploadImage(formData);
+      }));
+
+      if (results.some((result) => result.status === 'rejected')) {
+        toast.error('Some images could not be uploaded');
+      }
+      return results
+        .map((result, index) => result.status === 'fulfilled'
+          ? { src: result.value.data.image.url, alt: valid[index].name.replace(/\.[^.]+$/, '') }
+          : null)
+        .filter(Boolean);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const insertImagesAt = async (target, files, pos) => {
+    const images = await uploadImages(files);
+    if (images.length === 0) return;
+    target.chain().focus().insertContentAt(pos ?? target.state.selection.to, images.map((attrs) => ({ type: 'image', attrs }))).run();
+  };
+
+  const editor = useEditor({
+    extensions: [
+      StarterKit.configure({ heading: { levels: [2, 3, 4] } }),
+      Image,
+      Link.configure({ openOnClick: false }),
+      Placeholder.configure({ placeholder }),
+      Table.configure({ resizable: false }),
+      TableRow,
+      TableHeader,
+      TableCell,
+      Extension.create({
+        name: 'postEditorShortcuts',
+        addKeyboardShortcuts() {
+          return {
+            'Mod-k': () => {
+              handlersRef.current.setLink();
+              return true;
+            },
+            'Mod-Alt-t': () => this.editor.chain().focus().insertTable({ rows: 3, cols: 3, withHeaderRow: true }).run(),
+          };
+        },
+      }),
+    ],
+    content: isMarkdown ? '' : framesToLinks(value || ''),
+    editorProps: {
+      attributes: {
+        class: 'prose dark:prose-invert max-w-none min-h-[300px] px-4 py-3 focus:outline-none',
+      },
+      handleDrop: (view, event, slice, moved) => {
+        const files = imageFiles(event.dataTransfer?.files);
+        if (moved || files.length === 0) return false;
+        event.preventDefault();
+        const coords = view.posAtCoords({ left: event.clientX, top: event.clientY });
+        handlersRef.current.insertImages(files, coords?.pos);
+        return true;
+      },
+      handlePaste: (view, event) => {
+        const files = imageFiles(event.clipboardData?.files);
+        if (files.length === 0) return false;
+        event.preventDefault();
+        handlersRef.current.insertImages(files);
+        return true;
+      },
+    },
+    onUpdate: ({ editor: current }) => onChange(current.getHTML()),
+    onSelectionUpdate: ({ editor: current }) => {
+      if (!onSelectionChange) return;
+      const { from, to } = current.state.selection;
+      const { segments } = textIndex(current.state.doc);
+      const index = posToIndex(segments, from);
+      onSelectionChange({ index, length: posToIndex(segments, to) - index });
+    },
+  });
+
+  // Keep the rich editor in sync when the value is set from outside (e.g. a loaded post)
+  useEffect(() => {
+    if (editor && !isMarkdown && value !== editor.getHTML()) {
+      editor.commands.setContent(framesToLinks(value || ''), false);
+    }
+  }, [editor, value, isMarkdown]);
+
+  // Wrap the Markdown selection, e.g. **bold**
+  const wrapMarkdown = (before, after = before, fallback = '') => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    const { selectionStart: start, selectionEnd: end } = textarea;
+    const selected = value.slice(start, end) || fallback;
+    onChange(`${value.slice(0, start)}${before}${selected}${after}${value.slice(end)}`);
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(start + before.length, start + before.length + selected.length);
+    });
+  };
+
+  // Insert text at the Markdown cursor on its own lines
+  // `at` is a position in the source as it was when the insert started; it is kept when the
+  // text before it is unchanged, otherwise the block goes to the current cursor
+  const insertMarkdownBlock = (block, at) => {
+    const current = valueRef.current || '';
+    const cursor = textareaRef.current?.selectionEnd ?? current.length;
+    const position = at && at.before === current.slice(0, at.position) ? at.position : cursor;
+    const before = current.slice(0, position);
+    const prefix = before && !before.endsWith('\n\n') ? (before.endsWith('\n') ? '\n' : '\n\n') : '';
+    onChange(`${before}${prefix}${block}\n\n${current.slice(position)}`);
+  };
+
+  const setLink = () => {
+    if (isMarkdown) {
+      const url = window.prompt('Link URL');
+      if (url) wrapMarkdown('[', `](${url})`, 'link text');
+      return;
+    }
+    const previous = editor.getAttributes('link').href || '';
+    const url = window.prompt('Link URL (leave empty to remove the link)', previous);
+    if (url === null) return;
+    if (url === '') {
+      editor.chain().focus().extendMarkRange('link').unsetLink().run();
+    } else {
+      editor.chain().focus().extendMarkRange('link').setLink({ href: url }).run();
+    }
+  };
+
+  const insertImages = async (files, pos) => {
+    if (isMarkdown) {
+      const position = textareaRef.current?.selectionEnd ?? (value || '').length;
+      const at = { position, before: (value || '').slice(0, position) };
+      const images = await uploadImages(files);
+      if (images.length > 0) {
+        insertMarkdownBlock(images.map(({ src, alt }) => `![${alt}](${src})`).join('\n\n'), at);
+      }
+      return;
+    }
+    await insertImagesAt(editor, files, pos);
+  };
+
+  handlersRef.current = { setLink, insertImages };
+
+  useImperativeHandle(ref, () => ({
+    getText: () => {
+      if (isMarkdown) return null;
+      return editor ? textIndex(editor.state.doc).text : '';
+    },
+    setSelection: (index, length) => {
+      if (isMarkdown || !editor) return;
+      const { segments } = textIndex(editor.state.doc);
+      const from = indexToPos(segments, index);
+      const to = indexToPos(segments, index + length);
+      if (from !== null && to !== null) {
+        editor.chain().focus().setTextSelection({ from, to }).scrollIntoView().run();
+      }
+    },
+    focus: () => (isMarkdown ? textareaRef.current?.focus() : editor?.commands.focus()),
+  }), [editor, isMarkdown]);
+
+  // Convert the content to the other format
+  const toggleMarkdown = (checked) => {
+    if (value && value.trim() && !window.confirm('Switching the editor converts the content. Some formatting may change. Continue?')) {
+      return;
+    }
+    const converted = checked ? turndown.turndown(value || '') : marked.parse(value || '');
+    // The rich editor picks up the converted HTML through the sync effect
+    onMarkdownChange(checked);
+    onChange(converted);
+  };
+
+  const handleMarkdownKeyDown = (e) => {
+    if (!(e.metaKey || e.ctrlKey)) return;
+    const key = e.key.toLowerCase();
+    if (key === 'b') {
+      e.preventDefault();
+      wrapMarkdown('**');
+    } else if (key === 'i') {
+      e.preventDefault();
+      wrapMarkdown('_');
+    } else if (key === 'k') {
+      e.preventDefault();
+      setLink();
+    }
+  };
+
+  const markdownDropHandlers = {
+    onDrop: (e) => {
+      const files = imageFiles(e.dataTransfer?.files);
+      if (files.length === 0) return;
+      e.preventDefault();
+      insertImages(files);
+    },
+    onPaste: (e) => {
+      const files = imageFiles(e.clipboardData?.files);
+      if (files.length === 0) return;
+      e.preventDefault();
+      insertImages(files);
+    },
+  };
+
+  const chain = () => editor.chain().focus();
+  const inTable = !isMarkdown && editor?.isActive('table');
+
+  // Toolbar: rich mode runs editor commands, Markdown mode inserts the syntax
+  const tools = isMarkdown
+    ? [
+      { icon: Bold, label: 'Bold', shortcut: 'Ctrl+B', run: () => wrapMarkdown('**') },
+      { icon: Italic, label: 'Italic', shortcut: 'Ctrl+I', run: () => wrapMarkdown('_') },
+      { icon: Strikethrough, label: 'Strikethrough', run: () => wrapMarkdown('~~') },
+      { icon: Code, label: 'Inline code', run: () => wrapMarkdown('`') },
+      null,
+      { icon: Heading2, label: 'Heading 2', run: () => insertMarkdownBlock('## Heading') },
+      { icon: Heading3, label: 'Heading 3', run: () => insertMarkdownBlock('### Heading') },
+      { icon: Heading4, label: 'Heading 4', run: () => insertMarkdownBlock('#### Heading') },
+      null,
+      { icon: List, label: 'Bullet list', run: () => insertMarkdownBlock('- Item') },
+      { icon: ListOrdered, label: 'Numbered list', run: () => insertMarkdownBlock('1. Item') },
+      { icon: Quote, label: 'Quote', run: () => insertMarkdownBlock('> Quote') },
+      { icon: SquareCode, label: 'Code block', run: () => insertMarkdownBlock('```\ncode\n```') },
+      { icon: TableIcon, label: 'Table', run: () => insertMarkdownBlock('| Column | Column |\n| --- | --- |\n| Cell | Cell |') },
+      { icon: LinkIcon, label: 'Link', shortcut: 'Ctrl+K', run: setLink },
+    ]
+    : [
+      { icon: Bold, label: 'Bold', shortcut: 'Ctrl+B', run: () => chain().toggleBold().run(), active: 'bold' },
+      { icon: Italic, label: 'Italic', shortcut: 'Ctrl+I', run: () => chain().toggleItalic().run(), active: 'italic' },
+      { icon: Strikethrough, label: 'Strikethrough', shortcut: 'Ctrl+Shift+S', run: () => chain().toggleStrike().run(), active: 'strike' },
+      { icon: Code, label: 'Inline code', shortcut: 'Ctrl+E', run: () => chain().toggleCode().run(), active: 'code' },
+      null,
+      { icon: Heading2, label: 'Heading 2', shortcut: 'Ctrl+Alt+2', run: () => chain().toggleHeading({ level: 2 }).run(), active: ['heading', { level: 2 }] },
+      { icon: Heading3, label: 'Heading 3', shortcut: 'Ctrl+Alt+3', run: () => chain().toggleHeading({ level: 3 }).run(), active: ['heading', { level: 3 }] },
+      { icon: Heading4, label: 'Heading 4', shortcut: 'Ctrl+Alt+4', run: () => chain().toggleHeading({ level: 4 }).run(), active: ['heading', { level: 4 }] },
+      null,
+      { icon: List, label: 'Bullet list', shortcut: 'Ctrl+Shift+8', run: () => chain().toggleBulletList().run(), active: 'bulletList' },
+      { icon: ListOrdered, label: 'Numbered list', shortcut: 'Ctrl+Shift+7', run: () => chain().toggleOrderedList().run(), active: 'orderedList' },
+      { icon: Quote, label: 'Quote', shortcut: 'Ctrl+Shift+B', run: () => chain().toggleBlockquote().run(), active: 'blockquote' },
+      { icon: SquareCode, label: 'Code block', shortcut: 'Ctrl+Alt+C', run: () => chain().toggleCodeBlock().run(), active: 'codeBlock' },
+      { icon: TableIcon, label: 'Table', shortcut: 'Ctrl+Alt+T', run: () => chain().insertTable({ rows: 3, cols: 3, withHeaderRow: true }).run() },
+      { icon: LinkIcon, label: 'Link', shortcut: 'Ctrl+K', run: setLink, active: 'link' },
+      null,
+      { icon: Undo, label: 'Undo', shortcut: 'Ctrl+Z', run: () => chain().undo().run() },
+      { icon: Redo, label: 'Redo', shortcut: 'Ctrl+Shift+Z', run: () => chain().redo().run() },
+    ];
+
+  const isActive = (active) => {
+    if (!active || isMarkdown || !editor) return false;
+    return Array.isArray(active) ? editor.isActive(...active) : editor.isActive(active);
+  };
+
+  return (
+    <div className="rounded-md border">
+      <div className="flex flex-wrap items-center gap-1 border-b p-1">
+        {tools.map((tool, index) => tool ? (
+          <ToolbarButton
+            key={tool.label}
+            icon={tool.icon}
+            label={tool.label}
+            shortcut={tool.shortcut}
+            active={isActive(tool.active)}
+            onClick={tool.run}
+            disabled={!isMarkdown && !editor}
+          />
+        ) : (
+          <Separator key={`separator-${index}`} orientation="vertical" className="mx-1 h-6" />
+        ))}
+        <ToolbarButton
+          icon={uploading ? Loader2 : ImagePlus}
+          label="Image"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={uploading}
+        />
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*"
+          multiple
+          className="hidden"
+          onChange={(e) => {
+            insertImages(imageFiles(e.target.files));
+            e.target.value = '';
+          }}
+        />
+
+        <div className="ml-auto flex items-center gap-2 px-2">
+          <Label htmlFor="isMarkdown" className="text-xs">Markdown</Label>
+          <Switch id="isMarkdown" checked={isMarkdown} onCheckedChange={toggleMarkdown} />
+        </div>
+      </div>
+
+      {inTable && (
+        <div className="flex flex-wrap gap-1 border-b p-1 text-xs">
+          <Button type="button" variant="ghost" size="sm" onClick={() => chain().addRowAfter().run()}>Add row</Button>
+          <Button type="button" variant="ghost" size="sm" onClick={() => chain().addColumnAfter().run()}>Add column</Button>
+          <Button type="button" variant="ghost" size="sm" onClick={() => chain().deleteRow().run()}>Delete row</Button>
+          <Button type="button" variant="ghost" size="sm" onClick={() => chain().deleteColumn().run()}>Delete column</Button>
+          <Button type="button" variant="ghost" size="sm" onClick={() => chain().deleteTable().run()}>Delete table</Button>
+        </div>
+      )}
+
+      {isMarkdown ? (
+        <textarea
+          ref={textareaRef}
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          onKeyDown={handleMarkdownKeyDown}
+          {...markdownDropHandlers}
+          placeholder={placeholder}
+          spellCheck
+          className="block w-full min-h-[300px] resize-y bg-transparent px-4 py-3 font-mono text-sm focus:outline-none"
+        />
+      ) : (
+        <EditorContent editor={editor} />
+      )}
+    </div>
+  );
+});
+
+PostEditor.displayName = 'PostEditor';
+
+export default PostEditor;
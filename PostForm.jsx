@@ -0,0 +1,687 @@
+import { useState, useEffect, useRef } from 'react';
+import { useForm, Controller } from 'react-hook-form';
+import { postsAPI, imagesAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import usePermission from '../hooks/usePermission';
+import useAutosave from '../hooks/useAutosave';
+import RevisionHistory from './RevisionHistory';
+import ReviewPanel from './ReviewPanel';
+import AnnotationSidebar from './AnnotationSidebar';
+import SeriesPicker from './SeriesPicker';
+import CoAuthorPicker from './CoAuthorPicker';
+import PostEditor from './PostEditor';
+import AutosaveIndicator from './AutosaveIndicator';
+import DraftRecoveryPrompt from './DraftRecoveryPrompt';
+import CategorySelect from './CategorySelect';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Switch } from '@/components/ui/switch';
+import {
+  Loader2,
+  Save,
+  Eye,
+  Upload,
+  X,
+  Plus,
+  Image as ImageIcon,
+  FileText,
+  Settings,
+  Tag,
+  ArrowLeft
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Generate slug from title
+const generateSlug = (title) => {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9 -]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .trim('-');
+};
+
+// Format a date for a datetime-local input (local time, minute precision)
+const toDateTimeLocal = (date) => {
+  const localDate = new Date(date);
+  localDate.setMinutes(localDate.getMinutes() - localDate.getTimezoneOffset());
+  return localDate.toISOString().slice(0, 16);
+};
+
+// Post form shared by CreatePost and EditPost: content, SEO, publishing options,
+// series, co-authors, featured image, tags and categories, with autosave.
+// Without `post` it starts empty; with `post` it holds that post (and follows it when it
+// is refetched, e.g. after a revision is restored) and shows the review, notes and history.
+// `onSubmit(values, { clearDraft })` saves the post; `values` are the post fields plus
+// `saveAsDraft`, and it calls `clearDraft` once the post is saved.
+const PostForm = ({ post, draftId, heading, description, onBack, onSubmit }) => {
+  const isNew = !post;
+  const [loading, setLoading] = useState(false);
+  const [imageUploading, setImageUploading] = useState(false);
+  const [tags, setTags] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [newTag, setNewTag] = useState('');
+  const [featuredImage, setFeaturedImage] = useState(null);
+  const [isDraft, setIsDraft] = useState(true);
+  const [scheduledAt, setScheduledAt] = useState('');
+  const [seriesId, setSeriesId] = useState('');
+  const [coAuthors, setCoAuthors] = useState([]);
+  const [isMarkdown, setIsMarkdown] = useState(false);
+  const [previewHtml, setPreviewHtml] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  // Set once the form holds the loaded post, so autosave starts from it
+  const [formReady, setFormReady] = useState(isNew);
+
+  const { user } = useAuth();
+
+  // Contributors can only save drafts
+  const canPublish = usePermission('post:publish');
+  const saveAsDraft = isDraft || !canPublish;
+  const canCreditAny = usePermission('post:credit:any');
+
+  // Only the main author (or an editor) decides who is credited
+  const authorId = isNew ? user?._id : (post.author?._id || post.author);
+  const canCredit = isNew || canCreditAny || authorId === user?._id;
+
+  const fileInputRef = useRef(null);
+  const editorRef = useRef(null);
+  // Last non-empty editor selection, used to anchor editorial notes
+  const [selection, setSelection] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    control,
+    formState: { errors },
+    watch,
+    setValue,
+    reset,
+  } = useForm({
+    defaultValues: {
+      title: '',
+      content: '',
+      excerpt: '',
+      metaTitle: '',
+      metaDescription: '',
+      allowComments: true,
+    },
+  });
+
+  // Initialize form with post data
+  useEffect(() => {
+    if (post) {
+      reset({
+        title: post.title,
+        content: post.content,
+        excerpt: post.excerpt || '',
+        metaTitle: post.seo?.metaTitle || '',
+        metaDescription: post.seo?.metaDescription || '',
+        allowComments: post.allowComments,
+      });
+      setTags(post.tags || []);
+      setCategories((post.categories || []).map(category => category._id || category));
+      setFeaturedImage(post.featuredImage?.url ? post.featuredImage : null);
+      setIsDraft(post.status !== 'published' && post.status !== 'archived');
+      setScheduledAt(post.scheduledAt && post.status === 'draft' ? toDateTimeLocal(post.scheduledAt) : '');
+      setSeriesId(post.series?._id || '');
+      setCoAuthors((post.coAuthors || []).filter((coAuthor) => coAuthor.user));
+      setIsMarkdown(!!post.isMarkdown);
+      setFormReady(true);
+    }
+  }, [post, reset]);
+
+  const title = watch('title');
+  const content = watch('content');
+  const excerpt = watch('excerpt');
+  const metaTitle = watch('metaTitle');
+  const metaDescription = watch('metaDescription');
+
+  // Handle image upload
+  const handleImageUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    if (file.size > 5 * 1024 * 1024) {
+      toast.error('Image size must be less than 5MB');
+      return;
+    }
+
+    setImageUploading(true);
+    try {
+      const formData = new FormData();
+      formData.append('image', file);
+
+      const response = await imagesAPI.uploadImage(formData);
+      setFeaturedImage(response.data.image);
+      toast.success('Image uploaded successfully');
+    } catch (error) {
+      toast.error('Failed to upload image');
+    } finally {
+      setImageUploading(false);
+    }
+  };
+
+  // Add tag
+  const addTag = () => {
+    if (newTag.trim() && !tags.includes(newTag.trim())) {
+      setTags([...tags, newTag.trim()]);
+      setNewTag('');
+    }
+  };
+
+  // Remove tag
+  const removeTag = (tagToRemove) => {
+    setTags(tags.filter(tag => tag !== tagToRemove));
+  };
+
+  // Autosave the form to a server-side draft and offer to restore unsaved changes
+  const autosave = useAutosave({
+    draftId,
+    data: {
+      title,
+      content,
+      isMarkdown,
+      excerpt,
+      tags,
+      categories,
+      seo: { metaTitle, metaDescription },
+      featuredImage: featuredImage?.url || '',
+      series: seriesId || null,
+      scheduledAt: scheduledAt ? new Date(scheduledAt).toISOString() : null,
+    },
+    onRestore: (draft) => {
+      setValue('title', draft.title || '');
+      setValue('content', draft.content || '');
+      setValue('excerpt', draft.excerpt || '');
+      setValue('metaTitle', draft.seo?.metaTitle || '');
+      setValue('metaDescription', draft.seo?.metaDescription || '');
+      setIsMarkdown(!!draft.isMarkdown);
+      setTags(draft.tags || []);
+      setCategories(draft.categories || []);
+      setFeaturedImage(draft.featuredImage ? { url: draft.featuredImage } : null);
+      setSeriesId(draft.series || '');
+      setScheduledAt(draft.scheduledAt ? toDateTimeLocal(draft.scheduledAt) : '');
+    },
+    ready: formReady,
+    paused: loading,
+  });
+
+  // Handle form submission
+  const submit = async (data) => {
+    if (!data.title.trim()) {
+      toast.error('Title is required');
+      return;
+    }
+
+    if (!data.content.trim()) {
+      toast.error('Content is required');
+      return;
+    }
+
+    if (scheduledAt && new Date(scheduledAt) <= new Date()) {
+      toast.error('Scheduled time must be in the future');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await onSubmit({
+        ...data,
+        slug: generateSlug(data.title),
+        tags,
+        categories,
+        featuredImage: featuredImage?.url,
+        scheduledAt: scheduledAt ? new Date(scheduledAt).toISOString() : null,
+        series: seriesId || null,
+        ...(canCredit && {
+          coAuthors: coAuthors.map((coAuthor, index) => ({ user: coAuthor.user._id, role: coAuthor.role, order: index })),
+        }),
+        isMarkdown,
+        saveAsDraft,
+      }, { clearDraft: autosave.clear });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // A preview of older content would be misleading
+  useEffect(() => {
+    setPreviewHtml(null);
+  }, [content]);
+
+  // Show the content as it will be published (rendered and sanitized by the server,
+  // with embeds for YouTube, gist, tweet and CodePen URLs), or hide the preview
+  const togglePreview = async () => {
+    if (previewHtml !== null) {
+      setPreviewHtml(null);
+      return;
+    }
+
+    if (!content || !content.trim()) {
+      toast.error('Write some content to preview');
+      return;
+    }
+
+    setPreviewLoading(true);
+    try {
+      const response = await postsAPI.previewContent({ content, isMarkdown });
+      setPreviewHtml(response.data.html);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to render preview');
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  // Auto-generate meta title and description
+  const autoGenerateMeta = () => {
+    if (title) {
+      setValue('metaTitle', title);
+    }
+    if (content) {
+      const textContent = content.replace(/<[^>]*>/g, '').substring(0, 160);
+      setValue('metaDescription', textContent);
+    }
+  };
+
+  const submitLabel = isNew
+    ? (scheduledAt ? 'Schedule Post' : saveAsDraft ? 'Save Draft' : 'Publish Post')
+    : 'Update Post';
+  const submittingLabel = isNew
+    ? (scheduledAt ? 'Scheduling...' : saveAsDraft ? 'Saving Draft...' : 'Publishing...')
+    : 'Updating...';
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-6xl">
+      <div className="mb-8 flex flex-wrap items-center gap-4">
+        {onBack && (
+          <Button variant="ghost" size="icon" onClick={onBack}>
+            <ArrowLeft className="h-4 w-4" />
+          </Button>
+        )}
+        <div>
+          <h1 className="text-3xl font-bold">{heading}</h1>
+          <p className="text-muted-foreground">
+            {description}
+          </p>
+        </div>
+        <div className="ml-auto">
+          <AutosaveIndicator autosave={autosave} />
+        </div>
+      </div>
+
+      <DraftRecoveryPrompt autosave={autosave} />
+
+      <form onSubmit={handleSubmit(submit)}>
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Main Content */}
+          <div className="lg:col-span-2 space-y-6">
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <FileText className="h-5 w-5" />
+                  Post Content
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="title">Title *</Label>
+                  <Input
+                    id="title"
+                    placeholder="Enter your post title..."
+                    {...register('title', { required: 'Title is required' })}
+                  />
+                  {errors.title && (
+                    <p className="text-sm text-destructive">{errors.title.message}</p>
+                  )}
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="content">Content *</Label>
+                  <Controller
+                    name="content"
+                    control={control}
+                    rules={{ required: 'Content is required' }}
+                    render={({ field }) => (
+                      <PostEditor
+                        ref={editorRef}
+                        value={field.value}
+                        onChange={field.onChange}
+                        isMarkdown={isMarkdown}
+                        onMarkdownChange={(value) => {
+                          setIsMarkdown(value);
+                          // Offsets of a selection don't carry over to the converted content
+                          setSelection(null);
+                        }}
+                        onSelectionChange={(range) => range.length > 0 && setSelection(range)}
+                      />
+                    )}
+                  />
+                  {errors.content && (
+                    <p className="text-sm text-destructive">{errors.content.message}</p>
+                  )}
+                  <p className="text-xs text-muted-foreground">
+                    Paste a YouTube, Vimeo, GitHub gist, tweet or CodePen link on its own line
+                    (or write {'{% embed url %}'}) to embed it
+                  </p>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="excerpt">Excerpt</Label>
+                  <Textarea
+                    id="excerpt"
+                    placeholder="Brief description of your post..."
+                    className="min-h-[100px]"
+                    {...register('excerpt')}
+                  />
+                  <p className="text-xs text-muted-foreground">
+                    Optional excerpt that will be shown in post previews
+                  </p>
+                </div>
+              </CardContent>
+            </Card>
+
+            {/* Preview */}
+            {previewHtml !== null && (
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <Eye className="h-5 w-5" />
+                    Preview
+                  </CardTitle>
+                  <CardDescription>
+                    How the content will look once published
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  {/* Rendered and sanitized by the server */}
+                  <div
+                    className="prose prose-lg dark:prose-invert max-w-none"
+                    dangerouslySetInnerHTML={{ __html: previewHtml }}
+                  />
+                </CardContent>
+              </Card>
+            )}
+
+            {/* SEO Settings */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Settings className="h-5 w-5" />
+                  SEO Settings
+                </CardTitle>
+                <CardDescription>
+                  Optimize your post for search engines
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="flex justify-end">
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={autoGenerateMeta}
+                  >
+                    Auto-generate
+                  </Button>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="metaTitle">Meta Title</Label>
+                  <Input
+                    id="metaTitle"
+                    placeholder="SEO title for search engines..."
+                    {...register('metaTitle')}
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="metaDescription">Meta Description</Label>
+                  <Textarea
+                    id="metaDescription"
+                    placeholder="SEO description for search engines..."
+                    {...register('metaDescription')}
+                  />
+                  <p className="text-xs text-muted-foreground">
+                    Recommended length: 150-160 characters
+                  </p>
+                </div>
+              </CardContent>
+            </Card>
+          </div>
+
+          {/* Sidebar */}
+          <div className="space-y-6">
+            {/* Publish Settings */}
+            <Card>
+              <CardHeader>
+                <CardTitle>{isNew ? 'Publish' : 'Update'}</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="flex items-center justify-between">
+                  <Label htmlFor="isDraft">Save as Draft</Label>
+                  <Switch
+                    id="isDraft"
+                    checked={saveAsDraft}
+                    disabled={!canPublish}
+                    onCheckedChange={setIsDraft}
+                  />
+                </div>
+                {!canPublish && (
+                  <p className="text-xs text-muted-foreground">
+                    Your role can save drafts; an editor publishes them.
+                  </p>
+                )}
+
+                <div className="flex items-center justify-between">
+                  <Label htmlFor="allowComments">Allow Comments</Label>
+                  <Switch
+                    id="allowComments"
+                    {...register('allowComments')}
+                  />
+                </div>
+
+                {canPublish && (
+                  <div className="space-y-2">
+                    <Label htmlFor="scheduledAt">Schedule Publication</Label>
+                    <div className="flex gap-2">
+                      <Input
+                        id="scheduledAt"
+                        type="datetime-local"
+                        value={scheduledAt}
+                        min={toDateTimeLocal(new Date())}
+                        onChange={(e) => setScheduledAt(e.target.value)}
+                      />
+                      {scheduledAt && (
+                        <Button
+                          type="button"
+                          variant="ghost"
+                          size="icon"
+                          onClick={() => setScheduledAt('')}
+                        >
+                          <X className="h-4 w-4" />
+                        </Button>
+                      )}
+                    </div>
+                    <p className="text-xs text-muted-foreground">
+                      {scheduledAt
+                        ? 'The post stays a draft and is published automatically at this time'
+                        : 'Leave empty to publish or save right away'}
+                    </p>
+                  </div>
+                )}
+
+                <div className="flex flex-col gap-2">
+                  <Button type="submit" disabled={loading}>
+                    {loading ? (
+                      <>
+                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                        {submittingLabel}
+                      </>
+                    ) : (
+                      <>
+                        <Save className="mr-2 h-4 w-4" />
+                        {submitLabel}
+                      </>
+                    )}
+                  </Button>
+
+                  <Button type="button" variant="outline" onClick={togglePreview} disabled={previewLoading}>
+                    {previewLoading ? (
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    ) : (
+                      <Eye className="mr-2 h-4 w-4" />
+                    )}
+                    {previewHtml !== null ? 'Hide Preview' : 'Preview'}
+                  </Button>
+                </div>
+              </CardContent>
+            </Card>
+
+            {/* Series */}
+            <SeriesPicker value={seriesId} onChange={setSeriesId} postId={post?._id} />
+
+            {/* Co-authors */}
+            {canCredit && (
+              <CoAuthorPicker value={coAuthors} onChange={setCoAuthors} authorId={authorId} />
+            )}
+
+            {!isNew && (
+              <>
+                {/* Editorial Review */}
+                <ReviewPanel post={post} />
+
+                {/* Editorial Notes */}
+                <AnnotationSidebar
+                  postId={post._id}
+                  getEditor={() => editorRef.current}
+                  selection={selection}
+                  isMarkdown={isMarkdown}
+                />
+
+                {/* Revision History */}
+                <RevisionHistory postId={post._id} />
+              </>
+            )}
+
+            {/* Featured Image */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <ImageIcon className="h-5 w-5" />
+                  Featured Image
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {featuredImage ? (
+                  <div className="relative">
+                    <img
+                      src={featuredImage.url}
+                      alt="Featured"
+                      className="w-full h-40 object-cover rounded-lg"
+                    />
+                    <Button
+                      type="button"
+                      variant="destructive"
+                      size="icon"
+                      className="absolute top-2 right-2"
+                      onClick={() => setFeaturedImage(null)}
+                    >
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </div>
+                ) : (
+                  <div className="border-2 border-dashed border-muted-foreground/25 rounded-lg p-6 text-center">
+                    <ImageIcon className="mx-auto h-12 w-12 text-muted-foreground/50" />
+                    <p className="mt-2 text-sm text-muted-foreground">
+                      No image selected
+                    </p>
+                  </div>
+                )}
+
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept="image/*"
+                  onChange={handleImageUpload}
+                  className="hidden"
+                />
+
+                <Button
+                  type="button"
+                  variant="outline"
+                  className="w-full"
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={imageUploading}
+                >
+                  {imageUploading ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      Uploading...
+                    </>
+                  ) : (
+                    <>
+                      <Upload className="mr-2 h-4 w-4" />
+                      {featuredImage ? 'Change Image' : 'Upload Image'}
+                    </>
+                  )}
+                </Button>
+              </CardContent>
+            </Card>
+
+            {/* Tags */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Tag className="h-5 w-5" />
+                  Tags
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="flex gap-2">
+                  <Input
+                    placeholder="Add tag..."
+                    value={newTag}
+                    onChange={(e) => setNewTag(e.target.value)}
+                    onKeyPress={(e) => e.key === 'Enter' && (e.preventDefault(), addTag())}
+                  />
+                  <Button type="button" size="icon" onClick={addTag}>
+                    <Plus className="h-4 w-4" />
+                  </Button>
+                </div>
+
+                <div className="flex flex-wrap gap-2">
+                  {tags.map((tag) => (
+                    <Badge key={tag} variant="secondary" className="flex items-center gap-1">
+                      {tag}
+                      <X
+                        className="h-3 w-3 cursor-pointer"
+                        onClick={() => removeTag(tag)}
+                      />
+                    </Badge>
+                  ))}
+                </div>
+              </CardContent>
+            </Card>
+
+            {/* Categories */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Categories</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <CategorySelect value={categories} onChange={setCategories} />
+              </CardContent>
+            </Card>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PostForm;
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const { applyCursor } = require('../utils/pagination');
+
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost',
+    required: true,
+    index: true
+  },
+  revisionNumber: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  isMarkdown: {
+    type: Boolean,
+    default: false
+  },
+  excerpt: {
+    type: String,
+    default: ''
+  },
+  tags: [{
+    type: String
+  }],
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  seo: {
+    metaTitle: { type: String, default: '' },
+    metaDescription: { type: String, default: '' },
+    keywords: [{ type: String }]
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    enum: ['create', 'update', 'restore'],
+    default: 'update'
+  },
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PostRevision',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+postRevisionSchema.index({ post: 1, revisionNumber: -1 }, { unique: true });
+
+// Fields copied from a BlogPost into each revision
+postRevisionSchema.statics.SNAPSHOT_FIELDS = ['title', 'content', 'isMarkdown', 'excerpt', 'tags', 'categories', 'seo'];
+
+// Attempts at numbering a revision before giving up on concurrent updates
+const SNAPSHOT_ATTEMPTS = 5;
+
+// Static method to snapshot the current state of a post
+// Concurrent updates can pick the same revision number; the unique index rejects
+// all but one of them and the others retry with the next number
+postRevisionSchema.statics.snapshot = async function(post, userId, options = {}) {
+  const seo = post.seo || {};
+  const fields = {
+    post: post._id,
+    title: post.title,
+    content: post.content,
+    isMarkdown: !!post.isMarkdown,
+    excerpt: post.excerpt || '',
+    tags: post.tags || [],
+    categories: post.categories || [],
+    seo: {
+      metaTitle: seo.metaTitle || '',
+      metaDescription: seo.metaDescription || '',
+      keywords: seo.keywords || []
+    },
+    editedBy: userId || null,
+    reason: options.reason || 'update',
+    restoredFrom: options.restoredFrom || null
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ post: post._id })
+      .sort({ revisionNumber: -1 })
+      .select('revisionNumber');
+
+    try {
+      return await this.create({
+        ...fields,
+        revisionNumber: latest ? latest.revisionNumber + 1 : 1
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= SNAPSHOT_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Static method to list revisions for a post (newest first, without content)
+// `after` is a decoded cursor to continue after
+postRevisionSchema.statics.findByPost = function(postId, { after = null } = {}) {
+  const query = { post: postId };
+  if (after) applyCursor(query, 'revisionNumber', -1, after);
+
+  return this.find(query)
+    .select('-content')
+    .populate('editedBy', 'username firstName lastName avatar')
+    .sort({ revisionNumber: -1, _id: -1 });
+};
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
@@ -1,7 +1,9 @@
 import { useState } from 'react';
 import { useForm } from 'react-hook-form';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useAuth } from '../contexts/AuthContext';
 import { authAPI } from '../services/api';
+import TwoFactorSettings from '../components/TwoFactorSettings';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
@@ -23,7 +25,9 @@ import {
   Save,
   Lock,
   Eye,
-  EyeOff
+  EyeOff,
+  Monitor,
+  LogOut
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
@@ -62,6 +66,39 @@ const Profile = () => {
   } = useForm();
 
   const newPassword = watch('newPassword');
+  const queryClient = useQueryClient();
+
+  // Fetch active sessions (logged-in devices)
+  const { data: sessionsData, isLoading: sessionsLoading } = useQuery({
+    queryKey: ['sessions'],
+    queryFn: () => authAPI.getSessions(),
+  });
+
+  const sessions = sessionsData?.data?.sessions || [];
+
+  // Revoke a single session
+  const revokeSessionMutation = useMutation({
+    mutationFn: (sessionId) => authAPI.revokeSession(sessionId),
+    onSuccess: () => {
+      toast.success('Device signed out');
+      queryClient.invalidateQueries(['sessions']);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to sign out device');
+    },
+  });
+
+  // Revoke every session except the current one
+  const revokeOtherSessionsMutation = useMutation({
+    mutationFn: () => authAPI.revokeOtherSessions(),
+    onSuccess: (response) => {
+      toast.success(`Signed out ${response.data?.revoked || 0} other device(s)`);
+      queryClient.invalidateQueries(['sessions']);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to sign out other devices');
+    },
+  });
 
   const onProfileSubmit = async (data) => {
     setLoading(true);
@@ -445,6 +482,75 @@ const Profile = () => {
               </form>
             </CardContent>
           </Card>
+
+          <TwoFactorSettings />
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <Monitor className="h-5 w-5" />
+                Active Sessions
+              </CardTitle>
+              <CardDescription>
+                Devices that are currently signed in to your account
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {sessionsLoading ? (
+                <div className="flex justify-center py-4">
+                  <Loader2 className="h-5 w-5 animate-spin" />
+                </div>
+              ) : sessions.length === 0 ? (
+                <p className="text-sm text-muted-foreground">No active sessions</p>
+              ) : (
+                <div className="space-y-3">
+                  {sessions.map((session) => (
+                    <div key={session._id} className="flex items-center justify-between p-3 border rounded-lg">
+                      <div>
+                        <div className="flex items-center gap-2">
+                          <p className="font-medium text-sm">{session.device}</p>
+                          {session.isCurrent && <Badge variant="secondary">This device</Badge>}
+                        </div>
+                        <p className="text-xs text-muted-foreground">
+                          {session.ipAddress} • Last active {new Date(session.lastUsedAt).toLocaleString()}
+                        </p>
+                      </div>
+                      {!session.isCurrent && (
+                        <Button
+                          type="button"
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => revokeSessionMutation.mutate(session._id)}
+                          disabled={revokeSessionMutation.isLoading}
+                        >
+                          Sign out
+                        </Button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {sessions.some(session => !session.isCurrent) && (
+                <>
+                  <Separator />
+                  <Button
+                    type="button"
+                    variant="outline"
+                    onClick={() => revokeOtherSessionsMutation.mutate()}
+                    disabled={revokeOtherSessionsMutation.isLoading}
+                  >
+                    {revokeOtherSessionsMutation.isLoading ? (
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    ) : (
+                      <LogOut className="mr-2 h-4 w-4" />
+                    )}
+                    Log out other devices
+                  </Button>
+                </>
+              )}
+            </CardContent>
+          </Card>
         </TabsContent>
 
         <TabsContent value="preferences" className="space-y-6">
@@ -0,0 +1,78 @@
+import { Link } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { postsAPI } from '../services/api';
+import { Card, CardContent } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Separator } from '@/components/ui/separator';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Clock, Library } from 'lucide-react';
+
+// "Related posts" cards shown at the end of a post
+const RelatedPosts = ({ postId, limit = 4 }) => {
+  const { data, isLoading } = useQuery({
+    queryKey: ['related-posts', postId, limit],
+    queryFn: () => postsAPI.getRelatedPosts(postId, { limit }),
+    enabled: !!postId,
+    staleTime: 5 * 60 * 1000,
+  });
+
+  const posts = data?.data?.posts || [];
+
+  if (!isLoading && posts.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="space-y-4">
+      <Separator className="my-8" />
+      <h2 className="text-2xl font-bold">Related posts</h2>
+
+      <div className="grid gap-4 sm:grid-cols-2">
+        {isLoading
+          ? Array.from({ length: 2 }).map((_, index) => <Skeleton key={index} className="h-40" />)
+          : posts.map((post) => (
+            <Card key={post._id} className="overflow-hidden">
+              {post.featuredImage?.url && (
+                <Link to={`/post/${post.slug}`} className="block aspect-video overflow-hidden">
+                  <img
+                    src={post.featuredImage.url}
+                    alt={post.featuredImage.alt || post.title}
+                    className="w-full h-full object-cover hover:scale-105 transition-transform"
+                  />
+                </Link>
+              )}
+              <CardContent className="p-4 space-y-2">
+                <h3 className="font-semibold leading-snug">
+                  <Link to={`/post/${post.slug}`} className="hover:text-primary transition-colors">
+                    {post.title}
+                  </Link>
+                </h3>
+                {post.excerpt && (
+                  <p className="text-sm text-muted-foreground line-clamp-2">{post.excerpt}</p>
+                )}
+                <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+                  {post.sameSeries && (
+                    <Badge variant="secondary" className="text-xs">
+                      <Library className="mr-1 h-3 w-3" />
+                      Same series
+                    </Badge>
+                  )}
+                  {post.sharedTags.slice(0, 3).map((tag) => (
+                    <Badge key={tag} variant="outline" className="text-xs">#{tag}</Badge>
+                  ))}
+                  {post.readTime && (
+                    <span className="flex items-center gap-1">
+                      <Clock className="h-3 w-3" />
+                      {post.readTime} min read
+                    </span>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+      </div>
+    </section>
+  );
+};
+
+export default RelatedPosts;
@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { postsAPI } from '../services/api';
+import usePermission from '../hooks/usePermission';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { ClipboardCheck, Send, CheckCircle2, MessageSquareWarning, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  in_review: 'In review',
+  changes_requested: 'Changes requested',
+  published: 'Published',
+  archived: 'Archived',
+};
+
+const ACTION_LABELS = {
+  submit: 'Submitted for review',
+  approve: 'Approved',
+  request_changes: 'Requested changes',
+};
+
+// Review status, history and actions of a post (submit, approve, request changes)
+const ReviewPanel = ({ post, onChanged = () => {} }) => {
+  const [note, setNote] = useState('');
+  const canReview = usePermission('post:review');
+  const queryClient = useQueryClient();
+
+  const actionMutation = useMutation({
+    mutationFn: ({ action, note }) => {
+      if (action === 'submit') return postsAPI.submitForReview(post._id, note);
+      if (action === 'approve') return postsAPI.approvePost(post._id, note);
+      return postsAPI.requestChanges(post._id, note);
+    },
+    onSuccess: (response) => {
+      toast.success(response.message);
+      setNote('');
+      queryClient.invalidateQueries(['post', post._id]);
+      queryClient.invalidateQueries(['review-queue']);
+      onChanged(response.data.post);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to update review status');
+    },
+  });
+
+  const canSubmit = ['draft', 'changes_requested'].includes(post.status);
+  const isInReview = post.status === 'in_review';
+  const history = [...(post.reviewHistory || [])].reverse();
+  const runAction = (action) => actionMutation.mutate({ action, note: note.trim() });
+
+  if (!canSubmit && !isInReview && history.length === 0) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ClipboardCheck className="h-5 w-5" />
+          Review
+        </CardTitle>
+        <CardDescription>
+          Status: <Badge variant="outline">{STATUS_LABELS[post.status] || post.status}</Badge>
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {(canSubmit || (isInReview && canReview)) && (
+          <div className="space-y-2">
+            <Textarea
+              placeholder={isInReview ? 'Notes for the writer' : 'Notes for the editor (optional)'}
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              rows={3}
+            />
+            <div className="flex flex-wrap gap-2">
+              {canSubmit && (
+                <Button type="button" size="sm" onClick={() => runAction('submit')} disabled={actionMutation.isLoading}>
+                  {actionMutation.isLoading ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Send className="mr-2 h-4 w-4" />}
+                  Submit for review
+                </Button>
+              )}
+              {isInReview && canReview && (
+                <>
+                  <Button type="button" size="sm" onClick={() => runAction('approve')} disabled={actionMutation.isLoading}>
+                    <CheckCircle2 className="mr-2 h-4 w-4" />
+                    Approve
+                  </Button>
+                  <Button
+                    type="button"
+                    size="sm"
+                    variant="outline"
+                    onClick={() => runAction('request_changes')}
+                    disabled={actionMutation.isLoading || !note.trim()}
+                  >
+                    <MessageSquareWarning className="mr-2 h-4 w-4" />
+                    Request changes
+                  </Button>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
+        {history.length > 0 && (
+          <div className="space-y-3">
+            {history.map((entry) => (
+              <div key={entry._id} className="text-sm border-l-2 pl-3">
+                <p className="font-medium">
+                  {ACTION_LABELS[entry.action]}
+                  {entry.user?.username && <span className="text-muted-foreground font-normal"> by {entry.user.username}</span>}
+                </p>
+                <p className="text-xs text-muted-foreground">{new Date(entry.createdAt).toLocaleString()}</p>
+                {entry.note && <p className="mt-1 whitespace-pre-wrap">{entry.note}</p>}
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ReviewPanel;
@@ -0,0 +1,219 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { postsAPI } from '../services/api';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import { History, RotateCcw, GitCompare, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const DiffText = ({ ops }) => (
+  <p className="text-sm leading-relaxed whitespace-pre-wrap">
+    {ops.map((op, index) => {
+      if (op.type === 'insert') {
+        return (
+          <ins key={index} className="bg-green-500/20 text-green-700 dark:text-green-400 no-underline">
+            {op.value}
+          </ins>
+        );
+      }
+      if (op.type === 'delete') {
+        return (
+          <del key={index} className="bg-red-500/20 text-red-700 dark:text-red-400">
+            {op.value}
+          </del>
+        );
+      }
+      return <span key={index}>{op.value}</span>;
+    })}
+  </p>
+);
+
+const ListDiff = ({ label, diff }) => {
+  if (!diff || (diff.added.length === 0 && diff.removed.length === 0)) return null;
+
+  return (
+    <div className="space-y-1">
+      <p className="text-xs font-medium text-muted-foreground">{label}</p>
+      <div className="flex flex-wrap gap-1">
+        {diff.added.map((item) => (
+          <Badge key={`+${item}`} variant="secondary">+ {item}</Badge>
+        ))}
+        {diff.removed.map((item) => (
+          <Badge key={`-${item}`} variant="outline" className="line-through">{item}</Badge>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const RevisionHistory = ({ postId, onRestored = () => {} }) => {
+  const [selected, setSelected] = useState([]);
+  const queryClient = useQueryClient();
+
+  // Fetch revision list
+  const { data: revisionsData, isLoading } = useQuery({
+    queryKey: ['post-revisions', postId],
+    queryFn: () => postsAPI.getRevisions(postId),
+    enabled: !!postId,
+  });
+
+  const revisions = revisionsData?.data?.revisions || [];
+
+  // Selected revisions are compared oldest -> newest
+  const [from, to] = [...selected].sort((a, b) => a.revisionNumber - b.revisionNumber);
+
+  // Fetch diff between the two selected revisions
+  const { data: diffData, isFetching: diffLoading } = useQuery({
+    queryKey: ['post-revision-diff', postId, from?._id, to?._id],
+    queryFn: () => postsAPI.getRevisionDiff(postId, from._id, to._id),
+    enabled: !!from && !!to,
+  });
+
+  const diff = diffData?.data?.diff;
+
+  // Restore revision mutation
+  const restoreMutation = useMutation({
+    mutationFn: (revisionId) => postsAPI.restoreRevision(postId, revisionId),
+    onSuccess: (response) => {
+      toast.success(response.message || 'Revision restored');
+      setSelected([]);
+      queryClient.invalidateQueries(['post-revisions', postId]);
+      queryClient.invalidateQueries(['post', postId]);
+      onRestored(response.data?.post);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to restore revision');
+    },
+  });
+
+  const toggleSelected = (revision) => {
+    if (selected.some(item => item._id === revision._id)) {
+      setSelected(selected.filter(item => item._id !== revision._id));
+    } else {
+      // Keep at most two revisions selected for comparison
+      setSelected([...selected, revision].slice(-2));
+    }
+  };
+
+  const handleRestore = (revision) => {
+    if (window.confirm(`Restore revision #${revision.revisionNumber}? Your current content will be kept in the history.`)) {
+      restoreMutation.mutate(revision._id);
+    }
+  };
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <History className="h-5 w-5" />
+          History
+        </CardTitle>
+        <CardDescription>
+          Select two revisions to compare them
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isLoading ? (
+          <div className="space-y-2">
+            {[...Array(3)].map((_, i) => (
+              <Skeleton key={i} className="h-12 w-full" />
+            ))}
+          </div>
+        ) : revisions.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No revisions yet</p>
+        ) : (
+          <div className="space-y-2 max-h-72 overflow-y-auto">
+            {revisions.map((revision, index) => {
+              const isSelected = selected.some(item => item._id === revision._id);
+              return (
+                <div
+                  key={revision._id}
+                  className={`flex items-center justify-between p-2 border rounded-md cursor-pointer transition-colors ${
+                    isSelected ? 'border-primary bg-primary/5' : 'hover:bg-muted/50'
+                  }`}
+                  onClick={() => toggleSelected(revision)}
+                >
+                  <div className="text-sm">
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium">#{revision.revisionNumber}</span>
+                      {index === 0 && <Badge variant="secondary">Current</Badge>}
+                      {revision.reason === 'restore' && <Badge variant="outline">Restored</Badge>}
+                    </div>
+                    <p className="text-xs text-muted-foreground">
+                      {formatDate(revision.createdAt)}
+                      {revision.editedBy && ` • ${revision.editedBy.firstName} ${revision.editedBy.lastName}`}
+                    </p>
+                  </div>
+                  {index > 0 && (
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      title="Restore this revision"
+                      disabled={restoreMutation.isLoading}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleRestore(revision);
+                      }}
+                    >
+                      <RotateCcw className="h-4 w-4" />
+                    </Button>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {from && to && (
+          <div className="space-y-3 border-t pt-4">
+            <p className="flex items-center gap-2 text-sm font-medium">
+              <GitCompare className="h-4 w-4" />
+              #{from.revisionNumber} → #{to.revisionNumber}
+            </p>
+            {diffLoading || !diff ? (
+              <div className="flex justify-center py-4">
+                <Loader2 className="h-5 w-5 animate-spin" />
+              </div>
+            ) : !diffData.data.changed && !diff.tags.added.length && !diff.tags.removed.length ? (
+              <p className="text-sm text-muted-foreground">No differences</p>
+            ) : (
+              <div className="space-y-3 max-h-96 overflow-y-auto">
+                <div className="space-y-1">
+                  <p className="text-xs font-medium text-muted-foreground">Title</p>
+                  <DiffText ops={diff.title} />
+                </div>
+                {diff.excerpt.some(op => op.type !== 'equal') && (
+                  <div className="space-y-1">
+                    <p className="text-xs font-medium text-muted-foreground">Excerpt</p>
+                    <DiffText ops={diff.excerpt} />
+                  </div>
+                )}
+                <div className="space-y-1">
+                  <p className="text-xs font-medium text-muted-foreground">Content</p>
+                  <DiffText ops={diff.content} />
+                </div>
+                <ListDiff label="Tags" diff={diff.tags} />
+                <ListDiff label="Categories" diff={diff.categories} />
+                <ListDiff label="SEO keywords" diff={diff.seo.keywords} />
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RevisionHistory;
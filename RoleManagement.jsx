@@ -0,0 +1,178 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { adminAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Users, Search, ChevronLeft, ChevronRight } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const ROLE_DESCRIPTIONS = {
+  admin: 'Full access, including user and role management',
+  editor: "Publishes and edits anyone's posts, moderates comments",
+  author: 'Writes and publishes their own posts',
+  contributor: 'Writes drafts that an editor publishes',
+  subscriber: 'Reads and comments',
+};
+
+const RoleManagement = () => {
+  const { user: currentUser } = useAuth();
+  const [roleFilter, setRoleFilter] = useState('');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const queryClient = useQueryClient();
+
+  // Fetch roles with their permissions and user counts
+  const { data: rolesData, isLoading: rolesLoading } = useQuery({
+    queryKey: ['roles'],
+    queryFn: () => adminAPI.getRoles(),
+  });
+
+  // Fetch users for the current filter
+  const { data: usersData, isLoading: usersLoading } = useQuery({
+    queryKey: ['role-users', roleFilter, search, page],
+    queryFn: () => adminAPI.getRoleUsers({ role: roleFilter, search, page }),
+    keepPreviousData: true,
+  });
+
+  const roles = rolesData?.data?.roles || [];
+  const users = usersData?.data?.users || [];
+  const pagination = usersData?.data?.pagination;
+
+  const updateRoleMutation = useMutation({
+    mutationFn: ({ userId, role }) => adminAPI.updateUserRole(userId, role),
+    onSuccess: (response) => {
+      toast.success(`${response.data.user.username} is now ${response.data.user.role === 'admin' ? 'an' : 'a'} ${response.data.user.role}`);
+      queryClient.invalidateQueries(['roles']);
+      queryClient.invalidateQueries(['role-users']);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to update role');
+    },
+  });
+
+  const selectRole = (role) => {
+    setRoleFilter(roleFilter === role ? '' : role);
+    setPage(1);
+  };
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold flex items-center gap-2">
+          <Users className="h-7 w-7" />
+          Roles
+        </h1>
+        <p className="text-muted-foreground">Manage what each user is allowed to do</p>
+      </div>
+
+      <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-5">
+        {rolesLoading
+          ? Array.from({ length: 5 }).map((_, index) => <Skeleton key={index} className="h-28" />)
+          : roles.map((role) => (
+            <Card
+              key={role.name}
+              className={`cursor-pointer transition-colors ${roleFilter === role.name ? 'border-primary' : ''}`}
+              onClick={() => selectRole(role.name)}
+            >
+              <CardHeader className="pb-2">
+                <CardTitle className="text-base capitalize flex items-center justify-between">
+                  {role.name}
+                  <Badge variant="secondary">{role.userCount}</Badge>
+                </CardTitle>
+                <CardDescription className="text-xs">{ROLE_DESCRIPTIONS[role.name]}</CardDescription>
+              </CardHeader>
+            </Card>
+          ))}
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Users</CardTitle>
+          <CardDescription>
+            {roleFilter ? `Showing ${roleFilter}s` : 'Showing all users'} • select a card above to filter by role
+          </CardDescription>
+          <div className="relative pt-2">
+            <Search className="absolute left-3 top-5 h-4 w-4 text-muted-foreground" />
+            <Input
+              placeholder="Search by name, username or email"
+              className="pl-10"
+              value={search}
+              onChange={(e) => {
+                setSearch(e.target.value);
+                setPage(1);
+              }}
+            />
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {usersLoading ? (
+            Array.from({ length: 5 }).map((_, index) => <Skeleton key={index} className="h-14" />)
+          ) : users.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-6">No users found</p>
+          ) : (
+            users.map((user) => (
+              <div key={user._id} className="flex items-center justify-between p-3 border rounded-lg">
+                <div className="flex items-center gap-3">
+                  <Avatar className="h-9 w-9">
+                    <AvatarImage src={user.avatar} alt={user.username} />
+                    <AvatarFallback>{user.firstName?.[0]}{user.lastName?.[0]}</AvatarFallback>
+                  </Avatar>
+                  <div>
+                    <p className="font-medium text-sm">
+                      {user.firstName} {user.lastName}
+                      {!user.isActive && <Badge variant="outline" className="ml-2">Inactive</Badge>}
+                    </p>
+                    <p className="text-xs text-muted-foreground">@{user.username} • {user.email}</p>
+                  </div>
+                </div>
+                <select
+                  className="h-9 rounded-md border border-input bg-background px-3 text-sm capitalize"
+                  value={user.role}
+                  disabled={user._id === currentUser?._id || updateRoleMutation.isLoading}
+                  onChange={(e) => updateRoleMutation.mutate({ userId: user._id, role: e.target.value })}
+                >
+                  {roles.map((role) => (
+                    <option key={role.name} value={role.name}>{role.name}</option>
+                  ))}
+                </select>
+              </div>
+            ))
+          )}
+
+          {pagination && pagination.pages > 1 && (
+            <div className="flex items-center justify-between pt-2">
+              <p className="text-sm text-muted-foreground">
+                Page {pagination.current} of {pagination.pages}
+              </p>
+              <div className="flex gap-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setPage(page - 1)}
+                  disabled={page <= 1}
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setPage(page + 1)}
+                  disabled={page >= pagination.pages}
+                >
+                  <ChevronRight className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default RoleManagement;
@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+import { Clock } from 'lucide-react';
+
+const formatRemaining = (ms) => {
+  const totalMinutes = Math.ceil(ms / 60000);
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+};
+
+const ScheduledCountdown = ({ date, className = '' }) => {
+  const [now, setNow] = useState(Date.now());
+
+  // Re-render every 30 seconds so the countdown stays current
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const remaining = new Date(date).getTime() - now;
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 ${className}`}
+      title={new Date(date).toLocaleString()}
+    >
+      <Clock className="h-3 w-3" />
+      {remaining > 0 ? `Publishes in ${formatRemaining(remaining)}` : 'Publishing shortly'}
+    </span>
+  );
+};
+
+export default ScheduledCountdown;
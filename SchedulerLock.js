@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const schedulerLockSchema = new mongoose.Schema({
+  // Lock name, e.g. 'publish-scheduled-posts'
+  _id: {
+    type: String
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to acquire (or renew) a named lease
+// Resolves to true when the caller holds the lease until `ttlMs` from now
+schedulerLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [
+          { lockedUntil: { $lte: now } },
+          { owner }
+        ]
+      },
+      { owner, lockedUntil: new Date(now.getTime() + ttlMs) },
+      { new: true, upsert: true }
+    );
+
+    return lock.owner === owner;
+  } catch (error) {
+    // Duplicate key: another instance holds an unexpired lease
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Static method to release a lease held by the caller
+schedulerLockSchema.statics.release = function(name, owner) {
+  return this.updateOne(
+    { _id: name, owner },
+    { lockedUntil: new Date(0) }
+  );
+};
+
+module.exports = mongoose.model('SchedulerLock', schedulerLockSchema);
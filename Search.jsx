@@ -0,0 +1,250 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { searchAPI } from '../services/api';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Search as SearchIcon, ChevronLeft, ChevronRight, X } from 'lucide-react';
+
+const RESULTS_PER_PAGE = 10;
+
+// Facet filters, in sidebar order; `value` is what the filter sends, `label` what is shown
+const FACETS = [
+  { key: 'categories', title: 'Categories', value: (item) => item.slug, label: (item) => item.name },
+  { key: 'tags', title: 'Tags', value: (item) => item.value, label: (item) => `#${item.value}` },
+  { key: 'authors', title: 'Authors', value: (item) => item.username, label: (item) => `${item.firstName} ${item.lastName}` },
+  { key: 'years', title: 'Year', value: (item) => String(item.value), label: (item) => item.value },
+];
+
+const readList = (params, key) => (params.get(key) || '').split(',').filter(Boolean);
+
+// Search results page: relevance-ranked posts with highlights and facet filters
+// All state lives in the URL so searches can be shared and navigated back to
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+  const page = parseInt(searchParams.get('page')) || 1;
+  const [input, setInput] = useState(query);
+
+  useEffect(() => {
+    setInput(query);
+  }, [query]);
+
+  const filters = Object.fromEntries(FACETS.map(({ key }) => [key, readList(searchParams, key)]));
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['search', searchParams.toString()],
+    queryFn: () => searchAPI.search({
+      q: query,
+      page,
+      limit: RESULTS_PER_PAGE,
+      ...Object.fromEntries(
+        Object.entries(filters)
+          .filter(([, values]) => values.length > 0)
+          .map(([key, values]) => [key, values.join(',')])
+      ),
+    }),
+    enabled: !!query.trim(),
+    keepPreviousData: true,
+  });
+
+  const results = data?.data?.results || [];
+  const facets = data?.data?.facets;
+  const pagination = data?.data?.pagination;
+  const didYouMean = data?.data?.didYouMean;
+
+  // Update URL parameters; any change other than the page goes back to page 1
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value);
+      else next.delete(key);
+    });
+    if (!('page' in changes)) next.delete('page');
+    setSearchParams(next);
+  };
+
+  const toggleFilter = (key, value) => {
+    const values = filters[key];
+    const nextValues = values.includes(value)
+      ? values.filter((item) => item !== value)
+      : [...values, value];
+    updateParams({ [key]: nextValues.join(',') });
+  };
+
+  const clearFilters = () => {
+    updateParams(Object.fromEntries(FACETS.map(({ key }) => [key, ''])));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateParams({ q: input.trim() });
+  };
+
+  const hasFilters = FACETS.some(({ key }) => filters[key].length > 0);
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-6xl space-y-6">
+      <form onSubmit={handleSubmit} className="relative max-w-2xl">
+        <SearchIcon className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+        <Input
+          autoFocus
+          placeholder="Search posts..."
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          className="pl-10"
+        />
+      </form>
+
+      {!query.trim() ? (
+        <p className="text-muted-foreground">Enter a word or phrase to search all posts</p>
+      ) : error ? (
+        <Alert variant="destructive">
+          <AlertDescription>
+            {error.response?.data?.message || 'Search failed'}
+          </AlertDescription>
+        </Alert>
+      ) : (
+        <div className="grid gap-6 lg:grid-cols-4">
+          {/* Facet filters */}
+          <aside className="space-y-4">
+            {hasFilters && (
+              <Button variant="ghost" size="sm" onClick={clearFilters}>
+                <X className="mr-2 h-4 w-4" />
+                Clear filters
+              </Button>
+            )}
+            {facets && FACETS.map(({ key, title, value, label }) => facets[key].length > 0 && (
+              <Card key={key}>
+                <CardHeader className="pb-2">
+                  <CardTitle className="text-sm">{title}</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-1">
+                  {facets[key].map((item) => (
+                    <label key={value(item)} className="flex items-center justify-between gap-2 text-sm cursor-pointer">
+                      <span className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          className="h-4 w-4 rounded border-input"
+                          checked={filters[key].includes(value(item))}
+                          onChange={() => toggleFilter(key, value(item))}
+                        />
+                        {label(item)}
+                      </span>
+                      <span className="text-xs text-muted-foreground">{item.count}</span>
+                    </label>
+                  ))}
+                </CardContent>
+              </Card>
+            ))}
+          </aside>
+
+          {/* Results */}
+          <section className="lg:col-span-3 space-y-4">
+            {didYouMean && (
+              <p className="text-sm">
+                Including results for{' '}
+                <button
+                  type="button"
+                  className="font-medium text-primary hover:underline"
+                  onClick={() => updateParams({ q: didYouMean })}
+                >
+                  {didYouMean}
+                </button>
+              </p>
+            )}
+
+            {pagination && (
+              <p className="text-sm text-muted-foreground">
+                {pagination.total} {pagination.total === 1 ? 'result' : 'results'} for “{query}”
+              </p>
+            )}
+
+            {isLoading ? (
+              Array.from({ length: 3 }).map((_, index) => <Skeleton key={index} className="h-32 w-full" />)
+            ) : results.length === 0 ? (
+              <p className="text-center text-muted-foreground py-12">
+                No posts match your search{hasFilters ? ' and filters' : ''}
+              </p>
+            ) : (
+              results.map((post) => (
+                <Card key={post._id}>
+                  <CardContent className="p-6 space-y-3">
+                    {/* Highlights are escaped by the server; only <mark> tags are added */}
+                    <h2 className="text-xl font-bold [&_mark]:bg-yellow-200 dark:[&_mark]:bg-yellow-700 [&_mark]:text-inherit">
+                      <Link
+                        to={`/post/${post.slug}`}
+                        className="hover:text-primary transition-colors"
+                        dangerouslySetInnerHTML={{ __html: post.highlights.title }}
+                      />
+                    </h2>
+                    <p
+                      className="text-sm text-muted-foreground [&_mark]:bg-yellow-200 dark:[&_mark]:bg-yellow-700 [&_mark]:text-inherit"
+                      dangerouslySetInnerHTML={{ __html: post.highlights.snippet }}
+                    />
+                    <div className="flex flex-wrap items-center gap-2 text-sm">
+                      <Avatar className="h-6 w-6">
+                        <AvatarImage src={post.author?.avatar} />
+                        <AvatarFallback className="text-xs">
+                          {post.author?.firstName?.[0]}{post.author?.lastName?.[0]}
+                        </AvatarFallback>
+                      </Avatar>
+                      <span className="font-medium">{post.author?.firstName} {post.author?.lastName}</span>
+                      <span className="text-muted-foreground">• {formatDate(post.publishedAt)}</span>
+                      {post.categories?.map((category) => (
+                        <Link key={category._id} to={`/category/${category.slug}`}>
+                          <Badge variant="secondary" className="text-xs">{category.name}</Badge>
+                        </Link>
+                      ))}
+                    </div>
+                  </CardContent>
+                </Card>
+              ))
+            )}
+
+            {pagination && pagination.pages > 1 && (
+              <div className="flex items-center justify-between pt-2">
+                <p className="text-sm text-muted-foreground">
+                  Page {pagination.current} of {pagination.pages}
+                </p>
+                <div className="flex gap-2">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => updateParams({ page: String(page - 1) })}
+                    disabled={page <= 1}
+                  >
+                    <ChevronLeft className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => updateParams({ page: String(page + 1) })}
+                    disabled={page >= pagination.pages}
+                  >
+                    <ChevronRight className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            )}
+          </section>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Search;
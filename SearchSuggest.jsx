@@ -0,0 +1,176 @@
+import { useState, useEffect, useId } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { searchAPI } from '../services/api';
+import useDebounce from '../hooks/useDebounce';
+import { Input } from '@/components/ui/input';
+import { Search, FileText, Hash, FolderOpen, User, Loader2 } from 'lucide-react';
+
+const MIN_QUERY_LENGTH = 2;
+
+// Suggestion groups in dropdown order
+const GROUPS = [
+  {
+    key: 'posts',
+    title: 'Posts',
+    icon: FileText,
+    label: (item) => item.title,
+    to: (item) => `/post/${item.slug}`,
+  },
+  {
+    key: 'tags',
+    title: 'Tags',
+    icon: Hash,
+    label: (item) => item.name,
+    meta: (item) => `${item.count} posts`,
+    to: (item) => `/tag/${encodeURIComponent(item.name)}`,
+  },
+  {
+    key: 'categories',
+    title: 'Categories',
+    icon: FolderOpen,
+    label: (item) => item.name,
+    meta: (item) => `${item.count} posts`,
+    to: (item) => `/category/${item.slug}`,
+  },
+  {
+    key: 'authors',
+    title: 'Authors',
+    icon: User,
+    label: (item) => `${item.firstName} ${item.lastName}`,
+    meta: (item) => `@${item.username}`,
+    to: (item) => `/author/${encodeURIComponent(item.username)}`,
+  },
+];
+
+// Search field with a suggestion dropdown (posts, tags, categories and authors)
+// Arrow keys move through suggestions, Enter opens the highlighted one or the
+// full search page, Escape closes the dropdown
+const SearchSuggest = ({ value, onChange, placeholder = 'Search posts...', className = '' }) => {
+  const navigate = useNavigate();
+  const listId = useId();
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const query = useDebounce(value.trim());
+
+  const { data, isFetching } = useQuery({
+    queryKey: ['search-suggest', query],
+    queryFn: () => searchAPI.suggest({ q: query }),
+    enabled: query.length >= MIN_QUERY_LENGTH,
+    staleTime: 60 * 1000,
+    keepPreviousData: true,
+  });
+
+  const suggestions = data?.data;
+  const groups = GROUPS
+    .map((group) => ({ ...group, items: suggestions?.[group.key] || [] }))
+    .filter((group) => group.items.length > 0);
+  const options = groups.flatMap((group) => group.items.map((item) => ({ group, item })));
+
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [query]);
+
+  const showDropdown = open && query.length >= MIN_QUERY_LENGTH && (options.length > 0 || !isFetching);
+
+  const go = (to) => {
+    setOpen(false);
+    setActiveIndex(-1);
+    navigate(to);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && options.length > 0) {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex((activeIndex + 1) % options.length);
+    } else if (e.key === 'ArrowUp' && options.length > 0) {
+      e.preventDefault();
+      setActiveIndex(activeIndex <= 0 ? options.length - 1 : activeIndex - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (showDropdown && activeIndex >= 0) {
+        const { group, item } = options[activeIndex];
+        go(group.to(item));
+      } else if (value.trim()) {
+        go(`/search?q=${encodeURIComponent(value.trim())}`);
+      }
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  return (
+    <div className={`relative ${className}`}>
+      <Search className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+      <Input
+        role="combobox"
+        aria-expanded={showDropdown}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        className="pl-10"
+      />
+      {isFetching && (
+        <Loader2 className="absolute right-3 top-3 h-4 w-4 animate-spin text-muted-foreground" />
+      )}
+
+      {showDropdown && (
+        <div
+          id={listId}
+          role="listbox"
+          className="absolute z-50 mt-1 w-full min-w-[18rem] rounded-md border bg-popover text-popover-foreground shadow-md py-1 max-h-96 overflow-y-auto"
+        >
+          {options.length === 0 ? (
+            <p className="px-3 py-2 text-sm text-muted-foreground">No suggestions</p>
+          ) : (
+            groups.map((group) => (
+              <div key={group.key} role="group" aria-label={group.title}>
+                <p className="px-3 pt-2 pb-1 text-xs font-medium uppercase text-muted-foreground">
+                  {group.title}
+                </p>
+                {group.items.map((item) => {
+                  const index = options.findIndex((option) => option.item === item);
+                  const Icon = group.icon;
+                  return (
+                    <div
+                      key={index}
+                      id={`${listId}-${index}`}
+                      role="option"
+                      aria-selected={index === activeIndex}
+                      // Keep focus in the input so blur doesn't close the list before the click
+                      onMouseDown={(e) => e.preventDefault()}
+                      onClick={() => go(group.to(item))}
+                      onMouseEnter={() => setActiveIndex(index)}
+                      className={`flex items-center gap-2 px-3 py-1.5 text-sm cursor-pointer ${
+                        index === activeIndex ? 'bg-accent text-accent-foreground' : ''
+                      }`}
+                    >
+                      <Icon className="h-4 w-4 shrink-0 text-muted-foreground" />
+                      <span className="truncate">{group.label(item)}</span>
+                      {group.meta && (
+                        <span className="ml-auto shrink-0 text-xs text-muted-foreground">{group.meta(item)}</span>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchSuggest;
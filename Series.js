@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+
+// A multi-part collection of posts (e.g. a tutorial in several parts)
+// The order of `posts` is the reading order; a post belongs to at most one series
+const seriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost'
+  }]
+}, {
+  timestamps: true
+});
+
+seriesSchema.index({ posts: 1 });
+
+// Slugs taken by fixed routes under /api/series (GET /mine lists the user's own series)
+const RESERVED_SLUGS = ['mine'];
+
+// Generate slug before saving
+seriesSchema.pre('save', async function(next) {
+  if (this.isModified('title')) {
+    const baseSlug = slugify(this.title, {
+      lower: true,
+      strict: true,
+      remove: /[*+~.()'"!:@]/g
+    });
+
+    let slug = baseSlug;
+    let counter = 1;
+
+    // Ensure slug is unique and doesn't shadow a route
+    while (RESERVED_SLUGS.includes(slug) ||
+           await this.constructor.findOne({ slug, _id: { $ne: this._id } })) {
+      slug = `${baseSlug}-${counter}`;
+      counter++;
+    }
+
+    this.slug = slug;
+  }
+
+  next();
+});
+
+// Static method to find the series a post belongs to
+seriesSchema.statics.findByPost = function(postId) {
+  return this.findOne({ posts: postId });
+};
+
+// Static method to move a post into a series (appended as the last part),
+// or out of any series when seriesId is null
+seriesSchema.statics.assignPost = async function(postId, seriesId) {
+  await this.updateMany(
+    { posts: postId, _id: { $ne: seriesId } },
+    { $pull: { posts: postId } }
+  );
+
+  if (seriesId) {
+    await this.updateOne({ _id: seriesId }, { $addToSet: { posts: postId } });
+  }
+};
+
+// Instance method to load the parts a reader may see, in order: published posts,
+// plus unpublished ones for which `canReadDraft(post)` returns true
+seriesSchema.methods.getVisibleParts = async function(canReadDraft = () => false) {
+  await this.populate({
+    path: 'posts',
+    select: 'title slug excerpt status publishedAt readTime featuredImage author coAuthors'
+  });
+
+  const now = new Date();
+  return this.posts.filter(post => post &&
+    ((post.status === 'published' && post.publishedAt && post.publishedAt <= now) || canReadDraft(post))
+  );
+};
+
+// Instance method to build the navigator for one part: position, previous/next and table of parts
+// `parts` are the series' populated posts the reader is allowed to see, in order
+seriesSchema.methods.getNavigation = function(postId, parts) {
+  const index = parts.findIndex(part => part._id.toString() === postId.toString());
+  const summary = part => part && { _id: part._id, title: part.title, slug: part.slug };
+
+  return {
+    _id: this._id,
+    title: this.title,
+    slug: this.slug,
+    position: index + 1,
+    total: parts.length,
+    previous: index > 0 ? summary(parts[index - 1]) : null,
+    next: index !== -1 && index < parts.length - 1 ? summary(parts[index + 1]) : null,
+    parts: parts.map(summary)
+  };
+};
+
+module.exports = mongoose.model('Series', seriesSchema);
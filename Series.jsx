@@ -0,0 +1,147 @@
+import { useParams, Link } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { seriesAPI } from '../services/api';
+import useSeriesProgress from '../hooks/useSeriesProgress';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Progress } from '@/components/ui/progress';
+import { Skeleton } from '@/components/ui/skeleton';
+import { ArrowLeft, BookOpen, CheckCircle2, Clock, Library } from 'lucide-react';
+
+// Landing page of a series: description, reading progress and all parts in order
+const Series = () => {
+  const { slug } = useParams();
+
+  const { data: seriesData, isLoading, error } = useQuery({
+    queryKey: ['series', slug],
+    queryFn: () => seriesAPI.getSeries(slug),
+    enabled: !!slug,
+  });
+
+  const series = seriesData?.data?.series;
+  const { readParts } = useSeriesProgress(series?._id);
+
+  if (isLoading) {
+    return (
+      <div className="container mx-auto px-4 py-8 max-w-4xl">
+        <div className="space-y-6">
+          <Skeleton className="h-12 w-3/4" />
+          <Skeleton className="h-6 w-full" />
+          <Skeleton className="h-24 w-full" />
+          <Skeleton className="h-24 w-full" />
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !series) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <Alert variant="destructive">
+          <AlertDescription>
+            {error?.response?.data?.message || 'Series not found'}
+          </AlertDescription>
+        </Alert>
+      </div>
+    );
+  }
+
+  const readCount = series.parts.filter((part) => readParts.includes(part._id)).length;
+  const nextPart = series.parts.find((part) => !readParts.includes(part._id)) || series.parts[0];
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-4xl">
+      {/* Back Button */}
+      <Button variant="ghost" className="mb-6" asChild>
+        <Link to="/">
+          <ArrowLeft className="mr-2 h-4 w-4" />
+          Back to Blog
+        </Link>
+      </Button>
+
+      <header className="space-y-4 mb-8">
+        <Badge variant="secondary" className="flex items-center gap-1 w-fit">
+          <Library className="h-3 w-3" />
+          Series • {series.canManage
+            ? `${series.publishedParts} of ${series.totalParts} parts published`
+            : `${series.totalParts} ${series.totalParts === 1 ? 'part' : 'parts'}`}
+        </Badge>
+        <h1 className="text-4xl font-bold">{series.title}</h1>
+        {series.description && (
+          <p className="text-xl text-muted-foreground">{series.description}</p>
+        )}
+
+        <div className="flex items-center gap-3">
+          <Avatar className="h-8 w-8">
+            <AvatarImage src={series.author?.avatar} />
+            <AvatarFallback>{series.author?.firstName?.[0]}{series.author?.lastName?.[0]}</AvatarFallback>
+          </Avatar>
+          <span className="text-sm font-medium">
+            {series.author?.firstName} {series.author?.lastName}
+          </span>
+        </div>
+
+        {series.parts.length > 0 && (
+          <div className="space-y-2">
+            <Progress value={(readCount / series.parts.length) * 100} />
+            <div className="flex items-center justify-between gap-4">
+              <p className="text-sm text-muted-foreground">
+                You have read {readCount} of {series.parts.length} parts
+              </p>
+              <Button size="sm" asChild>
+                <Link to={`/post/${nextPart.slug}`}>
+                  <BookOpen className="mr-2 h-4 w-4" />
+                  {readCount === 0 ? 'Start reading' : readCount === series.parts.length ? 'Read again' : 'Continue'}
+                </Link>
+              </Button>
+            </div>
+          </div>
+        )}
+      </header>
+
+      <ol className="space-y-4">
+        {series.parts.map((part) => (
+          <li key={part._id}>
+            <Card>
+              <CardHeader>
+                <CardDescription className="flex items-center gap-2">
+                  Part {part.position}
+                  {readParts.includes(part._id) && (
+                    <span className="flex items-center gap-1 text-green-600">
+                      <CheckCircle2 className="h-3 w-3" />
+                      Read
+                    </span>
+                  )}
+                  {part.status !== 'published' && (
+                    <Badge variant="outline">{part.status.replace('_', ' ')}</Badge>
+                  )}
+                </CardDescription>
+                <CardTitle>
+                  <Link to={`/post/${part.slug}`} className="hover:underline">
+                    {part.title}
+                  </Link>
+                </CardTitle>
+              </CardHeader>
+              {(part.excerpt || part.readTime) && (
+                <CardContent className="space-y-2">
+                  {part.excerpt && <p className="text-muted-foreground">{part.excerpt}</p>}
+                  {part.readTime && (
+                    <p className="flex items-center gap-1 text-xs text-muted-foreground">
+                      <Clock className="h-3 w-3" />
+                      {part.readTime} min read
+                    </p>
+                  )}
+                </CardContent>
+              )}
+            </Card>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default Series;
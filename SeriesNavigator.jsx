@@ -0,0 +1,97 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import useSeriesProgress from '../hooks/useSeriesProgress';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Progress } from '@/components/ui/progress';
+import { ChevronLeft, ChevronRight, ChevronDown, ChevronUp, Library, CheckCircle2 } from 'lucide-react';
+
+// Series box on a post: part X of Y, previous/next part and the table of parts
+const SeriesNavigator = ({ series, postId }) => {
+  const [showParts, setShowParts] = useState(false);
+  const { readParts, markRead } = useSeriesProgress(series._id);
+
+  // Opening a part counts as reading it
+  useEffect(() => {
+    markRead(postId);
+  }, [markRead, postId]);
+
+  const readCount = series.parts.filter((part) => readParts.includes(part._id)).length;
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="flex items-center justify-between gap-2 text-base">
+          <span className="flex items-center gap-2">
+            <Library className="h-4 w-4" />
+            <Link to={`/series/${series.slug}`} className="hover:underline">
+              {series.title}
+            </Link>
+          </span>
+          <span className="text-sm font-normal text-muted-foreground">
+            Part {series.position} of {series.total}
+          </span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-1">
+          <Progress value={(readCount / series.total) * 100} />
+          <p className="text-xs text-muted-foreground">
+            You have read {readCount} of {series.total} parts
+          </p>
+        </div>
+
+        <div className="flex justify-between gap-2">
+          {series.previous ? (
+            <Button variant="outline" size="sm" asChild>
+              <Link to={`/post/${series.previous.slug}`}>
+                <ChevronLeft className="mr-1 h-4 w-4" />
+                Previous part
+              </Link>
+            </Button>
+          ) : <span />}
+          {series.next && (
+            <Button variant="outline" size="sm" asChild>
+              <Link to={`/post/${series.next.slug}`}>
+                Next part
+                <ChevronRight className="ml-1 h-4 w-4" />
+              </Link>
+            </Button>
+          )}
+        </div>
+
+        <Button
+          variant="ghost"
+          size="sm"
+          className="w-full justify-between"
+          onClick={() => setShowParts(!showParts)}
+        >
+          All parts
+          {showParts ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+        </Button>
+
+        {showParts && (
+          <ol className="space-y-1 text-sm">
+            {series.parts.map((part, index) => (
+              <li key={part._id} className="flex items-center gap-2">
+                <span className="w-6 text-muted-foreground">{index + 1}.</span>
+                {part._id === postId ? (
+                  <span className="font-medium">{part.title}</span>
+                ) : (
+                  <Link to={`/post/${part.slug}`} className="hover:underline">
+                    {part.title}
+                  </Link>
+                )}
+                {readParts.includes(part._id) && (
+                  <CheckCircle2 className="h-3 w-3 text-green-600 shrink-0" />
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SeriesNavigator;
@@ -0,0 +1,151 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { seriesAPI } from '../services/api';
+import usePermission from '../hooks/usePermission';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Library, Plus, ArrowUp, ArrowDown, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Choose the series a post belongs to, create a new one, and reorder the parts
+// `value` is the selected series ID ('' for none); `postId` is set when editing an existing post
+const SeriesPicker = ({ value, onChange, postId }) => {
+  const [newTitle, setNewTitle] = useState('');
+  const canCreate = usePermission('series:create');
+  const queryClient = useQueryClient();
+
+  const { data: seriesData, isLoading } = useQuery({
+    queryKey: ['my-series'],
+    queryFn: () => seriesAPI.getMySeries(),
+  });
+
+  const seriesList = seriesData?.data?.series || [];
+  const selected = seriesList.find((series) => series._id === value);
+  const parts = selected?.posts || [];
+  const isPart = parts.some((part) => part._id === postId);
+
+  const onError = (error) => {
+    toast.error(error.response?.data?.message || 'Failed to update series');
+  };
+
+  const createMutation = useMutation({
+    mutationFn: (title) => seriesAPI.createSeries({ title }),
+    onSuccess: (response) => {
+      setNewTitle('');
+      queryClient.invalidateQueries(['my-series']);
+      onChange(response.data.series._id);
+    },
+    onError,
+  });
+
+  const reorderMutation = useMutation({
+    mutationFn: (posts) => seriesAPI.updateSeries(value, { posts }),
+    onSuccess: () => queryClient.invalidateQueries(['my-series']),
+    onError,
+  });
+
+  const movePart = (index, offset) => {
+    const ids = parts.map((part) => part._id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    reorderMutation.mutate(ids);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Library className="h-5 w-5" />
+          Series
+        </CardTitle>
+        <CardDescription>
+          Publish multi-part posts as a series
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-2">
+          <Label htmlFor="series">Part of</Label>
+          <select
+            id="series"
+            className="h-9 w-full rounded-md border border-input bg-background px-3 text-sm"
+            value={value}
+            disabled={isLoading}
+            onChange={(e) => onChange(e.target.value)}
+          >
+            <option value="">No series</option>
+            {seriesList.map((series) => (
+              <option key={series._id} value={series._id}>{series.title}</option>
+            ))}
+          </select>
+        </div>
+
+        {canCreate && (
+          <div className="flex gap-2">
+            <Input
+              placeholder="New series title..."
+              value={newTitle}
+              onChange={(e) => setNewTitle(e.target.value)}
+              onKeyPress={(e) => e.key === 'Enter' && (e.preventDefault(), newTitle.trim() && createMutation.mutate(newTitle.trim()))}
+            />
+            <Button
+              type="button"
+              size="icon"
+              onClick={() => createMutation.mutate(newTitle.trim())}
+              disabled={!newTitle.trim() || createMutation.isLoading}
+            >
+              {createMutation.isLoading ? <Loader2 className="h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4" />}
+            </Button>
+          </div>
+        )}
+
+        {selected && (
+          <div className="space-y-2">
+            {parts.length > 0 && (
+              <ol className="space-y-1">
+                {parts.map((part, index) => (
+                  <li
+                    key={part._id}
+                    className={`flex items-center gap-2 text-sm p-2 border rounded-md ${part._id === postId ? 'border-primary' : ''}`}
+                  >
+                    <span className="w-5 text-muted-foreground">{index + 1}.</span>
+                    <span className="flex-1 truncate">{part.title}</span>
+                    {part.status !== 'published' && <Badge variant="outline">{part.status.replace('_', ' ')}</Badge>}
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      className="h-6 w-6"
+                      onClick={() => movePart(index, -1)}
+                      disabled={index === 0 || reorderMutation.isLoading}
+                    >
+                      <ArrowUp className="h-3 w-3" />
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      className="h-6 w-6"
+                      onClick={() => movePart(index, 1)}
+                      disabled={index === parts.length - 1 || reorderMutation.isLoading}
+                    >
+                      <ArrowDown className="h-3 w-3" />
+                    </Button>
+                  </li>
+                ))}
+              </ol>
+            )}
+            {!isPart && (
+              <p className="text-xs text-muted-foreground">
+                This post is added as part {parts.length + 1} when you save it
+              </p>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SeriesPicker;
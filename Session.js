@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { applyCursor } = require('../utils/pagination');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Refresh token family; every rotated token of one login shares it
+  family: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hash of the jti of the only refresh token currently valid for this family
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse', 'revoked', 'password_change', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// Remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to check if the session can still be refreshed
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Static method to find active sessions for a user
+// `after` is a decoded cursor to continue after
+sessionSchema.statics.findActiveByUser = function(userId, { after = null } = {}) {
+  const query = {
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  };
+  if (after) applyCursor(query, 'lastUsedAt', -1, after);
+
+  return this.find(query).sort({ lastUsedAt: -1, _id: -1 });
+};
+
+// Static method to revoke sessions of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
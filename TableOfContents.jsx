@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react';
+import { ListTree } from 'lucide-react';
+
+// Posts with fewer headings than this don't get a table of contents
+const MIN_ENTRIES = 3;
+
+const flatten = (entries) => entries.flatMap((entry) => [entry, ...flatten(entry.children || [])]);
+
+// Id of the heading the reader is in: the last one above the top of the viewport
+// `idList` is a comma-separated list so the effect only reruns when the headings change
+const useActiveHeading = (idList) => {
+  const [activeId, setActiveId] = useState(null);
+
+  useEffect(() => {
+    const headings = idList.split(',').map((id) => document.getElementById(id)).filter(Boolean);
+    if (headings.length === 0) return undefined;
+
+    const update = () => {
+      const passed = headings.filter((heading) => heading.getBoundingClientRect().top <= 120);
+      setActiveId(passed.length > 0 ? passed[passed.length - 1].id : headings[0].id);
+    };
+
+    // Headings crossing the top band trigger an update; scrolling in between changes nothing
+    const observer = new IntersectionObserver(update, { rootMargin: '0px 0px -70% 0px' });
+    headings.forEach((heading) => observer.observe(heading));
+    update();
+
+    return () => observer.disconnect();
+  }, [idList]);
+
+  return activeId;
+};
+
+const TocList = ({ entries, activeId, onNavigate }) => (
+  <ul className="space-y-1">
+    {entries.map((entry) => (
+      <li key={entry.id}>
+        <a
+          href={`#${entry.id}`}
+          onClick={(e) => onNavigate(e, entry.id)}
+          aria-current={entry.id === activeId ? 'location' : undefined}
+          className={`block py-0.5 text-sm transition-colors hover:text-foreground ${
+            entry.id === activeId ? 'font-medium text-primary' : 'text-muted-foreground'
+          }`}
+        >
+          {entry.text}
+        </a>
+        {entry.children?.length > 0 && (
+          <div className="ml-3 border-l pl-3">
+            <TocList entries={entry.children} activeId={activeId} onNavigate={onNavigate} />
+          </div>
+        )}
+      </li>
+    ))}
+  </ul>
+);
+
+// Table of contents of a post (h2-h4) with the current section highlighted
+// Shown as a sticky sidebar next to the article on wide screens and as a
+// collapsible block above the content otherwise
+const TableOfContents = ({ toc = [] }) => {
+  const entries = flatten(toc);
+  const activeId = useActiveHeading(entries.map((entry) => entry.id).join(','));
+
+  if (entries.length < MIN_ENTRIES) {
+    return null;
+  }
+
+  // Scroll smoothly and keep the section in the URL without adding history entries
+  const handleNavigate = (e, id) => {
+    const heading = document.getElementById(id);
+    if (!heading) return;
+    e.preventDefault();
+    heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    window.history.replaceState(null, '', `#${id}`);
+  };
+
+  const title = (
+    <span className="flex items-center gap-2 text-sm font-semibold">
+      <ListTree className="h-4 w-4" />
+      On this page
+    </span>
+  );
+
+  return (
+    <>
+      <details className="xl:hidden rounded-md border p-4">
+        <summary className="cursor-pointer list-none">{title}</summary>
+        <nav aria-label="Table of contents" className="mt-3">
+          <TocList entries={toc} activeId={activeId} onNavigate={handleNavigate} />
+        </nav>
+      </details>
+
+      <aside className="hidden xl:block absolute left-full top-0 h-full ml-8 w-56">
+        <nav aria-label="Table of contents" className="sticky top-24 max-h-[calc(100vh-8rem)] overflow-y-auto space-y-3">
+          {title}
+          <TocList entries={toc} activeId={activeId} onNavigate={handleNavigate} />
+        </nav>
+      </aside>
+    </>
+  );
+};
+
+export default TableOfContents;
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+
+const normalizeTag = (value) => String(value || '').trim().toLowerCase();
+
+// Registry entry for a tag used on posts
+// Posts keep tags as plain lowercase strings; a Tag adds a slug, a description and
+// aliases that are rewritten to `name` whenever a post is saved
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Tag cannot exceed 50 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  aliases: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Alias cannot exceed 50 characters']
+  }]
+}, {
+  timestamps: true
+});
+
+tagSchema.index({ aliases: 1 });
+
+// Generate slug before saving
+tagSchema.pre('save', async function(next) {
+  if (this.isModified('name')) {
+    const baseSlug = slugify(this.name, {
+      lower: true,
+      strict: true,
+      remove: /[*+~.()'"!:@]/g
+    }) || 'tag';
+
+    let slug = baseSlug;
+    let counter = 1;
+
+    // Ensure slug is unique (within the transaction when saved from a rename or merge)
+    while (await this.constructor.findOne({ slug, _id: { $ne: this._id } }).session(this.$session())) {
+      slug = `${baseSlug}-${counter}`;
+      counter++;
+    }
+
+    this.slug = slug;
+  }
+
+  next();
+});
+
+// Static method to normalize a list of post tags: lowercase, aliases replaced by their
+// tag, empty values and duplicates removed (first occurrence kept)
+tagSchema.statics.canonicalize = async function(tags = []) {
+  const normalized = tags.map(normalizeTag).filter(Boolean);
+  if (normalized.length === 0) return [];
+
+  const registered = await this.find({ aliases: { $in: normalized } }).select('name aliases');
+  const aliasTargets = new Map();
+  registered.forEach(tag => tag.aliases.forEach(alias => aliasTargets.set(alias, tag.name)));
+
+  return [...new Set(normalized.map(tag => aliasTargets.get(tag) || tag))];
+};
+
+// Static method to find a tag from a URL parameter (slug or name)
+tagSchema.statics.findBySlugOrName = function(value) {
+  return this.findOne({ $or: [{ slug: String(value) }, { name: normalizeTag(value) }] });
+};
+
+tagSchema.statics.normalize = normalizeTag;
+
+module.exports = mongoose.model('Tag', tagSchema);
@@ -0,0 +1,261 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { tagsAPI, adminAPI } from '../services/api';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Tags, Save, Merge, X, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const splitList = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+const TagManagement = () => {
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState({ name: '', description: '', aliases: '' });
+  const [mergeTarget, setMergeTarget] = useState('');
+  const queryClient = useQueryClient();
+
+  const { data: tagsData, isLoading } = useQuery({
+    queryKey: ['tags', { search }],
+    queryFn: () => tagsAPI.getTags({ search: search || undefined, sort: 'count' }),
+    keepPreviousData: true,
+  });
+
+  const tags = tagsData?.data?.tags || [];
+
+  const onError = (error) => {
+    toast.error(error.response?.data?.message || 'Failed to update tags');
+  };
+
+  const refresh = () => {
+    queryClient.invalidateQueries(['tags']);
+    queryClient.invalidateQueries(['tag']);
+    queryClient.invalidateQueries(['posts']);
+  };
+
+  const startEditing = (tag) => {
+    setEditing(tag);
+    setForm({ name: tag.name, description: tag.description || '', aliases: tag.aliases.join(', ') });
+  };
+
+  const stopEditing = () => {
+    setEditing(null);
+    setForm({ name: '', description: '', aliases: '' });
+  };
+
+  // Save the details, then rename when the name changed
+  const saveMutation = useMutation({
+    mutationFn: async () => {
+      await adminAPI.updateTag(editing.slug, {
+        description: form.description.trim(),
+        aliases: splitList(form.aliases),
+      });
+      const name = form.name.trim().toLowerCase();
+      if (name && name !== editing.name) {
+        return adminAPI.renameTag(editing.slug, { name });
+      }
+      return null;
+    },
+    onSuccess: (response) => {
+      toast.success(response
+        ? `Tag renamed on ${response.data.postsUpdated} posts`
+        : 'Tag updated successfully');
+      refresh();
+      stopEditing();
+    },
+    onError,
+  });
+
+  const mergeMutation = useMutation({
+    mutationFn: () => adminAPI.mergeTags({ sources: selected, target: mergeTarget.trim() }),
+    onSuccess: (response) => {
+      toast.success(`Merged into "${response.data.tag.name}" on ${response.data.postsUpdated} posts`);
+      refresh();
+      setSelected([]);
+      setMergeTarget('');
+    },
+    onError,
+  });
+
+  const toggleSelected = (name) => {
+    setSelected(selected.includes(name)
+      ? selected.filter((tag) => tag !== name)
+      : [...selected, name]);
+  };
+
+  const handleMerge = () => {
+    const target = mergeTarget.trim();
+    if (!target) {
+      toast.error('Choose the tag to merge into');
+      return;
+    }
+    if (window.confirm(`Replace ${selected.map((tag) => `"${tag}"`).join(', ')} with "${target}" on every post?`)) {
+      mergeMutation.mutate();
+    }
+  };
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold flex items-center gap-2">
+          <Tags className="h-7 w-7" />
+          Tags
+        </h1>
+        <p className="text-muted-foreground">Describe, rename and merge the tags used on posts</p>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-3">
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle>All tags</CardTitle>
+            <CardDescription>Select tags to merge them into one</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <Input
+              placeholder="Search tags..."
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+
+            {selected.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2 p-3 border rounded-lg bg-muted/50">
+                <span className="text-sm">Merge {selected.length} selected into</span>
+                <Input
+                  className="h-8 w-48"
+                  list="merge-targets"
+                  placeholder="tag name"
+                  value={mergeTarget}
+                  onChange={(e) => setMergeTarget(e.target.value)}
+                />
+                <datalist id="merge-targets">
+                  {selected.map((tag) => <option key={tag} value={tag} />)}
+                </datalist>
+                <Button size="sm" onClick={handleMerge} disabled={mergeMutation.isLoading}>
+                  {mergeMutation.isLoading ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Merge className="mr-2 h-4 w-4" />}
+                  Merge
+                </Button>
+                <Button size="sm" variant="ghost" onClick={() => setSelected([])}>
+                  Clear
+                </Button>
+              </div>
+            )}
+
+            <div className="space-y-2">
+              {isLoading ? (
+                Array.from({ length: 5 }).map((_, index) => <Skeleton key={index} className="h-12" />)
+              ) : tags.length === 0 ? (
+                <p className="text-sm text-muted-foreground text-center py-6">No tags found</p>
+              ) : (
+                tags.map((tag) => (
+                  <div
+                    key={tag.name}
+                    className={`flex items-center justify-between p-3 border rounded-lg ${editing?.name === tag.name ? 'border-primary' : ''}`}
+                  >
+                    <label className="flex items-center gap-3 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        className="h-4 w-4 rounded border-input"
+                        checked={selected.includes(tag.name)}
+                        onChange={() => toggleSelected(tag.name)}
+                      />
+                      <div>
+                        <Link to={`/tag/${encodeURIComponent(tag.slug)}`} className="font-medium text-sm hover:underline">
+                          #{tag.name}
+                        </Link>
+                        {tag.aliases.length > 0 && (
+                          <p className="text-xs text-muted-foreground">
+                            Aliases: {tag.aliases.join(', ')}
+                          </p>
+                        )}
+                      </div>
+                    </label>
+                    <div className="flex items-center gap-2">
+                      <Badge variant="secondary">{tag.count} posts</Badge>
+                      <Button variant="outline" size="sm" onClick={() => startEditing(tag)}>
+                        Edit
+                      </Button>
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>{editing ? `Edit "#${editing.name}"` : 'Edit a tag'}</CardTitle>
+            <CardDescription>
+              Aliases are replaced by this tag whenever a post is saved
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {!editing ? (
+              <p className="text-sm text-muted-foreground">Choose a tag from the list</p>
+            ) : (
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  saveMutation.mutate();
+                }}
+                className="space-y-4"
+              >
+                <div className="space-y-2">
+                  <Label htmlFor="name">Name</Label>
+                  <Input
+                    id="name"
+                    value={form.name}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  />
+                  <p className="text-xs text-muted-foreground">
+                    Renaming updates every post; the old name becomes an alias
+                  </p>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="description">Description</Label>
+                  <Textarea
+                    id="description"
+                    value={form.description}
+                    onChange={(e) => setForm({ ...form, description: e.target.value })}
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="aliases">Aliases</Label>
+                  <Input
+                    id="aliases"
+                    placeholder="js, ecmascript"
+                    value={form.aliases}
+                    onChange={(e) => setForm({ ...form, aliases: e.target.value })}
+                  />
+                  <p className="text-xs text-muted-foreground">Separate aliases with commas</p>
+                </div>
+
+                <div className="flex gap-2">
+                  <Button type="submit" disabled={saveMutation.isLoading}>
+                    {saveMutation.isLoading ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Save className="mr-2 h-4 w-4" />}
+                    Save
+                  </Button>
+                  <Button type="button" variant="ghost" onClick={stopEditing}>
+                    <X className="mr-2 h-4 w-4" />
+                    Cancel
+                  </Button>
+                </div>
+              </form>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default TagManagement;
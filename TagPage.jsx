@@ -0,0 +1,159 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link, Navigate } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { tagsAPI } from '../services/api';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Skeleton } from '@/components/ui/skeleton';
+import { ChevronLeft, ChevronRight, Eye, Heart, Hash } from 'lucide-react';
+
+const POSTS_PER_PAGE = 10;
+
+// Tag page: description, aliases and the tag's published posts
+const TagPage = () => {
+  const { slug } = useParams();
+  const [page, setPage] = useState(1);
+
+  useEffect(() => {
+    setPage(1);
+  }, [slug]);
+
+  const { data: tagData, isLoading, error } = useQuery({
+    queryKey: ['tag', slug, page],
+    queryFn: () => tagsAPI.getTag(slug, { page, limit: POSTS_PER_PAGE }),
+    enabled: !!slug,
+    keepPreviousData: true,
+  });
+
+  const tag = tagData?.data?.tag;
+  const posts = tagData?.data?.posts || [];
+  const pagination = tagData?.data?.pagination;
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="container mx-auto px-4 py-8 max-w-4xl">
+        <div className="space-y-6">
+          <Skeleton className="h-12 w-1/2" />
+          <Skeleton className="h-6 w-full" />
+          <Skeleton className="h-32 w-full" />
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !tag) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <Alert variant="destructive">
+          <AlertDescription>
+            {error?.response?.data?.message || 'Tag not found'}
+          </AlertDescription>
+        </Alert>
+      </div>
+    );
+  }
+
+  // Links to a tag name or alias move to the tag's canonical URL
+  if (tag.slug !== slug) {
+    return <Navigate to={`/tag/${encodeURIComponent(tag.slug)}`} replace />;
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-4xl">
+      <header className="space-y-4 mb-8">
+        <h1 className="text-4xl font-bold flex items-center gap-2">
+          <Hash className="h-8 w-8 text-muted-foreground" />
+          {tag.name}
+        </h1>
+        {tag.description && (
+          <p className="text-xl text-muted-foreground">{tag.description}</p>
+        )}
+        <p className="text-sm text-muted-foreground">
+          {tag.count} {tag.count === 1 ? 'post' : 'posts'}
+          {tag.aliases.length > 0 && <> • Also known as {tag.aliases.map((alias) => `#${alias}`).join(', ')}</>}
+        </p>
+      </header>
+
+      {posts.length === 0 ? (
+        <p className="text-center text-muted-foreground py-12">No posts with this tag yet</p>
+      ) : (
+        <div className="space-y-4">
+          {posts.map((post) => (
+            <Card key={post._id}>
+              <CardContent className="p-6 space-y-3">
+                <h2 className="text-xl font-bold">
+                  <Link to={`/post/${post.slug}`} className="hover:text-primary transition-colors">
+                    {post.title}
+                  </Link>
+                </h2>
+                {post.excerpt && (
+                  <p className="text-muted-foreground line-clamp-2">{post.excerpt}</p>
+                )}
+                <div className="flex flex-wrap gap-2">
+                  {post.tags.map((postTag) => (
+                    <Link key={postTag} to={`/tag/${encodeURIComponent(postTag)}`}>
+                      <Badge variant={postTag === tag.name ? 'default' : 'outline'} className="text-xs">
+                        #{postTag}
+                      </Badge>
+                    </Link>
+                  ))}
+                </div>
+                <div className="flex items-center justify-between text-sm">
+                  <div className="flex items-center gap-2">
+                    <Avatar className="h-6 w-6">
+                      <AvatarImage src={post.author?.avatar} />
+                      <AvatarFallback className="text-xs">
+                        {post.author?.firstName?.[0]}{post.author?.lastName?.[0]}
+                      </AvatarFallback>
+                    </Avatar>
+                    <span className="font-medium">{post.author?.firstName} {post.author?.lastName}</span>
+                    <span className="text-muted-foreground">• {formatDate(post.publishedAt || post.createdAt)}</span>
+                  </div>
+                  <div className="flex items-center gap-3 text-muted-foreground">
+                    <span className="flex items-center gap-1">
+                      <Eye className="h-3 w-3" />
+                      {post.views || 0}
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <Heart className="h-3 w-3" />
+                      {post.likesCount || 0}
+                    </span>
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-between pt-6">
+          <p className="text-sm text-muted-foreground">
+            Page {pagination.current} of {pagination.pages}
+          </p>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => setPage(page + 1)} disabled={page >= pagination.pages}>
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TagPage;
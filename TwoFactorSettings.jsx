@@ -0,0 +1,261 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { authAPI } from '../services/api';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Separator } from '@/components/ui/separator';
+import { Loader2, ShieldCheck, Copy, KeyRound } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const RecoveryCodes = ({ codes, onDone }) => {
+  const copyCodes = async () => {
+    await navigator.clipboard.writeText(codes.join('\n'));
+    toast.success('Recovery codes copied');
+  };
+
+  return (
+    <div className="space-y-3">
+      <Alert>
+        <AlertDescription>
+          Save these recovery codes somewhere safe. Each code can be used once to sign in
+          if you lose access to your authenticator app. They won't be shown again.
+        </AlertDescription>
+      </Alert>
+      <div className="grid grid-cols-2 gap-2 p-3 border rounded-lg font-mono text-sm">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <Button type="button" variant="outline" onClick={copyCodes}>
+          <Copy className="mr-2 h-4 w-4" />
+          Copy codes
+        </Button>
+        <Button type="button" onClick={onDone}>
+          I've saved them
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+const TwoFactorSettings = () => {
+  const [setupData, setSetupData] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const queryClient = useQueryClient();
+
+  // Fetch 2FA status
+  const { data: statusData, isLoading } = useQuery({
+    queryKey: ['two-factor-status'],
+    queryFn: () => authAPI.getTwoFactorStatus(),
+  });
+
+  const status = statusData?.data;
+
+  const onError = (fallback) => (error) => {
+    toast.error(error.response?.data?.message || fallback);
+  };
+
+  const onChanged = () => {
+    setCode('');
+    setPassword('');
+    queryClient.invalidateQueries(['two-factor-status']);
+  };
+
+  // Start enrollment (secret + QR code)
+  const setupMutation = useMutation({
+    mutationFn: () => authAPI.setupTwoFactor(),
+    onSuccess: (response) => setSetupData(response.data),
+    onError: onError('Failed to start two-factor setup'),
+  });
+
+  // Confirm enrollment with a code from the app
+  const enableMutation = useMutation({
+    mutationFn: (value) => authAPI.enableTwoFactor(value),
+    onSuccess: (response) => {
+      toast.success('Two-factor authentication enabled');
+      setSetupData(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+      onChanged();
+    },
+    onError: onError('Invalid authentication code'),
+  });
+
+  const disableMutation = useMutation({
+    mutationFn: (data) => authAPI.disableTwoFactor(data),
+    onSuccess: () => {
+      toast.success('Two-factor authentication disabled');
+      onChanged();
+    },
+    onError: onError('Failed to disable two-factor authentication'),
+  });
+
+  const regenerateMutation = useMutation({
+    mutationFn: (value) => authAPI.regenerateRecoveryCodes(value),
+    onSuccess: (response) => {
+      toast.success('Recovery codes regenerated');
+      setRecoveryCodes(response.data.recoveryCodes);
+      onChanged();
+    },
+    onError: onError('Failed to regenerate recovery codes'),
+  });
+
+  const renderContent = () => {
+    if (isLoading) {
+      return (
+        <div className="flex justify-center py-4">
+          <Loader2 className="h-5 w-5 animate-spin" />
+        </div>
+      );
+    }
+
+    if (recoveryCodes) {
+      return <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+    }
+
+    if (setupData) {
+      return (
+        <div className="space-y-4">
+          <p className="text-sm text-muted-foreground">
+            Scan this QR code with an authenticator app (Google Authenticator, 1Password, Authy…),
+            then enter the 6-digit code it shows.
+          </p>
+          <img src={setupData.qrCode} alt="Two-factor QR code" className="w-48 h-48 border rounded-lg" />
+          <div className="space-y-1">
+            <p className="text-xs text-muted-foreground">Can't scan? Enter this key manually:</p>
+            <code className="text-sm break-all">{setupData.secret}</code>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="enableCode">Authentication code</Label>
+            <Input
+              id="enableCode"
+              autoComplete="one-time-code"
+              placeholder="123456"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+          </div>
+          <div className="flex gap-2">
+            <Button
+              type="button"
+              onClick={() => enableMutation.mutate(code.trim())}
+              disabled={enableMutation.isLoading || !code.trim()}
+            >
+              {enableMutation.isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Enable
+            </Button>
+            <Button type="button" variant="ghost" onClick={() => setSetupData(null)}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      );
+    }
+
+    if (!status?.enabled) {
+      return (
+        <div className="space-y-4">
+          {status?.required && (
+            <Alert variant="destructive">
+              <AlertDescription>
+                Your role requires two-factor authentication. Admin features are unavailable until it is enabled.
+              </AlertDescription>
+            </Alert>
+          )}
+          <Button type="button" onClick={() => setupMutation.mutate()} disabled={setupMutation.isLoading}>
+            {setupMutation.isLoading ? (
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            ) : (
+              <ShieldCheck className="mr-2 h-4 w-4" />
+            )}
+            Set up two-factor authentication
+          </Button>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        <div className="flex items-center gap-2">
+          <Badge variant="secondary">Enabled</Badge>
+          <span className="text-sm text-muted-foreground">
+            since {new Date(status.enabledAt).toLocaleDateString()} • {status.recoveryCodesRemaining} recovery code(s) left
+          </span>
+        </div>
+
+        <Separator />
+
+        <div className="space-y-2">
+          <Label htmlFor="manageCode">Authentication or recovery code</Label>
+          <Input
+            id="manageCode"
+            autoComplete="one-time-code"
+            placeholder="123456"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+          />
+        </div>
+
+        <Button
+          type="button"
+          variant="outline"
+          onClick={() => regenerateMutation.mutate(code.trim())}
+          disabled={regenerateMutation.isLoading || !code.trim()}
+        >
+          {regenerateMutation.isLoading ? (
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+          ) : (
+            <KeyRound className="mr-2 h-4 w-4" />
+          )}
+          Regenerate recovery codes
+        </Button>
+
+        {!status.required && (
+          <>
+            <div className="space-y-2">
+              <Label htmlFor="disablePassword">Current password</Label>
+              <Input
+                id="disablePassword"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </div>
+            <Button
+              type="button"
+              variant="destructive"
+              onClick={() => disableMutation.mutate({ password, code: code.trim() })}
+              disabled={disableMutation.isLoading || !code.trim() || !password}
+            >
+              {disableMutation.isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Disable two-factor authentication
+            </Button>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ShieldCheck className="h-5 w-5" />
+          Two-Factor Authentication
+        </CardTitle>
+        <CardDescription>
+          Require a code from an authenticator app in addition to your password when signing in
+        </CardDescription>
+      </CardHeader>
+      <CardContent>{renderContent()}</CardContent>
+    </Card>
+  );
+};
+
+export default TwoFactorSettings;
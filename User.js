@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { sendVerificationEmail } = require('../utils/emails');
+const {
+  verifyTotp,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  decryptSecret
+} = require('../utils/totp');
+const { ROLES, normalizeRole, getDefaultRole, getPermissions } = require('../utils/permissions');
+
+// Number of two-factor audit entries kept per user
+const TWO_FACTOR_AUDIT_LIMIT = parseInt(process.env.TWO_FACTOR_AUDIT_LIMIT) || 50;
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -46,8 +58,9 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    // "user" is the legacy role of older accounts and is treated as "author"
+    enum: [...ROLES, 'user'],
+    default: getDefaultRole
   },
   isActive: {
     type: Boolean,
@@ -57,10 +70,53 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  emailVerificationSentAt: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  passwordResetToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
   lastLogin: {
     type: Date,
     default: null
   },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date, default: null },
+    // Encrypted TOTP secrets; pendingSecret holds an enrollment that isn't confirmed yet
+    secret: { type: String, default: null, select: false },
+    pendingSecret: { type: String, default: null, select: false },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: { type: [String], default: [], select: false },
+    // Last accepted TOTP time step, so a code can't be replayed
+    lastUsedStep: { type: Number, default: null, select: false }
+  },
+  twoFactorAudit: {
+    type: [{
+      action: {
+        type: String,
+        enum: ['setup_started', 'enabled', 'disabled', 'recovery_codes_regenerated', 'recovery_code_used'],
+        required: true
+      },
+      ipAddress: { type: String, default: '' },
+      userAgent: { type: String, default: '' },
+      createdAt: { type: Date, default: Date.now }
+    }],
+    default: [],
+    select: false
+  },
   socialLinks: {
     website: { type: String, default: '' },
     twitter: { type: String, default: '' },
@@ -74,6 +130,31 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 
+// Reset verification when the email address changes
+userSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('email')) {
+    this.emailVerified = false;
+  }
+
+  this.$locals.needsVerificationEmail = !this.emailVerified && this.isModified('email');
+
+  if (this.$locals.needsVerificationEmail) {
+    this.emailVerificationSentAt = new Date();
+  }
+
+  next();
+});
+
+// Send a verification email after registration or an email change
+userSchema.post('save', function(doc) {
+  if (!doc.$locals.needsVerificationEmail) return;
+  doc.$locals.needsVerificationEmail = false;
+
+  sendVerificationEmail(doc).catch(error => {
+    console.error('Send verification email error:', error);
+  });
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
@@ -83,6 +164,11 @@ userSchema.pre('save', async function(next) {
     // Hash password with cost of 12
     const hashedPassword = await bcrypt.hash(this.password, 12);
     this.password = hashedPassword;
+
+    // Record the change so tokens issued before it can be rejected
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -94,11 +180,91 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to check whether the password changed after a token was issued
+// `issuedAt` is the JWT iat claim (seconds)
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > issuedAt;
+};
+
+// Instance method to create a single-use password reset token
+// Only a hash is stored; the raw token is returned for the email link
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Instance method to check a second factor: a TOTP code or an unused recovery code
+// Resolves to 'totp', 'recovery' or null; the caller saves the document
+// Requires the twoFactor secret fields to be selected
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  const normalized = String(code || '').trim().replace(/\s/g, '');
+
+  if (/^\d{6}$/.test(normalized)) {
+    const step = verifyTotp(
+      decryptSecret(this.twoFactor.secret),
+      normalized,
+      this.twoFactor.lastUsedStep ?? -1
+    );
+    if (step === null) return null;
+
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const index = this.twoFactor.recoveryCodes.indexOf(hashRecoveryCode(normalized));
+  if (index === -1) return null;
+
+  // Recovery codes are single-use
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return 'recovery';
+};
+
+// Instance method to replace the recovery codes
+// Only hashes are stored; the raw codes are returned to show once
+userSchema.methods.createRecoveryCodes = function() {
+  const codes = generateRecoveryCodes();
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Instance method to append an entry to the two-factor audit log
+// Uses an atomic $push so the (unselected) log never has to be loaded
+userSchema.methods.recordTwoFactorEvent = function(action, req) {
+  return this.constructor.updateOne({ _id: this._id }, {
+    $push: {
+      twoFactorAudit: {
+        $each: [{
+          action,
+          ipAddress: req ? (req.ip || '') : '',
+          userAgent: req ? (req.get('User-Agent') || '').substring(0, 500) : ''
+        }],
+        $slice: -TWO_FACTOR_AUDIT_LIMIT
+      }
+    }
+  });
+};
+
 // Instance method to get public profile
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.__v;
+  delete userObject.emailVerificationSentAt;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.twoFactorAudit;
+  userObject.role = normalizeRole(this.role);
+  userObject.permissions = getPermissions(this.role);
+  userObject.twoFactor = {
+    enabled: !!(this.twoFactor && this.twoFactor.enabled),
+    enabledAt: this.twoFactor ? this.twoFactor.enabledAt : null
+  };
   
   return userObject;
   
@@ -114,5 +280,14 @@ userSchema.statics.findByEmailOrUsername = function(identifier) {
   });
 };
 
+// Static method to find a user by an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  return this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+passwordResetToken +passwordResetExpires');
+};
+
 module.exports = mongoose.model('User', userSchema);
 
@@ -0,0 +1,76 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Loader2, CheckCircle2, XCircle } from 'lucide-react';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { isAuthenticated, user, updateUser } = useAuth();
+  const [status, setStatus] = useState('loading');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    authAPI.verifyEmail(token)
+      .then(() => {
+        if (cancelled) return;
+        setStatus('success');
+        if (isAuthenticated && user) {
+          updateUser({ ...user, emailVerified: true });
+        }
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Invalid verification link');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+    // Verify once per token
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-background to-muted/20 px-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1 text-center">
+          {status === 'loading' && <Loader2 className="mx-auto h-10 w-10 animate-spin text-muted-foreground" />}
+          {status === 'success' && <CheckCircle2 className="mx-auto h-10 w-10 text-green-600" />}
+          {status === 'error' && <XCircle className="mx-auto h-10 w-10 text-destructive" />}
+          <CardTitle className="text-2xl font-bold">
+            {status === 'loading' && 'Verifying your email...'}
+            {status === 'success' && 'Email verified'}
+            {status === 'error' && 'Verification failed'}
+          </CardTitle>
+          <CardDescription>
+            {status === 'success' && 'Thanks for confirming your email address.'}
+            {status === 'error' && message}
+          </CardDescription>
+        </CardHeader>
+        {status !== 'loading' && (
+          <CardContent className="space-y-2 text-center text-sm">
+            {status === 'error' && (
+              <p className="text-muted-foreground">
+                {isAuthenticated
+                  ? 'You can request a new link from the banner at the top of the page.'
+                  : 'Sign in to request a new verification link.'}
+              </p>
+            )}
+            <Button asChild className="w-full">
+              <Link to={isAuthenticated ? '/dashboard' : '/login'}>
+                {isAuthenticated ? 'Go to Dashboard' : 'Sign in'}
+              </Link>
+            </Button>
+          </CardContent>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default VerifyEmail;
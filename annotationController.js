@@ -0,0 +1,278 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const BlogPost = require('../models/BlogPost');
+const PostAnnotation = require('../models/PostAnnotation');
+const { toPlainText } = require('../utils/diff');
+const { can } = require('../utils/permissions');
+const { decodeCursor, toCursorPage } = require('../utils/pagination');
+
+// Annotations are visible to the post's editors (writer, editors, admins) and reviewers
+const canAnnotate = (user, post) => can(user, 'post:edit', post) || can(user, 'post:review');
+
+// Load a post and check that the current user may see its annotations
+const findAnnotatablePost = async (req, res) => {
+  const post = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await BlogPost.findById(req.params.id)
+    : null;
+
+  if (!post) {
+    res.status(404).json({
+      message: 'Post not found',
+      success: false
+    });
+    return null;
+  }
+
+  if (!canAnnotate(req.user, post)) {
+    res.status(403).json({
+      message: 'Access denied',
+      success: false
+    });
+    return null;
+  }
+
+  return post;
+};
+
+// Find an annotation belonging to a post
+const findAnnotation = async (req, res, post) => {
+  const annotation = mongoose.Types.ObjectId.isValid(req.params.annotationId)
+    ? await PostAnnotation.findOne({ _id: req.params.annotationId, post: post._id })
+    : null;
+
+  if (!annotation) {
+    res.status(404).json({
+      message: 'Annotation not found',
+      success: false
+    });
+    return null;
+  }
+
+  return annotation;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array(),
+      success: false
+    });
+    return true;
+  }
+  return false;
+};
+
+const POPULATE = [
+  { path: 'author', select: 'username firstName lastName avatar' },
+  { path: 'replies.author', select: 'username firstName lastName avatar' },
+  { path: 'resolvedBy', select: 'username firstName lastName' }
+];
+
+// Flag annotations whose text was removed from the post
+const withAnchorState = (annotation, plainText) => ({
+  ...annotation.toObject(),
+  isOrphaned: !annotation.isAnchoredIn(plainText)
+});
+
+// Get the annotations of a post (?resolved=false hides resolved threads)
+const getAnnotations = async (req, res) => {
+  try {
+    const post = await findAnnotatablePost(req, res);
+    if (!post) return;
+
+    const { limit = 50, cursor } = req.query;
+
+    // Cursor mode (`cursor` given, empty for the first page) returns one page at a time
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      return res.status(400).json({
+        message: 'Invalid cursor',
+        success: false
+      });
+    }
+
+    const options = {
+      includeResolved: req.query.resolved !== 'false',
+      after
+    };
+
+    let annotations;
+    let pagination;
+
+    if (cursor !== undefined) {
+      const result = toCursorPage(
+        await PostAnnotation.findByPost(post._id, options).limit(parseInt(limit) + 1),
+        parseInt(limit),
+        'anchor.start'
+      );
+      annotations = result.items;
+      pagination = result.pagination;
+    } else {
+      annotations = await PostAnnotation.findByPost(post._id, options);
+    }
+
+    const plainText = toPlainText(post.renderedHtml);
+
+    res.json({
+      message: 'Annotations retrieved successfully',
+      success: true,
+      data: {
+        annotations: annotations.map(annotation => withAnchorState(annotation, plainText)),
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Get annotations error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve annotations',
+      success: false
+    });
+  }
+};
+
+// Annotate a text range of a post
+const createAnnotation = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const post = await findAnnotatablePost(req, res);
+    if (!post) return;
+
+    const { anchor, body } = req.body;
+
+    const annotation = await PostAnnotation.create({
+      post: post._id,
+      author: req.user._id,
+      anchor: {
+        start: anchor.start,
+        end: anchor.end,
+        quote: anchor.quote,
+        prefix: anchor.prefix || '',
+        suffix: anchor.suffix || ''
+      },
+      body
+    });
+    await annotation.populate(POPULATE);
+
+    res.status(201).json({
+      message: 'Annotation created successfully',
+      success: true,
+      data: {
+        annotation: withAnchorState(annotation, toPlainText(post.renderedHtml))
+      }
+    });
+
+  } catch (error) {
+    console.error('Create annotation error:', error);
+    res.status(500).json({
+      message: 'Failed to create annotation',
+      success: false
+    });
+  }
+};
+
+// Reply to an annotation thread
+const replyToAnnotation = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const post = await findAnnotatablePost(req, res);
+    if (!post) return;
+
+    const annotation = await findAnnotation(req, res, post);
+    if (!annotation) return;
+
+    annotation.replies.push({ author: req.user._id, body: req.body.body });
+    await annotation.save();
+    await annotation.populate(POPULATE);
+
+    res.status(201).json({
+      message: 'Reply added successfully',
+      success: true,
+      data: {
+        annotation: withAnchorState(annotation, toPlainText(post.renderedHtml))
+      }
+    });
+
+  } catch (error) {
+    console.error('Reply to annotation error:', error);
+    res.status(500).json({
+      message: 'Failed to add reply',
+      success: false
+    });
+  }
+};
+
+// Resolve or reopen an annotation thread
+const setAnnotationResolved = (resolved) => async (req, res) => {
+  try {
+    const post = await findAnnotatablePost(req, res);
+    if (!post) return;
+
+    const annotation = await findAnnotation(req, res, post);
+    if (!annotation) return;
+
+    annotation.setResolved(resolved, req.user._id);
+    await annotation.save();
+    await annotation.populate(POPULATE);
+
+    res.json({
+      message: resolved ? 'Annotation resolved' : 'Annotation reopened',
+      success: true,
+      data: {
+        annotation: withAnchorState(annotation, toPlainText(post.renderedHtml))
+      }
+    });
+
+  } catch (error) {
+    console.error('Resolve annotation error:', error);
+    res.status(500).json({
+      message: 'Failed to update annotation',
+      success: false
+    });
+  }
+};
+
+// Delete an annotation thread (its author or a reviewer)
+const deleteAnnotation = async (req, res) => {
+  try {
+    const post = await findAnnotatablePost(req, res);
+    if (!post) return;
+
+    const annotation = await findAnnotation(req, res, post);
+    if (!annotation) return;
+
+    if (annotation.author.toString() !== req.user._id.toString() && !can(req.user, 'post:review')) {
+      return res.status(403).json({
+        message: 'Access denied',
+        success: false
+      });
+    }
+
+    await annotation.deleteOne();
+
+    res.json({
+      message: 'Annotation deleted successfully',
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Delete annotation error:', error);
+    res.status(500).json({
+      message: 'Failed to delete annotation',
+      success: false
+    });
+  }
+};
+
+module.exports = {
+  getAnnotations,
+  createAnnotation,
+  replyToAnnotation,
+  resolveAnnotation: setAnnotationResolved(true),
+  unresolveAnnotation: setAnnotationResolved(false),
+  deleteAnnotation
+};
@@ -0,0 +1,23 @@
+const { can, needsTwoFactorFor } = require('../utils/permissions');
+const { sendTwoFactorRequired } = require('./twoFactorPolicy');
+
+// Require a permission that doesn't depend on a specific document
+// Must run after `auth` so req.user is set
+const requirePermission = (action) => (req, res, next) => {
+  if (can(req.user, action)) {
+    return next();
+  }
+
+  if (needsTwoFactorFor(req.user, action)) {
+    return sendTwoFactorRequired(res);
+  }
+
+  res.status(403).json({
+    message: 'Access denied',
+    success: false
+  });
+};
+
+module.exports = {
+  requirePermission
+};
@@ -1,13 +1,74 @@
 const { validationResult } = require('express-validator');
-const { marked } = require('marked');
-const DOMPurify = require('dompurify');
-const { JSDOM } = require('jsdom');
+const mongoose = require('mongoose');
 const BlogPost = require('../models/BlogPost');
+const PostRevision = require('../models/PostRevision');
+const PostAnnotation = require('../models/PostAnnotation');
+const PostDraft = require('../models/PostDraft');
+const User = require('../models/User');
+const Series = require('../models/Series');
+const Category = require('../models/Category');
 const { deleteFromCloudinary } = require('../utils/cloudinary');
+const { can } = require('../utils/permissions');
+const { getRelatedPosts: findRelatedPosts, clearRelatedPostsCache, MAX_RELATED } = require('../utils/relatedPosts');
+const { decodeCursor, applyCursor, toCursorPage } = require('../utils/pagination');
+const { renderContent } = require('../utils/contentRenderer');
+
+// Sort fields that can be used with cursor pagination
+const CURSOR_SORT_FIELDS = ['publishedAt', 'createdAt', 'updatedAt', 'lastModified', 'views', 'title'];
+
+// Clean up a co-author list from the request: drop duplicates and the main author,
+// and number the entries in the order they were sent.
+// Returns null when a listed user does not exist
+const normalizeCoAuthors = async (coAuthors, authorId) => {
+  const seen = new Set([authorId.toString()]);
+  const entries = [];
+
+  // Credited in the given `order` (list position when missing), then renumbered from 0
+  const ordered = coAuthors
+    .map((entry, index) => ({ entry, order: entry.order ?? index }))
+    .sort((a, b) => a.order - b.order)
+    .map(({ entry }) => entry);
+
+  for (const entry of ordered) {
+    const userId = entry.user.toString();
+    if (seen.has(userId)) continue;
+    seen.add(userId);
+    entries.push({ user: userId, role: entry.role || 'writer', order: entries.length });
+  }
+
+  const found = await User.countDocuments({ _id: { $in: entries.map(entry => entry.user) } });
+  return found === entries.length ? entries : null;
+};
+
+// Whether all the given category IDs exist
+const categoriesExist = async (categoryIds) => {
+  const unique = [...new Set(categoryIds.map(String))];
+  return (await Category.countDocuments({ _id: { $in: unique } })) === unique.length;
+};
 
-// Create DOMPurify instance for server-side
-const window = new JSDOM('').window;
-const purify = DOMPurify(window);
+// Find the series a post is being added to and check that the user may manage it
+// Sends the error response and returns null when it can't be used
+const findAssignableSeries = async (req, res, seriesId) => {
+  const series = await Series.findById(seriesId);
+
+  if (!series) {
+    res.status(400).json({
+      message: 'Series not found',
+      success: false
+    });
+    return null;
+  }
+
+  if (!can(req.user, 'series:manage', series)) {
+    res.status(403).json({
+      message: 'You cannot add posts to this series',
+      success: false
+    });
+    return null;
+  }
+
+  return series;
+};
 
 // Create new blog post
 const createPost = async (req, res) => {
@@ -32,26 +93,48 @@ const createPost = async (req, res) => {
       isMarkdown,
       seo,
       scheduledAt,
-      featuredImage
+      featuredImage,
+      coAuthors,
+      series: seriesId
     } = req.body;
 
-    // Process content based on markdown flag
-    let processedContent = content;
-    if (isMarkdown) {
-      // Convert markdown to HTML
-      processedContent = marked(content);
+    // Publishing (now or scheduled) needs publish rights; contributors can only save drafts
+    if ((status === 'published' || scheduledAt) && !can(req.user, 'post:publish')) {
+      return res.status(403).json({
+        message: 'Your role cannot publish posts. Save the post as a draft instead.',
+        success: false
+      });
     }
-    
-    // Sanitize HTML content
-    processedContent = purify.sanitize(processedContent);
+
+    if (categories && !(await categoriesExist(categories))) {
+      return res.status(400).json({
+        message: 'One or more categories do not exist',
+        success: false
+      });
+    }
+
+    const normalizedCoAuthors = coAuthors ? await normalizeCoAuthors(coAuthors, req.user._id) : [];
+    if (!normalizedCoAuthors) {
+      return res.status(400).json({
+        message: 'One or more co-authors do not exist',
+        success: false
+      });
+    }
+
+    const series = seriesId ? await findAssignableSeries(req, res, seriesId) : null;
+    if (seriesId && !series) return;
+
+    // Posts scheduled for the future stay drafts until the scheduler publishes them
+    const isScheduled = scheduledAt && new Date(scheduledAt) > new Date();
 
     // Create new blog post
     const blogPost = new BlogPost({
       title,
-      content: processedContent,
+      content,
       excerpt,
       author: req.user._id,
-      status: status || 'draft',
+      coAuthors: normalizedCoAuthors,
+      status: isScheduled ? 'draft' : (status || 'draft'),
       tags: tags || [],
       categories: categories || [],
       isMarkdown: isMarkdown || false,
@@ -62,14 +145,31 @@ const createPost = async (req, res) => {
 
     await blogPost.save();
 
+    // Append the post to its series as the last part
+    if (series) {
+      await Series.assignPost(blogPost._id, series._id);
+    }
+
+    clearRelatedPostsCache();
+
+    // Record the initial revision
+    await PostRevision.snapshot(blogPost, req.user._id, { reason: 'create' });
+
+    // The autosaved draft of the new post is no longer needed
+    await PostDraft.discardFor(req.user._id, null);
+
     // Populate author information
-    await blogPost.populate('author', 'username firstName lastName avatar');
+    await blogPost.populate([
+      { path: 'author', select: 'username firstName lastName avatar' },
+      { path: 'coAuthors.user', select: 'username firstName lastName avatar' },
+      { path: 'categories', select: 'name slug' }
+    ]);
 
     res.status(201).json({
       message: 'Blog post created successfully',
       success: true,
       data: {
-        post: blogPost.getPublicData()
+        post: blogPost.getPublicData({ includeContent: true })
       }
     });
 
@@ -94,22 +194,30 @@ const getPosts = async (req, res) => {
       categories,
       search,
       sort = 'publishedAt',
-      order = 'desc'
+      order = 'desc',
+      cursor
     } = req.query;
 
     const query = {};
     
-    // Filter by status (default to published for non-admin users)
-    if (req.user && req.user.role === 'admin') {
-      if (status) query.status = status;
+    // Filter by status: users who can read every post, or who list their own posts,
+    // may filter by any status; everyone else only sees published posts
+    const listsOwnPosts = !!req.user && author === req.user._id.toString();
+    if (can(req.user, 'post:read') || listsOwnPosts) {
+      if (status === 'scheduled') {
+        query.status = 'draft';
+        query.scheduledAt = { $ne: null };
+      } else if (status) {
+        query.status = status;
+      }
     } else {
       query.status = 'published';
       query.publishedAt = { $lte: new Date() };
     }
 
-    // Filter by author
+    // Filter by author (main author or co-author)
     if (author) {
-      query.author = author;
+      Object.assign(query, BlogPost.authoredBy(author));
     }
 
     // Filter by tags
@@ -118,10 +226,17 @@ const getPosts = async (req, res) => {
       query.tags = { $in: tagArray };
     }
 
-    // Filter by categories
+    // Filter by categories (slugs or IDs), including their subcategories
     if (categories) {
       const categoryArray = Array.isArray(categories) ? categories : categories.split(',');
-      query.categories = { $in: categoryArray };
+      const matched = await Category.findByIdsOrSlugs(categoryArray);
+      if (matched.length === 0) {
+        return res.status(404).json({
+          message: 'Category not found',
+          success: false
+        });
+      }
+      query.categories = { $in: await Category.findDescendantIds(matched.map(category => category._id)) };
     }
 
     // Text search
@@ -129,22 +244,61 @@ const getPosts = async (req, res) => {
       query.$text = { $search: search };
     }
 
-    // Sorting
+    // Sorting (`relevance` ranks text search matches best first; _id keeps ties in a stable order)
     const sortOrder = order === 'desc' ? -1 : 1;
-    const sortObj = { [sort]: sortOrder };
+    const sortObj = search && sort === 'relevance'
+      ? { score: { $meta: 'textScore' } }
+      : { [sort]: sortOrder, _id: sortOrder };
+
+    // Cursor mode (`cursor` given, empty for the first page) continues after the last post seen
+    const cursorMode = cursor !== undefined;
+    if (cursorMode) {
+      if (!CURSOR_SORT_FIELDS.includes(sort)) {
+        return res.status(400).json({
+          message: `Cursor pagination supports sorting by: ${CURSOR_SORT_FIELDS.join(', ')}`,
+          success: false
+        });
+      }
 
-    // Pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+      if (cursor) {
+        const after = decodeCursor(cursor);
+        if (!after) {
+          return res.status(400).json({
+            message: 'Invalid cursor',
+            success: false
+          });
+        }
+        applyCursor(query, sort, sortOrder, after);
+      }
+    }
 
     // Execute query
-    const posts = await BlogPost.find(query)
+    const postsQuery = BlogPost.find(query)
       .populate('author', 'username firstName lastName avatar')
-      .sort(sortObj)
-      .skip(skip)
-      .limit(parseInt(limit));
+      .populate('coAuthors.user', 'username firstName lastName avatar')
+      .populate('categories', 'name slug')
+      .sort(sortObj);
 
-    // Get total count for pagination
-    const total = await BlogPost.countDocuments(query);
+    let posts;
+    let pagination;
+
+    if (cursorMode) {
+      const result = toCursorPage(await postsQuery.limit(parseInt(limit) + 1), parseInt(limit), sort);
+      posts = result.items;
+      pagination = result.pagination;
+    } else {
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      posts = await postsQuery.skip(skip).limit(parseInt(limit));
+
+      // Get total count for pagination
+      const total = await BlogPost.countDocuments(query);
+      pagination = {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      };
+    }
 
     // Add like status for authenticated users
     const postsWithLikeStatus = posts.map(post => {
@@ -162,12 +316,7 @@ const getPosts = async (req, res) => {
       success: true,
       data: {
         posts: postsWithLikeStatus,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / parseInt(limit)),
-          total,
-          limit: parseInt(limit)
-        }
+        pagination
       }
     });
 
@@ -186,7 +335,9 @@ const getPostBySlug = async (req, res) => {
     const { slug } = req.params;
 
     const post = await BlogPost.findOne({ slug })
-      .populate('author', 'username firstName lastName avatar bio socialLinks');
+      .populate('author', 'username firstName lastName avatar bio socialLinks')
+      .populate('coAuthors.user', 'username firstName lastName avatar bio socialLinks')
+      .populate('categories', 'name slug');
 
     if (!post) {
       return res.status(404).json({
@@ -196,8 +347,7 @@ const getPostBySlug = async (req, res) => {
     }
 
     // Check if user can view this post
-    if (post.status !== 'published' && 
-        (!req.user || (req.user._id.toString() !== post.author._id.toString() && req.user.role !== 'admin'))) {
+    if (post.status !== 'published' && !can(req.user, 'post:read', post)) {
       return res.status(403).json({
         message: 'Access denied',
         success: false
@@ -211,13 +361,23 @@ const getPostBySlug = async (req, res) => {
     }
 
     // Add like status for authenticated users
-    const postData = post.getPublicData();
+    // The raw content is only sent to users who can edit the post
+    const postData = post.getPublicData({ includeContent: can(req.user, 'post:edit', post) });
     if (req.user) {
       postData.isLiked = post.likes.some(like => 
         like.user.toString() === req.user._id.toString()
       );
     }
 
+    // Series navigator (previous/next part and table of parts)
+    const series = await Series.findByPost(post._id);
+    if (series) {
+      const parts = await series.getVisibleParts(part => can(req.user, 'post:read', part));
+      postData.series = series.getNavigation(post._id, parts);
+    } else {
+      postData.series = null;
+    }
+
     res.json({
       message: 'Post retrieved successfully',
       success: true,
@@ -235,6 +395,78 @@ const getPostBySlug = async (req, res) => {
   }
 };
 
+// Render unsaved content the way it will be published (Markdown, embeds, sanitization)
+const previewContent = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+        success: false
+      });
+    }
+
+    const { html, toc } = renderContent(req.body.content, { isMarkdown: req.body.isMarkdown === true });
+
+    res.json({
+      message: 'Preview rendered successfully',
+      success: true,
+      data: {
+        html,
+        toc
+      }
+    });
+
+  } catch (error) {
+    console.error('Preview content error:', error);
+    res.status(500).json({
+      message: 'Failed to render preview',
+      success: false
+    });
+  }
+};
+
+// Get published posts related to a post (shared tags, categories, series, authors and text)
+const getRelatedPosts = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 4, MAX_RELATED);
+
+    const post = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await BlogPost.findById(req.params.id).select('title tags categories author coAuthors status')
+      : null;
+
+    if (!post || (post.status !== 'published' && !can(req.user, 'post:read', post))) {
+      return res.status(404).json({
+        message: 'Post not found',
+        success: false
+      });
+    }
+
+    const related = await findRelatedPosts(post, limit);
+
+    res.json({
+      message: 'Related posts retrieved successfully',
+      success: true,
+      data: {
+        posts: related.map(({ post: relatedPost, score, sharedTags, sameSeries }) => ({
+          ...relatedPost,
+          relatedScore: score,
+          sharedTags,
+          sameSeries
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get related posts error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve related posts',
+      success: false
+    });
+  }
+};
+
 // Update blog post
 const updatePost = async (req, res) => {
   try {
@@ -259,7 +491,9 @@ const updatePost = async (req, res) => {
       isMarkdown,
       seo,
       scheduledAt,
-      featuredImage
+      featuredImage,
+      coAuthors,
+      series: seriesId
     } = req.body;
 
     // Find the post
@@ -271,27 +505,67 @@ const updatePost = async (req, res) => {
       });
     }
 
-    // Check ownership or admin rights
-    if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check edit rights
+    if (!can(req.user, 'post:edit', post)) {
       return res.status(403).json({
         message: 'Access denied',
         success: false
       });
     }
 
-    // Process content if provided
-    let processedContent = content;
-    if (content && isMarkdown) {
-      processedContent = marked(content);
+    if ((status === 'published' || scheduledAt) && !can(req.user, 'post:publish')) {
+      return res.status(403).json({
+        message: 'Your role cannot publish posts. Save the post as a draft instead.',
+        success: false
+      });
+    }
+
+    // Only the main author (or an editor) decides who is credited
+    let normalizedCoAuthors;
+    if (coAuthors !== undefined) {
+      if (!can(req.user, 'post:credit', post)) {
+        return res.status(403).json({
+          message: 'Only the main author or an editor can change co-authors',
+          success: false
+        });
+      }
+
+      normalizedCoAuthors = await normalizeCoAuthors(coAuthors, post.author);
+      if (!normalizedCoAuthors) {
+        return res.status(400).json({
+          message: 'One or more co-authors do not exist',
+          success: false
+        });
+      }
     }
-    if (processedContent) {
-      processedContent = purify.sanitize(processedContent);
+
+    // Moving the post into a series needs rights on that series; taking it out only needs edit rights
+    let seriesChanged = false;
+    if (seriesId !== undefined) {
+      const currentSeries = await Series.findByPost(post._id);
+      seriesChanged = String(currentSeries ? currentSeries._id : null) !== String(seriesId || null);
+      if (seriesChanged && seriesId && !(await findAssignableSeries(req, res, seriesId))) return;
+    }
+
+    if (categories && !(await categoriesExist(categories))) {
+      return res.status(400).json({
+        message: 'One or more categories do not exist',
+        success: false
+      });
+    }
+
+    // Review statuses are only entered through the review endpoints
+    if (status !== undefined && status !== post.status && BlogPost.REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: 'Use the review endpoints to submit a post or request changes',
+        success: false
+      });
     }
 
     // Update fields
     const updateData = {};
     if (title !== undefined) updateData.title = title;
-    if (processedContent !== undefined) updateData.content = processedContent;
+    if (content !== undefined) updateData.content = content;
     if (excerpt !== undefined) updateData.excerpt = excerpt;
     if (status !== undefined) updateData.status = status;
     if (tags !== undefined) updateData.tags = tags;
@@ -300,19 +574,49 @@ const updatePost = async (req, res) => {
     if (seo !== undefined) updateData.seo = seo;
     if (scheduledAt !== undefined) updateData.scheduledAt = scheduledAt;
     if (featuredImage !== undefined) updateData.featuredImage = featuredImage;
+    if (normalizedCoAuthors !== undefined) updateData.coAuthors = normalizedCoAuthors;
+
+    // Rescheduling into the future takes the post back to draft until it is due;
+    // changing the status by hand otherwise drops the schedule
+    if (scheduledAt && new Date(scheduledAt) > new Date()) {
+      updateData.status = 'draft';
+    } else if (status !== undefined && status !== post.status) {
+      updateData.scheduledAt = null;
+    }
+
+    // Posts created before revision tracking have no history yet,
+    // so keep their current state before it gets overwritten
+    if (!(await PostRevision.exists({ post: post._id }))) {
+      await PostRevision.snapshot(post, post.author, { reason: 'create' });
+    }
 
     // Update the post
     const updatedPost = await BlogPost.findByIdAndUpdate(
       id,
       updateData,
       { new: true, runValidators: true }
-    ).populate('author', 'username firstName lastName avatar');
+    )
+      .populate('author', 'username firstName lastName avatar')
+      .populate('coAuthors.user', 'username firstName lastName avatar')
+      .populate('categories', 'name slug');
+
+    if (seriesChanged) {
+      await Series.assignPost(updatedPost._id, seriesId || null);
+    }
+
+    clearRelatedPostsCache();
+
+    // Record the new state as a revision
+    await PostRevision.snapshot(updatedPost, req.user._id);
+
+    // The saved post supersedes the user's autosaved draft
+    await PostDraft.discardFor(req.user._id, updatedPost._id);
 
     res.json({
       message: 'Post updated successfully',
       success: true,
       data: {
-        post: updatedPost.getPublicData()
+        post: updatedPost.getPublicData({ includeContent: true })
       }
     });
 
@@ -339,8 +643,8 @@ const deletePost = async (req, res) => {
       });
     }
 
-    // Check ownership or admin rights
-    if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check delete rights
+    if (!can(req.user, 'post:delete', post)) {
       return res.status(403).json({
         message: 'Access denied',
         success: false
@@ -371,8 +675,13 @@ const deletePost = async (req, res) => {
       }
     }
 
-    // Delete the post
+    // Delete the post, its revision history, drafts and editorial annotations, and take it out of its series
     await BlogPost.findByIdAndDelete(id);
+    await PostRevision.deleteMany({ post: id });
+    await PostDraft.deleteMany({ post: id });
+    await PostAnnotation.deleteMany({ post: id });
+    await Series.updateMany({ posts: id }, { $pull: { posts: id } });
+    clearRelatedPostsCache();
 
     res.json({
       message: 'Post deleted successfully',
@@ -434,9 +743,26 @@ const toggleLike = async (req, res) => {
 // Get popular posts
 const getPopularPosts = async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
+    const { limit = 10, cursor } = req.query;
 
-    const posts = await BlogPost.findPopular(parseInt(limit));
+    // Cursor mode (`cursor` given, empty for the first page) continues after the last post seen
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      return res.status(400).json({
+        message: 'Invalid cursor',
+        success: false
+      });
+    }
+
+    const found = await BlogPost.findPopular(parseInt(limit) + (cursor !== undefined ? 1 : 0), after);
+
+    let posts = found;
+    let pagination;
+    if (cursor !== undefined) {
+      const result = toCursorPage(found, parseInt(limit), 'views');
+      posts = result.items;
+      pagination = result.pagination;
+    }
 
     const postsWithLikeStatus = posts.map(post => {
       const postData = post.getPublicData();
@@ -452,7 +778,8 @@ const getPopularPosts = async (req, res) => {
       message: 'Popular posts retrieved successfully',
       success: true,
       data: {
-        posts: postsWithLikeStatus
+        posts: postsWithLikeStatus,
+        pagination
       }
     });
 
@@ -468,9 +795,26 @@ const getPopularPosts = async (req, res) => {
 // Get recent posts
 const getRecentPosts = async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
+    const { limit = 10, cursor } = req.query;
 
-    const posts = await BlogPost.findRecent(parseInt(limit));
+    // Cursor mode (`cursor` given, empty for the first page) continues after the last post seen
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      return res.status(400).json({
+        message: 'Invalid cursor',
+        success: false
+      });
+    }
+
+    const found = await BlogPost.findRecent(parseInt(limit) + (cursor !== undefined ? 1 : 0), after);
+
+    let posts = found;
+    let pagination;
+    if (cursor !== undefined) {
+      const result = toCursorPage(found, parseInt(limit), 'publishedAt');
+      posts = result.items;
+      pagination = result.pagination;
+    }
 
     const postsWithLikeStatus = posts.map(post => {
       const postData = post.getPublicData();
@@ -486,7 +830,8 @@ const getRecentPosts = async (req, res) => {
       message: 'Recent posts retrieved successfully',
       success: true,
       data: {
-        posts: postsWithLikeStatus
+        posts: postsWithLikeStatus,
+        pagination
       }
     });
 
@@ -499,33 +844,16 @@ const getRecentPosts = async (req, res) => {
   }
 };
 
-// Get all categories
-const getCategories = async (req, res) => {
-  try {
-    const categories = await BlogPost.distinct('categories');
-    
-    res.json({
-      success: true,
-      data: { categories }
-    });
-  } catch (error) {
-    console.error('Get categories error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to retrieve categories'
-    });
-  }
-};
-
 module.exports = {
   createPost,
   getPosts,
   getPostBySlug,
+  getRelatedPosts,
+  previewContent,
   updatePost,
   deletePost,
   toggleLike,
   getPopularPosts,
-  getRecentPosts,
-  getCategories
+  getRecentPosts
 };
 
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+
+const categoryController = require('../controllers/categoryController');
+const { validateCreateCategory, validateUpdateCategory } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/authorize');
+
+// Category management (admin area; `auth` runs where the router is mounted)
+router.get('/categories', requirePermission('category:manage'), categoryController.getCategories);
+router.post('/categories', requirePermission('category:manage'), validateCreateCategory, categoryController.createCategory);
+router.post('/categories/migrate', requirePermission('category:manage'), categoryController.migrateCategories);
+router.put('/categories/:id', requirePermission('category:manage'), validateUpdateCategory, categoryController.updateCategory);
+router.delete('/categories/:id', requirePermission('category:manage'), categoryController.deleteCategory);
+
+module.exports = router;
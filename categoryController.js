@@ -0,0 +1,308 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const BlogPost = require('../models/BlogPost');
+const PostRevision = require('../models/PostRevision');
+const { migrateCategoryStrings } = require('../utils/categoryMigration');
+const { clearRelatedPostsCache } = require('../utils/relatedPosts');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array(),
+      success: false
+    });
+    return true;
+  }
+  return false;
+};
+
+// Order categories depth-first (each parent followed by its children) and add their depth
+const flattenTree = (categories) => {
+  const byParent = new Map();
+  categories.forEach(category => {
+    const key = String(category.parent || null);
+    byParent.set(key, [...(byParent.get(key) || []), category]);
+  });
+
+  const result = [];
+  const visit = (parentId, depth) => {
+    (byParent.get(String(parentId)) || []).forEach(category => {
+      result.push({ ...category, depth });
+      visit(category._id, depth + 1);
+    });
+  };
+  visit(null, 0);
+
+  return result;
+};
+
+// Get all categories in tree order with their number of published posts
+// (`postCount` counts the category itself, `totalPostCount` includes subcategories)
+const getCategories = async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.findSorted().lean(),
+      BlogPost.aggregate([
+        { $match: { status: 'published', publishedAt: { $lte: new Date() } } },
+        { $unwind: '$categories' },
+        { $group: { _id: '$categories', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countById = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+    const withCounts = categories.map(category => ({
+      ...category,
+      postCount: countById.get(String(category._id)) || 0,
+      totalPostCount: categories
+        .filter(other => other._id.equals(category._id) || other.ancestors.some(id => id.equals(category._id)))
+        .reduce((total, other) => total + (countById.get(String(other._id)) || 0), 0)
+    }));
+
+    res.json({
+      message: 'Categories retrieved successfully',
+      success: true,
+      data: {
+        categories: flattenTree(withCounts)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve categories',
+      success: false
+    });
+  }
+};
+
+// Get a category for its archive page, with its parent chain and subcategories
+const getCategoryBySlug = async (req, res) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug })
+      .populate('ancestors', 'name slug');
+
+    if (!category) {
+      return res.status(404).json({
+        message: 'Category not found',
+        success: false
+      });
+    }
+
+    const children = await Category.find({ parent: category._id })
+      .select('name slug description coverImage')
+      .sort({ sortOrder: 1, name: 1 });
+
+    res.json({
+      message: 'Category retrieved successfully',
+      success: true,
+      data: {
+        // `ancestors` is the parent chain from the root, for breadcrumbs
+        category,
+        children
+      }
+    });
+
+  } catch (error) {
+    console.error('Get category error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve category',
+      success: false
+    });
+  }
+};
+
+// Load a category by ID from the route
+const findCategory = async (req, res) => {
+  const category = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Category.findById(req.params.id)
+    : null;
+
+  if (!category) {
+    res.status(404).json({
+      message: 'Category not found',
+      success: false
+    });
+    return null;
+  }
+
+  return category;
+};
+
+// Check that a parent exists and would not create a cycle
+// Sends the error response and returns false when it can't be used
+const checkParent = async (res, parentId, category = null) => {
+  if (!parentId) return true;
+
+  const parent = await Category.findById(parentId);
+  if (!parent) {
+    res.status(400).json({
+      message: 'Parent category not found',
+      success: false
+    });
+    return false;
+  }
+
+  if (category && category.isAncestorOf(parent)) {
+    res.status(400).json({
+      message: 'A category cannot be moved below itself or one of its subcategories',
+      success: false
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Create a category
+const createCategory = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { name, parent, description, coverImage, sortOrder } = req.body;
+
+    if (!(await checkParent(res, parent))) return;
+
+    const category = await Category.create({
+      name,
+      parent: parent || null,
+      description,
+      coverImage: coverImage || {},
+      sortOrder: sortOrder || 0
+    });
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      success: true,
+      data: {
+        category
+      }
+    });
+
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({
+      message: 'Failed to create category',
+      success: false
+    });
+  }
+};
+
+// Update a category; moving it also moves its subcategories
+const updateCategory = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const category = await findCategory(req, res);
+    if (!category) return;
+
+    const { name, parent, description, coverImage, sortOrder } = req.body;
+
+    if (parent !== undefined && !(await checkParent(res, parent, category))) return;
+
+    if (name !== undefined) category.name = name;
+    if (parent !== undefined) category.parent = parent || null;
+    if (description !== undefined) category.description = description;
+    if (coverImage !== undefined) category.coverImage = coverImage;
+    if (sortOrder !== undefined) category.sortOrder = sortOrder;
+
+    const moved = category.isModified('parent');
+    await category.save();
+
+    if (moved) {
+      await Category.rebuildDescendants(category);
+    }
+
+    // Related posts show category names
+    clearRelatedPostsCache();
+
+    res.json({
+      message: 'Category updated successfully',
+      success: true,
+      data: {
+        category
+      }
+    });
+
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({
+      message: 'Failed to update category',
+      success: false
+    });
+  }
+};
+
+// Delete a category: its subcategories move up to its parent and its posts lose it
+const deleteCategory = async (req, res) => {
+  try {
+    const category = await findCategory(req, res);
+    if (!category) return;
+
+    const children = await Category.find({ parent: category._id });
+    for (const child of children) {
+      child.parent = category.parent;
+      await child.save();
+      await Category.rebuildDescendants(child);
+    }
+
+    const { modifiedCount } = await BlogPost.updateMany(
+      { categories: category._id },
+      { $pull: { categories: category._id } }
+    );
+    // Revisions too, so restoring one can't bring the category back onto a post
+    await PostRevision.updateMany(
+      { categories: category._id },
+      { $pull: { categories: category._id } }
+    );
+
+    await category.deleteOne();
+    clearRelatedPostsCache();
+
+    res.json({
+      message: 'Category deleted successfully',
+      success: true,
+      data: {
+        postsUpdated: modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      message: 'Failed to delete category',
+      success: false
+    });
+  }
+};
+
+// Convert the legacy free-text categories of posts into Category documents
+const migrateCategories = async (req, res) => {
+  try {
+    const result = await migrateCategoryStrings();
+
+    res.json({
+      message: 'Categories migrated successfully',
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Migrate categories error:', error);
+    res.status(500).json({
+      message: 'Failed to migrate categories',
+      success: false
+    });
+  }
+};
+
+module.exports = {
+  getCategories,
+  getCategoryBySlug,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  migrateCategories
+};
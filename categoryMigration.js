@@ -0,0 +1,59 @@
+const BlogPost = require('../models/BlogPost');
+const PostRevision = require('../models/PostRevision');
+const Category = require('../models/Category');
+
+// Categories used to be free-text strings on posts and revisions.
+// Replace them with references to Category documents, creating one per distinct name.
+// Safe to run more than once: already migrated documents are skipped.
+// Works on the raw collections because the schemas now expect ObjectIds.
+
+// Map each distinct string category of a collection to a Category ID
+const collectCategoryIds = async (collection, categoryIds) => {
+  const values = await collection.distinct('categories', { categories: { $type: 'string' } });
+
+  for (const value of values) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (!name || categoryIds.has(value)) continue;
+
+    const category = await Category.findOrCreateByName(name);
+    categoryIds.set(value, category._id);
+  }
+};
+
+// Rewrite the categories of every document that still has strings
+const rewriteCategories = async (collection, categoryIds) => {
+  const cursor = collection.find({ categories: { $type: 'string' } }, { projection: { categories: 1 } });
+  let updated = 0;
+
+  for await (const doc of cursor) {
+    const ids = doc.categories
+      .map(value => (typeof value === 'string' ? categoryIds.get(value) : value))
+      .filter(Boolean);
+
+    // Drop duplicates created by names that map to the same category
+    const unique = ids.filter((id, index) => ids.findIndex(other => other.equals(id)) === index);
+
+    await collection.updateOne({ _id: doc._id }, { $set: { categories: unique } });
+    updated++;
+  }
+
+  return updated;
+};
+
+const migrateCategoryStrings = async () => {
+  const categoryIds = new Map();
+  const categoriesBefore = await Category.countDocuments();
+
+  await collectCategoryIds(BlogPost.collection, categoryIds);
+  await collectCategoryIds(PostRevision.collection, categoryIds);
+  const categoriesCreated = (await Category.countDocuments()) - categoriesBefore;
+
+  const postsUpdated = await rewriteCategories(BlogPost.collection, categoryIds);
+  const revisionsUpdated = await rewriteCategories(PostRevision.collection, categoryIds);
+
+  return { categoriesCreated, postsUpdated, revisionsUpdated };
+};
+
+module.exports = {
+  migrateCategoryStrings
+};
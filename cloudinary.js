@@ -9,16 +9,21 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
+// Image context recording who uploaded an image
+const uploaderContext = (userId) => `uploaded_by=${userId}`;
+
 // Configure multer storage for Cloudinary
+// The uploader is kept in the image context so deletes can be checked against it
 const storage = new CloudinaryStorage({
   cloudinary: cloudinary,
-  params: {
+  params: (req) => ({
     folder: 'blog-cms',
     allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
     transformation: [
       { width: 1200, height: 800, crop: 'limit', quality: 'auto' }
-    ]
-  }
+    ],
+    context: req.user ? uploaderContext(req.user._id) : undefined
+  })
 });
 
 // Create multer upload middleware
@@ -74,6 +79,25 @@ const deleteFromCloudinary = async (publicId) => {
   }
 };
 
+// Find an uploaded image and the ID of the user who uploaded it
+// Resolves to { publicId, uploadedBy } (uploadedBy is null for images uploaded before
+// it was recorded), or null when there is no such image
+const findImage = async (publicId) => {
+  try {
+    const resource = await cloudinary.api.resource(publicId, { context: true });
+    const context = (resource.context && resource.context.custom) || {};
+    return {
+      publicId: resource.public_id,
+      uploadedBy: context.uploaded_by || null
+    };
+  } catch (error) {
+    if (error.http_code === 404 || (error.error && error.error.http_code === 404)) {
+      return null;
+    }
+    throw new Error(`Image lookup failed: ${error.message || (error.error && error.error.message)}`);
+  }
+};
+
 // Generate optimized image URL
 const getOptimizedImageUrl = (publicId, options = {}) => {
   const defaultOptions = {
@@ -99,8 +123,10 @@ module.exports = {
   cloudinary,
   uploadSingle,
   uploadMultiple,
+  uploaderContext,
   uploadToCloudinary,
   deleteFromCloudinary,
+  findImage,
   getOptimizedImageUrl,
   getThumbnailUrl
 };
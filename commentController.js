@@ -1,6 +1,8 @@
 const { validationResult } = require('express-validator');
 const Comment = require('../models/Comment');
 const BlogPost = require('../models/BlogPost');
+const { can } = require('../utils/permissions');
+const { decodeCursor, toCursorPage } = require('../utils/pagination');
 
 // Create new comment
 const createComment = async (req, res) => {
@@ -91,9 +93,19 @@ const getCommentsByPost = async (req, res) => {
       page = 1, 
       limit = 20, 
       sort = 'newest',
-      includeReplies = true 
+      includeReplies = true,
+      cursor
     } = req.query;
 
+    // Cursor mode (`cursor` given, empty for the first page) continues after the last comment seen
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      return res.status(400).json({
+        message: 'Invalid cursor',
+        success: false
+      });
+    }
+
     // Check if post exists
     const post = await BlogPost.findById(postId);
     if (!post) {
@@ -106,20 +118,41 @@ const getCommentsByPost = async (req, res) => {
     // Build query options
     const options = {
       includeReplies: includeReplies === 'true',
-      sort: sort === 'oldest' ? 'oldest' : 'newest'
+      sort: sort === 'oldest' ? 'oldest' : 'newest',
+      after
     };
 
-    // Get comments
-    const comments = await Comment.findByPost(postId, options)
-      .skip((parseInt(page) - 1) * parseInt(limit))
-      .limit(parseInt(limit));
+    let comments;
+    let pagination;
+
+    if (cursor !== undefined) {
+      const result = toCursorPage(
+        await Comment.findByPost(postId, options).limit(parseInt(limit) + 1),
+        parseInt(limit),
+        'createdAt'
+      );
+      comments = result.items;
+      pagination = result.pagination;
+    } else {
+      // Get comments
+      comments = await Comment.findByPost(postId, options)
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit));
+
+      // Get total count for pagination
+      const total = await Comment.countDocuments({ 
+        post: postId, 
+        status: 'approved',
+        parentComment: options.includeReplies ? undefined : null
+      });
 
-    // Get total count for pagination
-    const total = await Comment.countDocuments({ 
-      post: postId, 
-      status: 'approved',
-      parentComment: options.includeReplies ? undefined : null
-    });
+      pagination = {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      };
+    }
 
     // Add like status for authenticated users
     const commentsWithLikeStatus = comments.map(comment => {
@@ -137,12 +170,7 @@ const getCommentsByPost = async (req, res) => {
       success: true,
       data: {
         comments: commentsWithLikeStatus,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / parseInt(limit)),
-          total,
-          limit: parseInt(limit)
-        }
+        pagination
       }
     });
 
@@ -180,8 +208,8 @@ const updateComment = async (req, res) => {
       });
     }
 
-    // Check ownership or admin rights
-    if (comment.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check edit rights
+    if (!can(req.user, 'comment:edit', comment)) {
       return res.status(403).json({
         message: 'Access denied',
         success: false
@@ -226,8 +254,8 @@ const deleteComment = async (req, res) => {
       });
     }
 
-    // Check ownership or admin rights
-    if (comment.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check delete rights
+    if (!can(req.user, 'comment:delete', comment)) {
       return res.status(403).json({
         message: 'Access denied',
         success: false
@@ -294,7 +322,7 @@ const toggleCommentLike = async (req, res) => {
   }
 };
 
-// Moderate comment (admin only)
+// Moderate comment (editors and admins)
 const moderateComment = async (req, res) => {
   try {
     const { id } = req.params;
@@ -3,22 +3,24 @@ const router = express.Router();
 
 const commentController = require('../controllers/commentController');
 const analyticsController = require('../controllers/analyticsController');
-const { auth, optionalAuth, adminAuth } = require('../middleware/auth');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
 const { 
   validateCreateComment, 
   validateUpdateComment, 
   validateModerateComment 
 } = require('../middleware/validation');
+const { requireVerifiedEmailToComment } = require('../middleware/verifiedEmail');
 
 // Comment routes
 router.get('/post/:postId', optionalAuth, commentController.getCommentsByPost);
-router.post('/', auth, validateCreateComment, commentController.createComment);
+router.post('/', auth, requirePermission('comment:create'), requireVerifiedEmailToComment, validateCreateComment, commentController.createComment);
 router.put('/:id', auth, validateUpdateComment, commentController.updateComment);
 router.delete('/:id', auth, commentController.deleteComment);
 router.post('/:id/like', auth, commentController.toggleCommentLike);
 
-// Comment moderation (admin only)
-router.put('/:id/moderate', auth, adminAuth, validateModerateComment, commentController.moderateComment);
+// Comment moderation (editors and admins)
+router.put('/:id/moderate', auth, requirePermission('comment:moderate'), validateModerateComment, commentController.moderateComment);
 router.get('/post/:postId/stats', auth, commentController.getCommentStats);
 
 // Analytics routes
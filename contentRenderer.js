@@ -0,0 +1,130 @@
+const { Marked } = require('marked');
+const markedFootnote = require('marked-footnote');
+const hljs = require('highlight.js');
+const DOMPurify = require('dompurify');
+const { JSDOM } = require('jsdom');
+const slugify = require('slugify');
+const { EMBED_FRAME_HOSTS, applyEmbeds } = require('./embeds');
+
+// Post content rendering
+// The post source (Markdown or HTML) is turned into the HTML served to readers:
+// Markdown (GFM with tables and footnotes) -> sanitize -> iframe allowlist, embeds (see embeds.js),
+// heading anchors and code highlighting.
+// Only the sanitized DOM is enhanced, and the enhancements only add escaped text,
+// ids and classes, so everything returned is safe to insert as-is.
+
+const marked = new Marked({ gfm: true }, markedFootnote());
+
+const window = new JSDOM('').window;
+const purify = DOMPurify(window);
+
+const SANITIZE_OPTIONS = {
+  ADD_TAGS: ['iframe'],
+  ADD_ATTR: ['allow', 'allowfullscreen', 'frameborder', 'loading', 'referrerpolicy'],
+  RETURN_DOM: true
+};
+
+const isEmbedSrc = (src) => {
+  try {
+    const url = new URL(src);
+    return url.protocol === 'https:' && EMBED_FRAME_HOSTS.includes(url.hostname);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Drop authored iframes that don't come from an embed provider
+const removeForeignFrames = (root) => {
+  root.querySelectorAll('iframe').forEach(frame => {
+    if (!isEmbedSrc(frame.getAttribute('src'))) frame.remove();
+  });
+};
+
+// Heading levels listed in the table of contents
+const TOC_LEVELS = [2, 3, 4];
+
+// Nest headings ({ id, text, level }) under the closest previous heading of a higher level
+const buildToc = (headings) => {
+  const toc = [];
+  const stack = [];
+
+  headings.forEach(heading => {
+    const entry = { ...heading, children: [] };
+    while (stack.length > 0 && stack[stack.length - 1].level >= entry.level) {
+      stack.pop();
+    }
+    (stack.length > 0 ? stack[stack.length - 1].children : toc).push(entry);
+    stack.push(entry);
+  });
+
+  return toc;
+};
+
+// Give every heading a unique id and an anchor link to it
+// Returns the headings in document order
+const addHeadingAnchors = (root) => {
+  const used = new Set([...root.querySelectorAll('[id]')].map(element => element.id));
+  const headings = [];
+
+  root.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+    if (!heading.id) {
+      const base = slugify(heading.textContent, { lower: true, strict: true }) || 'section';
+      let id = base;
+      for (let counter = 1; used.has(id); counter++) {
+        id = `${base}-${counter}`;
+      }
+      used.add(id);
+      heading.id = id;
+    }
+
+    // The anchor has no text so it stays out of excerpts, search and the read time
+    const anchor = root.ownerDocument.createElement('a');
+    anchor.className = 'heading-anchor';
+    anchor.setAttribute('href', `#${heading.id}`);
+    anchor.setAttribute('aria-hidden', 'true');
+    anchor.setAttribute('tabindex', '-1');
+    heading.prepend(anchor);
+
+    headings.push({
+      id: heading.id,
+      text: heading.textContent.replace(/\s+/g, ' ').trim(),
+      level: Number(heading.tagName[1])
+    });
+  });
+
+  return headings;
+};
+
+// Highlight code blocks marked with a known language (`language-js` or `lang-js`)
+const highlightCode = (root) => {
+  root.querySelectorAll('pre > code').forEach(code => {
+    const match = code.className.match(/\b(?:language|lang)-([\w+#-]+)/);
+    const language = match && hljs.getLanguage(match[1]) ? match[1] : null;
+
+    if (language) {
+      // hljs escapes the code text, so its output only adds <span class="hljs-..."> markup
+      code.innerHTML = hljs.highlight(code.textContent, { language, ignoreIllegals: true }).value;
+    }
+    code.classList.add('hljs');
+  });
+};
+
+// Render a post source to sanitized HTML and its table of contents (h2-h4, nested)
+const renderContent = (source = '', { isMarkdown = false } = {}) => {
+  const html = isMarkdown ? marked.parse(source) : source;
+  const root = purify.sanitize(html, SANITIZE_OPTIONS);
+
+  removeForeignFrames(root);
+  applyEmbeds(root);
+  const headings = addHeadingAnchors(root);
+  highlightCode(root);
+
+  return {
+    html: root.innerHTML,
+    toc: buildToc(headings.filter(heading => TOC_LEVELS.includes(heading.level) && heading.text))
+  };
+};
+
+module.exports = {
+  renderContent
+};
@@ -0,0 +1,115 @@
+// Upper bound on the LCS table size; larger inputs fall back to a plain replace
+const MAX_TABLE_SIZE = 4000000;
+
+// Strip HTML tags and collapse whitespace so diffs compare readable text
+const toPlainText = (html = '') => {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Split text into word and whitespace tokens
+const tokenize = (text = '') => {
+  return text.match(/\s+|[^\s]+/g) || [];
+};
+
+// Merge consecutive operations of the same type
+const pushOp = (ops, type, value) => {
+  const last = ops[ops.length - 1];
+  if (last && last.type === type) {
+    last.value += value;
+  } else {
+    ops.push({ type, value });
+  }
+};
+
+// Word-level diff between two strings
+// Returns an array of { type: 'equal' | 'insert' | 'delete', value }
+const diffWords = (oldText = '', newText = '') => {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+  const ops = [];
+
+  // Trim common prefix and suffix to keep the table small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  if (start > 0) {
+    pushOp(ops, 'equal', a.slice(0, start).join(''));
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_TABLE_SIZE) {
+    if (n > 0) pushOp(ops, 'delete', midA.join(''));
+    if (m > 0) pushOp(ops, 'insert', midB.join(''));
+  } else if (n > 0 || m > 0) {
+    // Longest common subsequence table, filled from the end
+    const width = m + 1;
+    const table = new Uint32Array((n + 1) * width);
+
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i * width + j] = midA[i] === midB[j]
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        pushOp(ops, 'equal', midA[i]);
+        i++;
+        j++;
+      } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+        pushOp(ops, 'delete', midA[i]);
+        i++;
+      } else {
+        pushOp(ops, 'insert', midB[j]);
+        j++;
+      }
+    }
+    while (i < n) pushOp(ops, 'delete', midA[i++]);
+    while (j < m) pushOp(ops, 'insert', midB[j++]);
+  }
+
+  if (endA < a.length) {
+    pushOp(ops, 'equal', a.slice(endA).join(''));
+  }
+
+  return ops;
+};
+
+// Diff two string lists (tags, categories, keywords) as sets
+const diffLists = (oldList = [], newList = []) => {
+  return {
+    added: newList.filter(item => !oldList.includes(item)),
+    removed: oldList.filter(item => !newList.includes(item))
+  };
+};
+
+// Check whether a diff contains any changes
+const hasChanges = (ops) => ops.some(op => op.type !== 'equal');
+
+module.exports = {
+  toPlainText,
+  diffWords,
+  diffLists,
+  hasChanges
+};
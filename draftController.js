@@ -0,0 +1,141 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const BlogPost = require('../models/BlogPost');
+const PostDraft = require('../models/PostDraft');
+const { can } = require('../utils/permissions');
+
+// Drafts are addressed by post id, or by `new` for a post that is not created yet
+
+// Resolve the post of a draft route and check that the current user may edit it
+// Returns { post } (post is null for `new`), or null after sending an error
+const findDraftTarget = async (req, res) => {
+  if (req.params.id === 'new') {
+    if (!can(req.user, 'post:create')) {
+      res.status(403).json({
+        message: 'Access denied',
+        success: false
+      });
+      return null;
+    }
+    return { post: null };
+  }
+
+  const post = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await BlogPost.findById(req.params.id).select('author coAuthors status updatedAt')
+    : null;
+
+  if (!post) {
+    res.status(404).json({
+      message: 'Post not found',
+      success: false
+    });
+    return null;
+  }
+
+  if (!can(req.user, 'post:edit', post)) {
+    res.status(403).json({
+      message: 'Access denied',
+      success: false
+    });
+    return null;
+  }
+
+  return { post };
+};
+
+// Get the current user's autosaved draft of a post (null when there is none)
+const getDraft = async (req, res) => {
+  try {
+    const target = await findDraftTarget(req, res);
+    if (!target) return;
+
+    const draft = await PostDraft.findOne({ user: req.user._id, post: target.post ? target.post._id : null });
+
+    res.json({
+      message: 'Draft retrieved successfully',
+      success: true,
+      data: {
+        draft,
+        // Lets the editor tell whether the post was saved after the draft
+        // Any save moves updatedAt (lastModified only follows the content), so metadata edits count too
+        postModifiedAt: target.post ? target.post.updatedAt : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get draft error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve draft',
+      success: false
+    });
+  }
+};
+
+// Autosave the editor state; the post itself is left untouched
+const saveDraft = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+        success: false
+      });
+    }
+
+    const target = await findDraftTarget(req, res);
+    if (!target) return;
+
+    const fields = {};
+    PostDraft.DRAFT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+    if (fields.series === '') fields.series = null;
+    if (fields.scheduledAt === '') fields.scheduledAt = null;
+
+    const draft = await PostDraft.saveFor(req.user._id, target.post ? target.post._id : null, fields);
+
+    res.json({
+      message: 'Draft saved successfully',
+      success: true,
+      data: {
+        savedAt: draft.savedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Save draft error:', error);
+    res.status(500).json({
+      message: 'Failed to save draft',
+      success: false
+    });
+  }
+};
+
+// Discard the current user's autosaved draft of a post
+const discardDraft = async (req, res) => {
+  try {
+    const target = await findDraftTarget(req, res);
+    if (!target) return;
+
+    await PostDraft.discardFor(req.user._id, target.post ? target.post._id : null);
+
+    res.json({
+      message: 'Draft discarded successfully',
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Discard draft error:', error);
+    res.status(500).json({
+      message: 'Failed to discard draft',
+      success: false
+    });
+  }
+};
+
+module.exports = {
+  getDraft,
+  saveDraft,
+  discardDraft
+};
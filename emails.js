@@ -0,0 +1,47 @@
+const { sendMail } = require('./mailer');
+const { generateEmailVerificationToken } = require('./jwt');
+const { escapeXml: escapeHtml } = require('./feed');
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+// Send the email verification link to a user
+const sendVerificationEmail = async (user) => {
+  const token = generateEmailVerificationToken(user);
+  const link = `${getFrontendUrl()}/verify-email/${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThe link expires in ${process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h'}. If you didn't create an account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${link}">Verify email address</a></p><p>The link expires in ${process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h'}. If you didn't create an account, you can ignore this email.</p>`
+  });
+};
+
+// Send a password reset link
+const sendPasswordResetEmail = async (user, resetToken) => {
+  const link = `${getFrontendUrl()}/reset-password/${resetToken}`;
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.firstName},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThe link can be used once and expires in ${expiresInMinutes} minutes. If you didn't request a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>We received a request to reset your password. Click the link below to choose a new one:</p><p><a href="${link}">Reset password</a></p><p>The link can be used once and expires in ${expiresInMinutes} minutes. If you didn't request a reset, you can ignore this email.</p>`
+  });
+};
+
+// Notify a user that their password was changed
+const sendPasswordChangedEmail = async (user) => {
+  await sendMail({
+    to: user.email,
+    subject: 'Your password was changed',
+    text: `Hi ${user.firstName},\n\nThe password for your account was just changed and you have been signed out on all devices. If this wasn't you, reset your password immediately.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>The password for your account was just changed and you have been signed out on all devices. If this wasn't you, reset your password immediately.</p>`
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+};
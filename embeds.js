@@ -0,0 +1,211 @@
+// Embed providers
+// A standalone URL in post content (alone in its paragraph, or written as
+// `{% embed url %}`) from one of these providers is rendered as an iframe.
+// Each provider turns a URL into the parameters of its embed (`match`, null when
+// the URL is not one of its pages) and the parameters into the iframe URL (`src`).
+// Parameters are checked against strict patterns, so the iframe URL can't be
+// pointed anywhere else. Iframes are served from `frameHosts`, which also make up
+// the iframe allowlist applied to authored HTML.
+
+const ID = /^[\w-]+$/;
+
+const parseUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const host = (url) => url.hostname.replace(/^(www|m|mobile)\./, '');
+
+// Path segments of a URL, without empty ones
+const segments = (url) => url.pathname.split('/').filter(Boolean);
+
+// YouTube start time (`t=90`, `t=1m30s` or `start=90`) in seconds
+const youtubeStart = (url) => {
+  const value = url.searchParams.get('t') || url.searchParams.get('start');
+  if (!value) return 0;
+  const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/);
+  return match ? (Number(match[1] || 0) * 3600) + (Number(match[2] || 0) * 60) + Number(match[3] || 0) : 0;
+};
+
+const PROVIDERS = [
+  {
+    name: 'youtube',
+    title: 'YouTube video',
+    frameHosts: ['www.youtube-nocookie.com', 'www.youtube.com'],
+    match: (url) => {
+      const parts = segments(url);
+      let id = null;
+      if (host(url) === 'youtu.be') {
+        id = parts[0];
+      } else if (host(url) === 'youtube.com') {
+        id = parts[0] === 'watch' ? url.searchParams.get('v')
+          : ['embed', 'shorts', 'live'].includes(parts[0]) ? parts[1]
+            : null;
+      }
+      return id && /^[\w-]{11}$/.test(id) ? { id, start: youtubeStart(url) } : null;
+    },
+    // The no-cookie domain doesn't set tracking cookies until the video is played
+    src: ({ id, start }) => `https://www.youtube-nocookie.com/embed/${id}${start ? `?start=${start}` : ''}`,
+    allow: 'accelerometer; encrypted-media; gyroscope; picture-in-picture; fullscreen',
+    aspectRatio: '16 / 9'
+  },
+  {
+    name: 'gist',
+    title: 'GitHub gist',
+    frameHosts: ['gist.github.com'],
+    match: (url) => {
+      const [user, id] = segments(url);
+      return host(url) === 'gist.github.com' && ID.test(user || '') && /^[a-f\d]+$/i.test(id || '')
+        ? { user, id }
+        : null;
+    },
+    // The .pibb page is the gist as plain HTML, without GitHub's script
+    src: ({ user, id }) => `https://gist.github.com/${user}/${id}.pibb`,
+    height: 400
+  },
+  {
+    name: 'tweet',
+    title: 'Post on X (Twitter)',
+    frameHosts: ['platform.twitter.com'],
+    match: (url) => {
+      const [user, status, id] = segments(url);
+      return ['twitter.com', 'x.com'].includes(host(url)) && ID.test(user || '') && status === 'status' && /^\d+$/.test(id || '')
+        ? { id }
+        : null;
+    },
+    // dnt asks Twitter not to use the embed for personalization
+    src: ({ id }) => `https://platform.twitter.com/embed/Tweet.html?id=${id}&dnt=true`,
+    height: 560,
+    maxWidth: 550
+  },
+  {
+    name: 'codepen',
+    title: 'CodePen',
+    frameHosts: ['codepen.io'],
+    match: (url) => {
+      const [user, type, id] = segments(url);
+      return host(url) === 'codepen.io' && ID.test(user || '') && ['pen', 'embed', 'full'].includes(type) && ID.test(id || '')
+        ? { user, id }
+        : null;
+    },
+    src: ({ user, id }) => `https://codepen.io/${user}/embed/${id}?default-tab=result`,
+    height: 450
+  },
+  {
+    name: 'vimeo',
+    title: 'Vimeo video',
+    frameHosts: ['player.vimeo.com'],
+    match: (url) => {
+      const parts = segments(url);
+      const id = host(url) === 'player.vimeo.com' && parts[0] === 'video' ? parts[1] : parts[0];
+      return ['vimeo.com', 'player.vimeo.com'].includes(host(url)) && /^\d+$/.test(id || '') ? { id } : null;
+    },
+    src: ({ id }) => `https://player.vimeo.com/video/${id}?dnt=1`,
+    allow: 'fullscreen; picture-in-picture',
+    aspectRatio: '16 / 9'
+  }
+];
+
+// Hosts allowed to serve iframes in post content
+const EMBED_FRAME_HOSTS = PROVIDERS.flatMap(provider => provider.frameHosts);
+
+// `{% embed url %}` shortcode
+const SHORTCODE = /^\{%\s*embed\s+(\S+)\s*%\}$/;
+
+// The embed for a URL: its provider and the iframe URL, or null when no provider knows it
+const resolveEmbed = (value) => {
+  const url = parseUrl(value);
+  if (!url) return null;
+
+  for (const provider of PROVIDERS) {
+    const params = provider.match(url);
+    if (params) {
+      return { provider, url: url.href, src: provider.src(params) };
+    }
+  }
+  return null;
+};
+
+// Build the embed element for a resolved embed
+// The original URL is kept as a link for readers whose browser blocks the frame
+const createEmbedElement = (document, { provider, url, src }) => {
+  const figure = document.createElement('figure');
+  figure.className = `embed embed-${provider.name}`;
+  figure.setAttribute('data-embed', provider.name);
+
+  const frame = document.createElement('iframe');
+  frame.setAttribute('src', src);
+  frame.setAttribute('title', provider.title);
+  frame.setAttribute('loading', 'lazy');
+  frame.setAttribute('referrerpolicy', 'strict-origin-when-cross-origin');
+  frame.setAttribute('frameborder', '0');
+  if (provider.allow) {
+    frame.setAttribute('allow', provider.allow);
+    frame.setAttribute('allowfullscreen', '');
+  }
+  frame.setAttribute('style', [
+    'width: 100%',
+    'border: 0',
+    provider.aspectRatio ? `aspect-ratio: ${provider.aspectRatio}` : `height: ${provider.height}px`,
+    provider.maxWidth ? `max-width: ${provider.maxWidth}px` : null
+  ].filter(Boolean).join('; '));
+
+  const caption = document.createElement('figcaption');
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('rel', 'noopener noreferrer');
+  link.textContent = url;
+  caption.appendChild(link);
+
+  figure.append(frame, caption);
+  return figure;
+};
+
+// URL written alone in a paragraph, as text, a link showing its own URL or a shortcode
+const standaloneUrl = (paragraph) => {
+  const text = paragraph.textContent.trim();
+  const shortcode = text.match(SHORTCODE);
+  if (shortcode) {
+    return { url: shortcode[1], shortcode: true };
+  }
+
+  const elements = [...paragraph.children];
+  const isBareText = elements.length === 0;
+  const isSelfLink = elements.length === 1
+    && elements[0].tagName === 'A'
+    && elements[0].textContent.trim() === text;
+
+  return (isBareText || isSelfLink) && /^https?:\/\/\S+$/.test(text) ? { url: text, shortcode: false } : null;
+};
+
+// Replace standalone embed URLs in rendered content by their embed
+// A shortcode with a URL no provider knows becomes a plain link
+const applyEmbeds = (root) => {
+  const document = root.ownerDocument;
+
+  root.querySelectorAll('p').forEach(paragraph => {
+    const found = standaloneUrl(paragraph);
+    if (!found) return;
+
+    const embed = resolveEmbed(found.url);
+    if (embed) {
+      paragraph.replaceWith(createEmbedElement(document, embed));
+    } else if (found.shortcode && parseUrl(found.url)) {
+      const link = document.createElement('a');
+      link.setAttribute('href', parseUrl(found.url).href);
+      link.textContent = found.url;
+      paragraph.replaceChildren(link);
+    }
+  });
+};
+
+module.exports = {
+  PROVIDERS,
+  EMBED_FRAME_HOSTS,
+  resolveEmbed,
+  applyEmbeds
+};
@@ -0,0 +1,158 @@
+// Escape text for use in XML element content and attributes
+const escapeXml = (value = '') => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// Wrap HTML in CDATA, splitting any closing sequence inside it
+const cdata = (value = '') => {
+  return `<![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+};
+
+// Guess an image MIME type from its URL
+const getImageType = (url = '') => {
+  const extension = url.split('?')[0].split('.').pop().toLowerCase();
+  const types = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp'
+  };
+  return types[extension] || 'image/jpeg';
+};
+
+const getAuthorName = (author) => {
+  if (!author) return '';
+  const fullName = [author.firstName, author.lastName].filter(Boolean).join(' ');
+  return fullName || author.username || '';
+};
+
+// Names of the main author followed by the co-authors in byline order
+const getAuthorNames = (post) => {
+  const coAuthors = [...(post.coAuthors || [])].sort((a, b) => a.order - b.order);
+  return [post.author, ...coAuthors.map(coAuthor => coAuthor.user)]
+    .map(getAuthorName)
+    .filter(Boolean);
+};
+
+// When a post last changed in a way a feed shows
+// `lastModified` only moves with the content; `updatedAt` also covers title, excerpt, tags and image
+const postUpdatedAt = (post) => new Date(Math.max(
+  ...[post.lastModified, post.updatedAt, post.publishedAt].filter(Boolean).map(date => new Date(date).getTime())
+));
+
+// Normalize a BlogPost into the fields every feed format needs
+const toFeedItem = (post, siteUrl, mode) => {
+  const link = `${siteUrl}/post/${post.slug}`;
+  return {
+    id: link,
+    link,
+    title: post.title,
+    summary: post.excerpt || '',
+    content: mode === 'excerpt' ? (post.excerpt || '') : post.renderedHtml,
+    authors: getAuthorNames(post),
+    published: post.publishedAt || post.createdAt,
+    updated: postUpdatedAt(post),
+    tags: [...(post.categories || []).map(category => category.name), ...(post.tags || [])],
+    image: post.featuredImage && post.featuredImage.url ? post.featuredImage : null
+  };
+};
+
+// Build an RSS 2.0 document
+const buildRss = (posts, feed) => {
+  const items = posts.map(post => toFeedItem(post, feed.siteUrl, feed.mode)).map(item => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      <pubDate>${new Date(item.published).toUTCString()}</pubDate>${item.authors.map(author => `
+      <dc:creator>${escapeXml(author)}</dc:creator>`).join('')}${item.tags.map(tag => `
+      <category>${escapeXml(tag)}</category>`).join('')}
+      <description>${cdata(item.summary || item.content)}</description>${feed.mode === 'full' ? `
+      <content:encoded>${cdata(item.content)}</content:encoded>` : ''}${item.image ? `
+      <enclosure url="${escapeXml(item.image.url)}" length="0" type="${getImageType(item.image.url)}" />` : ''}
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.siteUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${escapeXml(feed.language)}</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml" />${items}
+  </channel>
+</rss>
+`;
+};
+
+// Build an Atom 1.0 document
+const buildAtom = (posts, feed) => {
+  const entries = posts.map(post => toFeedItem(post, feed.siteUrl, feed.mode)).map(item => `
+  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.link)}" />
+    <id>${escapeXml(item.id)}</id>
+    <published>${new Date(item.published).toISOString()}</published>
+    <updated>${new Date(item.updated).toISOString()}</updated>${item.authors.map(author => `
+    <author><name>${escapeXml(author)}</name></author>`).join('')}${item.tags.map(tag => `
+    <category term="${escapeXml(tag)}" />`).join('')}${item.summary ? `
+    <summary>${escapeXml(item.summary)}</summary>` : ''}${feed.mode === 'full' ? `
+    <content type="html">${escapeXml(item.content)}</content>` : ''}${item.image ? `
+    <link rel="enclosure" href="${escapeXml(item.image.url)}" type="${getImageType(item.image.url)}" />` : ''}
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(feed.siteUrl)}" />
+  <link href="${escapeXml(feed.feedUrl)}" rel="self" />
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <updated>${feed.updated.toISOString()}</updated>${entries}
+</feed>
+`;
+};
+
+// Build a JSON Feed 1.1 object
+const buildJsonFeed = (posts, feed) => {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.siteUrl,
+    feed_url: feed.feedUrl,
+    language: feed.language,
+    items: posts.map(post => toFeedItem(post, feed.siteUrl, feed.mode)).map(item => ({
+      id: item.id,
+      url: item.link,
+      title: item.title,
+      summary: item.summary || undefined,
+      [feed.mode === 'full' ? 'content_html' : 'content_text']: item.content,
+      date_published: new Date(item.published).toISOString(),
+      date_modified: new Date(item.updated).toISOString(),
+      authors: item.authors.length > 0 ? item.authors.map(name => ({ name })) : undefined,
+      tags: item.tags.length > 0 ? item.tags : undefined,
+      image: item.image ? item.image.url : undefined,
+      attachments: item.image ? [{
+        url: item.image.url,
+        mime_type: getImageType(item.image.url),
+        title: item.image.alt || undefined
+      }] : undefined
+    }))
+  };
+};
+
+module.exports = {
+  escapeXml,
+  postUpdatedAt,
+  buildRss,
+  buildAtom,
+  buildJsonFeed
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const BlogPost = require('../models/BlogPost');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const { postUpdatedAt, buildRss, buildAtom, buildJsonFeed } = require('../utils/feed');
+const { getSiteUrl, getApiUrl } = require('../utils/site');
+
+const FEED_FORMATS = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { contentType: 'application/atom+xml; charset=utf-8' },
+  json: { contentType: 'application/feed+json; charset=utf-8' }
+};
+
+// Query values can also arrive as arrays or objects (?tags[a]=b)
+const toArray = (value) => {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+// Resolve ?author= given as a user ID or username
+const resolveAuthor = async (author) => {
+  if (typeof author !== 'string') {
+    return null;
+  }
+  if (mongoose.Types.ObjectId.isValid(author)) {
+    return author;
+  }
+  const user = await User.findOne({ username: author }).select('_id');
+  return user ? user._id : null;
+};
+
+// Send a feed in the requested format, honouring conditional GET headers
+const sendFeed = async (req, res, format) => {
+  const { author, tags, categories, mode = 'full', limit = 20 } = req.query;
+
+  const options = {
+    tags: toArray(tags).map(tag => tag.toLowerCase())
+  };
+
+  // ?categories= takes slugs or IDs and includes subcategories
+  const categoryFilter = toArray(categories);
+  const filterCategories = categoryFilter.length > 0 ? await Category.findByIdsOrSlugs(categoryFilter) : [];
+  if (categoryFilter.length > 0) {
+    if (filterCategories.length === 0) {
+      return res.status(404).json({
+        message: 'Category not found',
+        success: false
+      });
+    }
+    options.categories = await Category.findDescendantIds(filterCategories.map(category => category._id));
+  }
+
+  if (author) {
+    options.author = await resolveAuthor(author);
+    if (!options.author) {
+      return res.status(404).json({
+        message: 'Author not found',
+        success: false
+      });
+    }
+  }
+
+  const posts = await BlogPost.findPublished(options)
+    .limit(Math.min(parseInt(limit) || 20, 100));
+
+  const feedMode = mode === 'excerpt' ? 'excerpt' : 'full';
+  const updated = posts.length > 0
+    ? new Date(Math.max(...posts.map(post => postUpdatedAt(post).getTime())))
+    : null;
+
+  // Validators change whenever the filter, mode or any post in the feed changes
+  const etag = crypto
+    .createHash('sha1')
+    .update([format, req.originalUrl, updated ? updated.getTime() : '', ...posts.map(post => post._id)].join('|'))
+    .digest('base64');
+
+  res.set({
+    'Content-Type': FEED_FORMATS[format].contentType,
+    'Cache-Control': 'public, max-age=300',
+    ETag: `"${etag}"`
+  });
+  // An empty feed has no modification date; the ETag alone validates it
+  if (updated) {
+    res.set('Last-Modified', updated.toUTCString());
+  }
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const siteUrl = getSiteUrl(req);
+  const filterLabel = [...options.tags, ...filterCategories.map(category => category.name)].join(', ');
+  const feed = {
+    title: process.env.SITE_TITLE || 'Blog CMS',
+    description: filterLabel
+      ? `Latest posts about ${filterLabel}`
+      : (process.env.SITE_DESCRIPTION || 'Latest posts'),
+    language: process.env.SITE_LANGUAGE || 'en',
+    siteUrl,
+    feedUrl: `${getApiUrl(req)}${req.originalUrl}`,
+    mode: feedMode,
+    updated: updated || new Date()
+  };
+
+  if (format === 'json') {
+    return res.send(JSON.stringify(buildJsonFeed(posts, feed)));
+  }
+
+  res.send(format === 'atom' ? buildAtom(posts, feed) : buildRss(posts, feed));
+};
+
+// Create a handler for a fixed feed format
+const feedHandler = (format) => async (req, res) => {
+  try {
+    await sendFeed(req, res, format);
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({
+      message: 'Failed to generate feed',
+      success: false
+    });
+  }
+};
+
+const getRssFeed = feedHandler('rss');
+const getAtomFeed = feedHandler('atom');
+const getJsonFeed = feedHandler('json');
+
+// Filterable feed under /api/posts/feed (?format=rss|atom|json)
+const getFeed = async (req, res) => {
+  const format = FEED_FORMATS[req.query.format] ? req.query.format : 'rss';
+  return feedHandler(format)(req, res);
+};
+
+module.exports = {
+  getRssFeed,
+  getAtomFeed,
+  getJsonFeed,
+  getFeed
+};
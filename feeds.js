@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+
+const feedController = require('../controllers/feedController');
+
+// Site-wide feeds (accept the same ?author, ?tags, ?categories and ?mode filters)
+router.get('/feed.xml', feedController.getRssFeed);
+router.get('/atom.xml', feedController.getAtomFeed);
+router.get('/feed.json', feedController.getJsonFeed);
+
+module.exports = router;
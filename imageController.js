@@ -1,4 +1,10 @@
-const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinary');
+const {
+  uploaderContext,
+  uploadToCloudinary,
+  deleteFromCloudinary,
+  findImage
+} = require('../utils/cloudinary');
+const { can } = require('../utils/permissions');
 
 // Upload single image
 const uploadImage = async (req, res) => {
@@ -75,6 +81,7 @@ const uploadImages = async (req, res) => {
 };
 
 // Delete image from Cloudinary
+// Authors may delete the images they uploaded, editors any image
 const deleteImage = async (req, res) => {
   try {
     const { publicId } = req.params;
@@ -86,6 +93,21 @@ const deleteImage = async (req, res) => {
       });
     }
 
+    const image = await findImage(publicId);
+    if (!image) {
+      return res.status(404).json({
+        message: 'Image not found',
+        success: false
+      });
+    }
+
+    if (!can(req.user, 'image:delete', { author: image.uploadedBy })) {
+      return res.status(403).json({
+        message: 'Access denied',
+        success: false
+      });
+    }
+
     // Delete from Cloudinary
     const result = await deleteFromCloudinary(publicId);
 
@@ -124,7 +146,8 @@ const uploadImageFromUrl = async (req, res) => {
 
     // Upload to Cloudinary
     const result = await uploadToCloudinary(imageUrl, {
-      folder: 'blog-cms/editor-uploads'
+      folder: 'blog-cms/editor-uploads',
+      context: uploaderContext(req.user._id)
     });
 
     const imageData = {
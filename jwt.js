@@ -1,25 +1,32 @@
 const jwt = require('jsonwebtoken');
 
-// Generate JWT token
-const generateToken = (userId) => {
+// Refresh tokens have their own secret; deployments that don't set one yet keep working
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+// Generate JWT token (short-lived access token, bound to a session when given)
+// Access tokens last 15 minutes by default (previously 7 days): clients are expected
+// to renew them with the refresh token. Set JWT_EXPIRES_IN to change it.
+const generateToken = (userId, sessionId = null) => {
   return jwt.sign(
-    { userId },
+    sessionId ? { userId, sid: sessionId } : { userId },
     process.env.JWT_SECRET,
     { 
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m',
       issuer: 'blog-cms-api'
     }
   );
 };
 
-// Generate refresh token (longer expiry)
-const generateRefreshToken = (userId) => {
+// Generate refresh token (longer expiry, separate secret when configured)
+// `family` ties it to a Session and `jti` identifies this rotation
+const generateRefreshToken = (userId, { family, jti }) => {
   return jwt.sign(
-    { userId, type: 'refresh' },
-    process.env.JWT_SECRET,
+    { userId, family, type: 'refresh' },
+    getRefreshSecret(),
     { 
       expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
-      issuer: 'blog-cms-api'
+      issuer: 'blog-cms-api',
+      jwtid: jti
     }
   );
 };
@@ -33,6 +40,67 @@ const verifyToken = (token) => {
   }
 };
 
+// Generate email verification token (bound to the address it was sent to)
+const generateEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, email: user.email, type: 'email-verification' },
+    process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+      issuer: 'blog-cms-api'
+    }
+  );
+};
+
+// Verify email verification token
+const verifyEmailVerificationToken = (token) => {
+  const decoded = jwt.verify(
+    token,
+    process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET,
+    { issuer: 'blog-cms-api' }
+  );
+
+  if (decoded.type !== 'email-verification') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+
+  return decoded;
+};
+
+// Verify refresh token
+const verifyRefreshToken = (token) => {
+  const decoded = jwt.verify(token, getRefreshSecret(), { issuer: 'blog-cms-api' });
+
+  if (decoded.type !== 'refresh' || !decoded.family || !decoded.jti) {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+
+  return decoded;
+};
+
+// Generate the short-lived token that links the password step of a login to the 2FA step
+const generateTwoFactorChallengeToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, type: '2fa-challenge' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+      issuer: 'blog-cms-api'
+    }
+  );
+};
+
+// Verify two-factor login challenge token
+const verifyTwoFactorChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET, { issuer: 'blog-cms-api' });
+
+  if (decoded.type !== '2fa-challenge') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+
+  return decoded;
+};
+
 // Decode token without verification (for expired tokens)
 const decodeToken = (token) => {
   return jwt.decode(token);
@@ -42,6 +110,11 @@ module.exports = {
   generateToken,
   generateRefreshToken,
   verifyToken,
-  decodeToken
+  verifyRefreshToken,
+  decodeToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken
 };
 
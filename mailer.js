@@ -0,0 +1,89 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// SMTP transport (production)
+const createSmtpTransport = () => {
+  // Loaded lazily so local setups without SMTP don't need the module configured
+  const nodemailer = require('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// File transport: writes each message as JSON (local development and tests)
+const createFileTransport = () => {
+  const directory = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'blog-cms-mail');
+
+  return {
+    send: async (message) => {
+      await fs.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+      const filePath = path.join(directory, fileName);
+      await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+      return { messageId: fileName, path: filePath };
+    }
+  };
+};
+
+// Console transport: prints messages to stdout (local development)
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`\n--- Email to ${message.to} ---\nSubject: ${message.subject}\n\n${message.text}\n---\n`);
+    return { messageId: `console-${Date.now()}` };
+  }
+});
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+// Resolve the transport named by MAIL_TRANSPORT (defaults to console outside production)
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Replace the active transport (e.g. with a custom one in tests)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send an email
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Blog CMS <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport
+};
@@ -0,0 +1,121 @@
+const { escapeXml } = require('./feed');
+
+// HTML attribute escaping is the same as XML escaping
+const escapeHtml = escapeXml;
+
+const stripHtml = (html = '') => {
+  return html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+};
+
+const truncate = (text, maxLength) => {
+  if (text.length <= maxLength) return text;
+  return text.substring(0, maxLength - 1).replace(/\s+\S*$/, '') + '…';
+};
+
+const getAuthorName = (author) => {
+  if (!author) return '';
+  return [author.firstName, author.lastName].filter(Boolean).join(' ') || author.username || '';
+};
+
+// Resolve the metadata for a post, falling back when SEO fields are empty
+const getPostMeta = (post, siteUrl) => {
+  const seo = post.seo || {};
+  const siteName = process.env.SITE_TITLE || 'Blog CMS';
+  const image = (post.featuredImage && post.featuredImage.url) ||
+    (post.images && post.images[0] && post.images[0].url) ||
+    process.env.DEFAULT_OG_IMAGE ||
+    '';
+
+  return {
+    siteName,
+    title: seo.metaTitle || post.title,
+    description: seo.metaDescription ||
+      post.excerpt ||
+      truncate(stripHtml(post.renderedHtml), 160),
+    keywords: (seo.keywords && seo.keywords.length > 0) ? seo.keywords : (post.tags || []),
+    url: `${siteUrl}/post/${post.slug}`,
+    image,
+    imageAlt: (post.featuredImage && post.featuredImage.alt) || post.title,
+    author: getAuthorName(post.author),
+    authorUrl: post.author && post.author.username
+      ? `${siteUrl}/author/${encodeURIComponent(post.author.username)}`
+      : undefined,
+    twitterHandle: post.author && post.author.socialLinks && post.author.socialLinks.twitter
+      ? `@${post.author.socialLinks.twitter.replace(/\/$/, '').split('/').pop()}`
+      : undefined,
+    publishedAt: post.publishedAt,
+    modifiedAt: post.lastModified || post.updatedAt,
+    section: post.categories && post.categories[0] && post.categories[0].name
+  };
+};
+
+// JSON-LD BlogPosting structured data
+const buildJsonLd = (post, meta) => {
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: post.title,
+    description: meta.description,
+    url: meta.url,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': meta.url },
+    image: meta.image ? [meta.image] : undefined,
+    datePublished: meta.publishedAt ? new Date(meta.publishedAt).toISOString() : undefined,
+    dateModified: meta.modifiedAt ? new Date(meta.modifiedAt).toISOString() : undefined,
+    author: meta.author ? { '@type': 'Person', name: meta.author, url: meta.authorUrl } : undefined,
+    publisher: { '@type': 'Organization', name: meta.siteName },
+    keywords: meta.keywords.length > 0 ? meta.keywords.join(', ') : undefined,
+    articleSection: meta.section,
+    wordCount: stripHtml(post.renderedHtml).split(' ').filter(Boolean).length
+  };
+
+  // Escape "<" so post content can never close the script element
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+};
+
+// Build the <head> markup for a post page
+const buildPostHead = (post, siteUrl) => {
+  const meta = getPostMeta(post, siteUrl);
+  const tag = (attr, key, value) => value
+    ? `<meta ${attr}="${key}" content="${escapeHtml(value)}" />`
+    : '';
+
+  return [
+    `<title>${escapeHtml(meta.title)} | ${escapeHtml(meta.siteName)}</title>`,
+    tag('name', 'description', meta.description),
+    tag('name', 'keywords', meta.keywords.join(', ')),
+    tag('name', 'author', meta.author),
+    `<link rel="canonical" href="${escapeHtml(meta.url)}" />`,
+    tag('property', 'og:type', 'article'),
+    tag('property', 'og:site_name', meta.siteName),
+    tag('property', 'og:title', meta.title),
+    tag('property', 'og:description', meta.description),
+    tag('property', 'og:url', meta.url),
+    tag('property', 'og:image', meta.image),
+    tag('property', 'og:image:alt', meta.image && meta.imageAlt),
+    tag('property', 'article:published_time', meta.publishedAt && new Date(meta.publishedAt).toISOString()),
+    tag('property', 'article:modified_time', meta.modifiedAt && new Date(meta.modifiedAt).toISOString()),
+    tag('property', 'article:author', meta.author),
+    tag('property', 'article:section', meta.section),
+    ...(post.tags || []).map(postTag => tag('property', 'article:tag', postTag)),
+    tag('name', 'twitter:card', meta.image ? 'summary_large_image' : 'summary'),
+    tag('name', 'twitter:title', meta.title),
+    tag('name', 'twitter:description', meta.description),
+    tag('name', 'twitter:image', meta.image),
+    tag('name', 'twitter:creator', meta.twitterHandle),
+    `<script type="application/ld+json">${buildJsonLd(post, meta)}</script>`
+  ].filter(Boolean).join('\n    ');
+};
+
+// Replace the default title/description in index.html with post-specific head markup
+const injectHead = (html, head) => {
+  return html
+    .replace(/<title>[\s\S]*?<\/title>\s*/i, '')
+    .replace(/<meta\s+name="(description|keywords|author)"[^>]*>\s*/gi, '')
+    .replace(/<\/head>/i, `${head}\n  </head>`);
+};
+
+module.exports = {
+  getPostMeta,
+  buildPostHead,
+  injectHead
+};
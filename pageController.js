@@ -0,0 +1,70 @@
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+const BlogPost = require('../models/BlogPost');
+const { buildPostHead, injectHead } = require('../utils/metaTags');
+const { getSiteUrl } = require('../utils/site');
+
+// Built frontend and its entry point; the SPA takes over once it loads
+const CLIENT_DIR = process.env.CLIENT_DIST_DIR ||
+  path.join(__dirname, '../../frontend/dist');
+const INDEX_PATH = process.env.CLIENT_INDEX_PATH ||
+  path.join(CLIENT_DIR, 'index.html');
+
+// Scripts, styles and other files of the built frontend, so the pages served here can start the app
+// Vite puts content hashes in /assets file names, so those can be cached for good
+const serveClientFiles = express.static(CLIENT_DIR, {
+  index: false,
+  setHeaders: (res, filePath) => {
+    if (filePath.startsWith(path.join(CLIENT_DIR, 'assets') + path.sep)) {
+      res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    }
+  }
+});
+
+let cachedTemplate = null;
+
+// Read index.html once (every time in development so rebuilds are picked up)
+const getTemplate = async () => {
+  if (!cachedTemplate || process.env.NODE_ENV === 'development') {
+    cachedTemplate = await fs.readFile(INDEX_PATH, 'utf8');
+  }
+  return cachedTemplate;
+};
+
+// Serve index.html for /post/:slug with the post's meta tags, Open Graph and JSON-LD
+const renderPostPage = async (req, res) => {
+  try {
+    const template = await getTemplate();
+
+    const post = await BlogPost.findOne({
+      slug: req.params.slug,
+      status: 'published',
+      publishedAt: { $lte: new Date() }
+    })
+      .populate('author', 'username firstName lastName socialLinks')
+      .populate('categories', 'name slug');
+
+    res.set('Content-Type', 'text/html; charset=utf-8');
+
+    // Unknown and unpublished posts get the untouched shell so nothing leaks
+    if (!post) {
+      return res.status(404).send(template);
+    }
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.send(injectHead(template, buildPostHead(post, getSiteUrl(req))));
+
+  } catch (error) {
+    console.error('Render post page error:', error);
+    res.status(500).json({
+      message: 'Failed to render page',
+      success: false
+    });
+  }
+};
+
+module.exports = {
+  serveClientFiles,
+  renderPostPage
+};
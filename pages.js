@@ -0,0 +1,23 @@
+const express = require('express');
+const helmet = require('helmet');
+const router = express.Router();
+
+const pageController = require('../controllers/pageController');
+const { EMBED_FRAME_HOSTS } = require('../utils/embeds');
+
+// Pages run the frontend app, so they replace the API's Content Security Policy with one
+// that lets it show images from any HTTPS host (uploads, avatars) and the embeds in posts
+const pagePolicy = helmet.contentSecurityPolicy({
+  directives: {
+    imgSrc: ["'self'", 'data:', 'https:'],
+    frameSrc: EMBED_FRAME_HOSTS.map(host => `https://${host}`)
+  }
+});
+
+// Built frontend files requested by the pages below
+router.use(pageController.serveClientFiles);
+
+// Server-rendered entry points for crawlers and link previews
+router.get('/post/:slug', pagePolicy, pageController.renderPostPage);
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Cursor (keyset) pagination
+// A cursor is an opaque token holding the sort value and _id of the last item of a page.
+// The next page starts strictly after it in `{ [field]: direction, _id: direction }` order,
+// so it needs no skip and is not shifted by documents added while paging.
+
+const isCursorValue = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+// Cursor pointing after `doc` for a list sorted on `field` (a dotted path for nested fields)
+const encodeCursor = (doc, field) => {
+  const fieldValue = typeof doc.get === 'function' ? doc.get(field) : doc[field];
+  const value = fieldValue === undefined ? null : fieldValue;
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: String(doc._id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Sort value and _id from a cursor, or null when it is malformed
+// Only plain values are accepted so a crafted cursor can't inject query operators
+const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!isCursorValue(v) || !mongoose.Types.ObjectId.isValid(id)) return null;
+
+    const value = d ? new Date(v) : v;
+    if (d && Number.isNaN(value.getTime())) return null;
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query filter for the documents after a decoded cursor
+// Missing values sort first in ascending order and last in descending order
+const afterCursor = (field, direction, { value, id }) => {
+  const after = direction === 1 ? '$gt' : '$lt';
+  const clauses = [{ [field]: value, _id: { [after]: id } }];
+
+  if (value === null) {
+    if (direction === 1) clauses.push({ [field]: { $ne: null } });
+  } else {
+    clauses.push({ [field]: { [after]: value } });
+    if (direction === -1) clauses.push({ [field]: null });
+  }
+
+  return { $or: clauses };
+};
+
+// Add the cursor filter to a query without replacing its own $or/$and
+const applyCursor = (query, field, direction, cursor) => {
+  query.$and = [...(query.$and || []), afterCursor(field, direction, cursor)];
+  return query;
+};
+
+// Page and pagination info from the results of a query run with `limit + 1`
+const toCursorPage = (docs, limit, field) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    pagination: {
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], field) : null,
+      hasMore,
+      limit
+    }
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  applyCursor,
+  toCursorPage
+};
@@ -0,0 +1,19 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+const passwordResetController = require('../controllers/passwordResetController');
+const { validateForgotPassword, validateResetPassword } = require('../middleware/validation');
+
+// Limit reset attempts per IP
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // limit each IP to 10 requests per windowMs
+  message: 'Too many password reset requests, please try again later.'
+});
+
+// Password reset routes
+router.post('/forgot-password', passwordResetLimiter, validateForgotPassword, passwordResetController.forgotPassword);
+router.post('/reset-password/:token', passwordResetLimiter, validateResetPassword, passwordResetController.resetPassword);
+
+module.exports = router;
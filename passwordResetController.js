@@ -0,0 +1,106 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { sendPasswordResetEmail, sendPasswordChangedEmail } = require('../utils/emails');
+
+// Create a reset token for an account and email the link
+const sendResetLink = async (email) => {
+  const user = await User.findOne({ email, isActive: true });
+  if (!user) return;
+
+  const resetToken = user.createPasswordResetToken();
+  await user.save();
+  await sendPasswordResetEmail(user, resetToken);
+};
+
+// Request a password reset link
+// Always responds the same way so the endpoint can't be used to discover accounts
+const forgotPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+        success: false
+      });
+    }
+
+    // Not awaited so response time doesn't reveal whether the account exists
+    sendResetLink(req.body.email).catch(error => {
+      console.error('Send password reset email error:', error);
+    });
+
+    res.json({
+      message: 'If an account exists for that email, a password reset link has been sent',
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      message: 'Failed to process password reset request',
+      success: false
+    });
+  }
+};
+
+// Reset password with a token from the emailed link
+const resetPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+        success: false
+      });
+    }
+
+    const { token } = req.params;
+    const { password } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        message: 'Password reset link is invalid or has expired',
+        success: false
+      });
+    }
+
+    // Saving sets passwordChangedAt, which invalidates every token issued before now
+    user.password = password;
+    user.passwordResetToken = null;
+    user.passwordResetExpires = null;
+
+    // Following the emailed link proves ownership of the address
+    user.emailVerified = true;
+    await user.save();
+
+    // Sign out every device
+    await Session.revokeAllForUser(user._id, 'password_change');
+
+    sendPasswordChangedEmail(user).catch(error => {
+      console.error('Send password changed email error:', error);
+    });
+
+    res.json({
+      message: 'Password has been reset. Please sign in with your new password',
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      message: 'Failed to reset password',
+      success: false
+    });
+  }
+};
+
+module.exports = {
+  forgotPassword,
+  resetPassword
+};
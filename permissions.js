@@ -0,0 +1,145 @@
+// Roles, from most to least privileged
+const ROLES = ['admin', 'editor', 'author', 'contributor', 'subscriber'];
+
+// Accounts created before fine-grained roles have the role "user",
+// which could write and publish its own posts
+const LEGACY_ROLE_ALIASES = {
+  user: 'author'
+};
+
+// Permission matrix
+// "<resource>:<action>:own" applies to the user's own documents,
+// "<resource>:<action>:any" to everyone's, and plain "<resource>:<action>" has no owner
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  editor: [
+    'post:create', 'post:publish', 'post:review', 'post:read:any', 'post:edit:any', 'post:delete:any',
+    'post:credit:any', 'series:create', 'series:manage:any', 'category:manage', 'tag:manage',
+    'comment:create', 'comment:edit:own', 'comment:delete:any', 'comment:moderate',
+    'image:upload', 'image:delete:any'
+  ],
+  author: [
+    'post:create', 'post:publish', 'post:read:own', 'post:edit:own', 'post:delete:own', 'post:credit:own',
+    'series:create', 'series:manage:own',
+    'comment:create', 'comment:edit:own', 'comment:delete:own',
+    'image:upload', 'image:delete:own'
+  ],
+  contributor: [
+    'post:create', 'post:read:own', 'post:edit:own', 'post:delete:own', 'post:credit:own',
+    'series:create', 'series:manage:own',
+    'comment:create', 'comment:edit:own', 'comment:delete:own',
+    'image:upload'
+  ],
+  subscriber: [
+    'comment:create', 'comment:edit:own', 'comment:delete:own'
+  ]
+};
+
+// Actions that change live content; on a published post they also need publish rights
+const LIVE_CONTENT_ACTIONS = ['post:edit', 'post:delete'];
+
+// ":own" actions a post's co-authors share with its main author
+// (deleting the post and changing its credits stay with the main author)
+const CO_AUTHOR_ACTIONS = ['post:read', 'post:edit'];
+
+const normalizeRole = (role) => LEGACY_ROLE_ALIASES[role] || role;
+
+// Role of new accounts: DEFAULT_USER_ROLE when it names a role, "author" otherwise
+let warnedDefaultRole = false;
+const getDefaultRole = () => {
+  const role = process.env.DEFAULT_USER_ROLE;
+  if (!role) return 'author';
+  if (ROLES.includes(role)) return role;
+
+  if (!warnedDefaultRole) {
+    warnedDefaultRole = true;
+    console.warn(`DEFAULT_USER_ROLE "${role}" is not one of ${ROLES.join(', ')}; using "author"`);
+  }
+  return 'author';
+};
+
+// All permissions granted to a role
+const getPermissions = (role) => ROLE_PERMISSIONS[normalizeRole(role)] || [];
+
+// ":any" covers the user's own documents too
+const roleHasPermission = (role, permission) => {
+  const permissions = getPermissions(role);
+  return permissions.includes('*') || permissions.includes(permission) ||
+    (permission.endsWith(':own') && permissions.includes(permission.replace(/:own$/, ':any')));
+};
+
+// Roles that must use two-factor authentication, e.g. REQUIRE_TWO_FACTOR_ROLES=admin,editor
+const getTwoFactorRoles = () => {
+  return (process.env.REQUIRE_TWO_FACTOR_ROLES || '')
+    .split(',')
+    .map(role => normalizeRole(role.trim()))
+    .filter(Boolean);
+};
+
+const isTwoFactorRequired = (user) => {
+  return !!user && getTwoFactorRoles().includes(normalizeRole(user.role));
+};
+
+// Whether the user's role requires 2FA and they haven't enrolled yet
+const isMissingTwoFactor = (user) => {
+  return isTwoFactorRequired(user) && !(user.twoFactor && user.twoFactor.enabled);
+};
+
+// Anything an author can't do (other users' content, review, moderation, site settings)
+const isPrivilegedPermission = (permission) => !ROLE_PERMISSIONS.author.includes(permission);
+
+// Users missing a required second factor keep only author-level permissions
+const hasPermission = (user, permission) => {
+  if (!user || !roleHasPermission(user.role, permission)) return false;
+  return !(isPrivilegedPermission(permission) && isMissingTwoFactor(user));
+};
+
+// Whether an action is denied only because the user hasn't enabled required 2FA
+const needsTwoFactorFor = (user, action) => {
+  return isMissingTwoFactor(user) &&
+    [action, `${action}:any`].some(permission => roleHasPermission(user.role, permission));
+};
+
+// Whether the user owns a document (author field, populated or not)
+const isOwner = (user, resource, field = 'author') => {
+  const owner = resource && resource[field];
+  if (!user || !owner) return false;
+  return (owner._id || owner).toString() === user._id.toString();
+};
+
+// Whether the user is credited as a co-author of a post
+const isCoAuthor = (user, resource) => {
+  if (!user || !resource || !Array.isArray(resource.coAuthors)) return false;
+  return resource.coAuthors.some(({ user: coAuthor }) =>
+    coAuthor && (coAuthor._id || coAuthor).toString() === user._id.toString()
+  );
+};
+
+// Single authorization check used by controllers and route middleware
+// e.g. can(req.user, 'post:edit', post) or can(req.user, 'comment:moderate')
+const can = (user, action, resource = null) => {
+  if (!user) return false;
+
+  if (resource && LIVE_CONTENT_ACTIONS.includes(action) &&
+      resource.status === 'published' && !hasPermission(user, 'post:publish')) {
+    return false;
+  }
+
+  return hasPermission(user, action) ||
+    hasPermission(user, `${action}:any`) ||
+    (hasPermission(user, `${action}:own`) &&
+      (isOwner(user, resource) || (CO_AUTHOR_ACTIONS.includes(action) && isCoAuthor(user, resource))));
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  normalizeRole,
+  getDefaultRole,
+  getPermissions,
+  hasPermission,
+  isTwoFactorRequired,
+  needsTwoFactorFor,
+  isCoAuthor,
+  can
+};
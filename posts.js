@@ -3,8 +3,25 @@ const router = express.Router();
 
 const blogController = require('../controllers/blogController');
 const imageController = require('../controllers/imageController');
+const revisionController = require('../controllers/revisionController');
+const reviewController = require('../controllers/reviewController');
+const annotationController = require('../controllers/annotationController');
+const feedController = require('../controllers/feedController');
+const categoryController = require('../controllers/categoryController');
+const draftController = require('../controllers/draftController');
 const { auth, optionalAuth, requireOwnershipOrAdmin } = require('../middleware/auth');
-const { validateCreatePost, validateUpdatePost } = require('../middleware/validation');
+const {
+  validateCreatePost,
+  validateUpdatePost,
+  validatePreviewContent,
+  validateSaveDraft,
+  validateReviewNote,
+  validateRequestChanges,
+  validateCreateAnnotation,
+  validateAnnotationReply
+} = require('../middleware/validation');
+const { requireVerifiedEmailToPublish } = require('../middleware/verifiedEmail');
+const { requirePermission } = require('../middleware/authorize');
 const { uploadSingle, uploadMultiple } = require('../utils/cloudinary');
 
 // Public routes (no authentication required)
@@ -12,18 +29,47 @@ router.get('/', optionalAuth, blogController.getPosts);
 router.get('/popular', optionalAuth, blogController.getPopularPosts);
 router.get('/recent', optionalAuth, blogController.getRecentPosts);
 router.get('/slug/:slug', optionalAuth, blogController.getPostBySlug);
-router.get('/categories', blogController.getCategories);
+router.get('/:id/related', optionalAuth, blogController.getRelatedPosts);
+router.get('/categories', categoryController.getCategories);
+router.get('/categories/:slug', categoryController.getCategoryBySlug);
+router.get('/feed', feedController.getFeed);
 
 // Protected routes (authentication required)
-router.post('/', auth, validateCreatePost, blogController.createPost);
-router.put('/:id', auth, validateUpdatePost, blogController.updatePost);
+router.post('/', auth, requirePermission('post:create'), requireVerifiedEmailToPublish, validateCreatePost, blogController.createPost);
+router.post('/preview', auth, validatePreviewContent, blogController.previewContent);
+router.put('/:id', auth, requireVerifiedEmailToPublish, validateUpdatePost, blogController.updatePost);
 router.delete('/:id', auth, blogController.deletePost);
 router.post('/:id/like', auth, blogController.toggleLike);
 
-// Image upload routes
-router.post('/images/upload', auth, uploadSingle, imageController.uploadImage);
-router.post('/images/upload-multiple', auth, uploadMultiple, imageController.uploadImages);
-router.post('/images/upload-url', auth, imageController.uploadImageFromUrl);
+// Editorial review routes
+router.get('/review-queue', auth, requirePermission('post:review'), reviewController.getReviewQueue);
+router.post('/:id/submit', auth, validateReviewNote, reviewController.submitForReview);
+router.post('/:id/approve', auth, validateReviewNote, reviewController.approvePost);
+router.post('/:id/request-changes', auth, validateRequestChanges, reviewController.requestChanges);
+
+// Editorial annotation routes (private to the post's editors and reviewers)
+router.get('/:id/annotations', auth, annotationController.getAnnotations);
+router.post('/:id/annotations', auth, validateCreateAnnotation, annotationController.createAnnotation);
+router.post('/:id/annotations/:annotationId/replies', auth, validateAnnotationReply, annotationController.replyToAnnotation);
+router.post('/:id/annotations/:annotationId/resolve', auth, annotationController.resolveAnnotation);
+router.delete('/:id/annotations/:annotationId/resolve', auth, annotationController.unresolveAnnotation);
+router.delete('/:id/annotations/:annotationId', auth, annotationController.deleteAnnotation);
+
+// Autosaved draft routes (`:id` is a post id, or `new` for a post not created yet)
+router.get('/:id/draft', auth, draftController.getDraft);
+router.put('/:id/draft', auth, validateSaveDraft, draftController.saveDraft);
+router.delete('/:id/draft', auth, draftController.discardDraft);
+
+// Revision history routes
+router.get('/:id/revisions', auth, revisionController.getRevisions);
+router.get('/:id/revisions/diff', auth, revisionController.diffRevisions);
+router.get('/:id/revisions/:revId', auth, revisionController.getRevision);
+router.post('/:id/revisions/:revId/restore', auth, revisionController.restoreRevision);
+
+// Image upload routes (permission is checked before multer uploads anything)
+router.post('/images/upload', auth, requirePermission('image:upload'), uploadSingle, imageController.uploadImage);
+router.post('/images/upload-multiple', auth, requirePermission('image:upload'), uploadMultiple, imageController.uploadImages);
+router.post('/images/upload-url', auth, requirePermission('image:upload'), imageController.uploadImageFromUrl);
 router.delete('/images/:publicId', auth, imageController.deleteImage);
 
 // Health check route
@@ -0,0 +1,122 @@
+const BlogPost = require('../models/BlogPost');
+const Series = require('../models/Series');
+
+// Points a candidate earns for each signal it shares with the post
+const WEIGHTS = {
+  tag: 3,
+  category: 2,
+  series: 4,
+  author: 1,
+  // Scaled by the candidate's text score relative to the best match
+  text: 4
+};
+
+// Number of posts kept per entry and number of candidates scored
+const MAX_RELATED = 12;
+const CANDIDATE_LIMIT = 200;
+const TEXT_CANDIDATE_LIMIT = 50;
+
+const CACHE_TTL = (parseInt(process.env.RELATED_POSTS_CACHE_TTL) || 600) * 1000;
+
+// postId -> { posts, expiresAt }
+const cache = new Map();
+
+const CARD_FIELDS = 'title slug excerpt featuredImage author coAuthors tags categories publishedAt readTime';
+
+const publishedQuery = () => ({ status: 'published', publishedAt: { $lte: new Date() } });
+
+const toIds = (values) => values.map(value => String(value._id || value));
+
+const authorIds = (post) => [post.author, ...post.coAuthors.map(coAuthor => coAuthor.user)];
+
+// Score published posts against `post` and return the best matches, highest score first
+const computeRelatedPosts = async (post) => {
+  const series = await Series.findByPost(post._id);
+  const seriesPostIds = series ? series.posts : [];
+
+  const signals = [
+    post.tags.length > 0 && { tags: { $in: post.tags } },
+    post.categories.length > 0 && { categories: { $in: post.categories } },
+    seriesPostIds.length > 0 && { _id: { $in: seriesPostIds } },
+    { author: { $in: authorIds(post) } },
+    { 'coAuthors.user': { $in: authorIds(post) } }
+  ].filter(Boolean);
+
+  const excludeSelf = { ...publishedQuery(), _id: { $ne: post._id } };
+  const searchText = [post.title, ...post.tags].join(' ');
+
+  const [candidates, textMatches] = await Promise.all([
+    BlogPost.find({ ...excludeSelf, $or: signals })
+      .select(CARD_FIELDS)
+      .sort({ publishedAt: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .lean(),
+    BlogPost.find({ ...excludeSelf, $text: { $search: searchText } }, { score: { $meta: 'textScore' } })
+      .select(CARD_FIELDS)
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(TEXT_CANDIDATE_LIMIT)
+      .lean()
+  ]);
+
+  const bestTextScore = textMatches.length > 0 ? textMatches[0].score : 1;
+  const textScores = new Map(textMatches.map(match => [String(match._id), match.score / bestTextScore]));
+
+  const byId = new Map([...textMatches, ...candidates].map(candidate => [String(candidate._id), candidate]));
+  const tags = new Set(post.tags);
+  const categories = new Set(toIds(post.categories));
+  const seriesIds = new Set(toIds(seriesPostIds));
+  const authors = new Set(toIds(authorIds(post)));
+
+  const scored = [...byId.values()].map(candidate => {
+    const id = String(candidate._id);
+    const sharedTags = candidate.tags.filter(tag => tags.has(tag));
+    const sharedCategories = toIds(candidate.categories).filter(categoryId => categories.has(categoryId));
+    const sameSeries = seriesIds.has(id);
+    const sameAuthor = toIds(authorIds(candidate)).some(authorId => authors.has(authorId));
+
+    const score = sharedTags.length * WEIGHTS.tag
+      + sharedCategories.length * WEIGHTS.category
+      + (sameSeries ? WEIGHTS.series : 0)
+      + (sameAuthor ? WEIGHTS.author : 0)
+      + (textScores.get(id) || 0) * WEIGHTS.text;
+
+    delete candidate.score;
+    return { post: candidate, score, sharedTags, sameSeries };
+  });
+
+  return scored
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || b.post.publishedAt - a.post.publishedAt)
+    .slice(0, MAX_RELATED);
+};
+
+// Related posts of `post`, served from the cache while it is fresh
+const getRelatedPosts = async (post, limit = 4) => {
+  const key = String(post._id);
+  const cached = cache.get(key);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.posts.slice(0, limit);
+  }
+
+  const related = await computeRelatedPosts(post);
+  await BlogPost.populate(related.map(entry => entry.post), [
+    { path: 'author', select: 'username firstName lastName avatar' },
+    { path: 'categories', select: 'name slug' }
+  ]);
+
+  cache.set(key, { posts: related, expiresAt: Date.now() + CACHE_TTL });
+  return related.slice(0, limit);
+};
+
+// Drop cached results after posts change (one post's related list can show any other post)
+// The cache lives in this process; other server instances keep theirs until it expires
+const clearRelatedPostsCache = () => {
+  cache.clear();
+};
+
+module.exports = {
+  getRelatedPosts,
+  clearRelatedPostsCache,
+  MAX_RELATED
+};
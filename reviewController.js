@@ -0,0 +1,162 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const BlogPost = require('../models/BlogPost');
+const { can } = require('../utils/permissions');
+const { clearRelatedPostsCache } = require('../utils/relatedPosts');
+const { decodeCursor, applyCursor, toCursorPage } = require('../utils/pagination');
+
+const REVIEW_POPULATE = [
+  { path: 'author', select: 'username firstName lastName avatar' },
+  { path: 'coAuthors.user', select: 'username firstName lastName avatar' },
+  { path: 'categories', select: 'name slug' },
+  { path: 'reviewHistory.user', select: 'username firstName lastName avatar' }
+];
+
+const ACTION_LABELS = {
+  submit: 'submitted for review',
+  approve: 'approved',
+  request_changes: 'sent back with change requests'
+};
+
+// Apply a review action to a post after checking permissions and the transition rules
+const reviewAction = (action, isAllowed) => async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+        success: false
+      });
+    }
+
+    const { id } = req.params;
+    const post = mongoose.Types.ObjectId.isValid(id) ? await BlogPost.findById(id) : null;
+
+    if (!post) {
+      return res.status(404).json({
+        message: 'Post not found',
+        success: false
+      });
+    }
+
+    if (!isAllowed(req.user, post)) {
+      return res.status(403).json({
+        message: 'Access denied',
+        success: false
+      });
+    }
+
+    if (!post.canTransition(action)) {
+      return res.status(409).json({
+        message: `A post that is ${post.status.replace('_', ' ')} cannot be ${ACTION_LABELS[action]}`,
+        success: false
+      });
+    }
+
+    post.applyReviewAction(action, req.user._id, req.body.note || '');
+    await post.save();
+    clearRelatedPostsCache();
+    await post.populate(REVIEW_POPULATE);
+
+    res.json({
+      message: `Post ${ACTION_LABELS[action]}`,
+      success: true,
+      data: {
+        post: post.getPublicData({ includeContent: can(req.user, 'post:edit', post) })
+      }
+    });
+
+  } catch (error) {
+    console.error(`Review (${action}) error:`, error);
+    res.status(500).json({
+      message: 'Failed to update review status',
+      success: false
+    });
+  }
+};
+
+// Hand a draft to the editors
+const submitForReview = reviewAction('submit', (user, post) => can(user, 'post:edit', post));
+
+// Publish a post under review (or schedule it, if it has a future publication date)
+const approvePost = reviewAction('approve', (user) => can(user, 'post:review'));
+
+// Send a post back to its writer with notes
+const requestChanges = reviewAction('request_changes', (user) => can(user, 'post:review'));
+
+// Posts waiting for review, oldest submission first
+const getReviewQueue = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'in_review', cursor } = req.query;
+
+    if (!BlogPost.REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: `Status must be one of: ${BlogPost.REVIEW_STATUSES.join(', ')}`,
+        success: false
+      });
+    }
+
+    const query = { status };
+
+    // Cursor mode (`cursor` given, empty for the first page) continues after the last post seen
+    if (cursor) {
+      const after = decodeCursor(cursor);
+      if (!after) {
+        return res.status(400).json({
+          message: 'Invalid cursor',
+          success: false
+        });
+      }
+      applyCursor(query, 'submittedForReviewAt', 1, after);
+    }
+
+    const postsQuery = BlogPost.find(query)
+      .populate(REVIEW_POPULATE)
+      .sort({ submittedForReviewAt: 1, _id: 1 });
+
+    let posts;
+    let pagination;
+
+    if (cursor !== undefined) {
+      const result = toCursorPage(await postsQuery.limit(parseInt(limit) + 1), parseInt(limit), 'submittedForReviewAt');
+      posts = result.items;
+      pagination = result.pagination;
+    } else {
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      posts = await postsQuery.skip(skip).limit(parseInt(limit));
+
+      const total = await BlogPost.countDocuments(query);
+      pagination = {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      };
+    }
+
+    res.json({
+      message: 'Review queue retrieved successfully',
+      success: true,
+      data: {
+        posts: posts.map(post => post.getPublicData()),
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve review queue',
+      success: false
+    });
+  }
+};
+
+module.exports = {
+  submitForReview,
+  approvePost,
+  requestChanges,
+  getReviewQueue
+};
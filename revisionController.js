@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const BlogPost = require('../models/BlogPost');
+const PostRevision = require('../models/PostRevision');
+const Category = require('../models/Category');
+const { toPlainText, diffWords, diffLists, hasChanges } = require('../utils/diff');
+const { can } = require('../utils/permissions');
+const { clearRelatedPostsCache } = require('../utils/relatedPosts');
+const { decodeCursor, toCursorPage } = require('../utils/pagination');
+
+// Load a post and check that the current user may manage its revisions
+const findManageablePost = async (req, res) => {
+  const post = await BlogPost.findById(req.params.id);
+  if (!post) {
+    res.status(404).json({
+      message: 'Post not found',
+      success: false
+    });
+    return null;
+  }
+
+  if (!can(req.user, 'post:edit', post)) {
+    res.status(403).json({
+      message: 'Access denied',
+      success: false
+    });
+    return null;
+  }
+
+  return post;
+};
+
+// Find a revision belonging to a post by id
+const findRevision = (postId, revId) => {
+  if (!mongoose.Types.ObjectId.isValid(revId)) {
+    return null;
+  }
+  return PostRevision.findOne({ _id: revId, post: postId })
+    .populate('editedBy', 'username firstName lastName avatar');
+};
+
+// Get revision history for a post
+const getRevisions = async (req, res) => {
+  try {
+    const post = await findManageablePost(req, res);
+    if (!post) return;
+
+    const { limit = 20, cursor } = req.query;
+
+    // Cursor mode (`cursor` given, empty for the first page) returns one page at a time
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      return res.status(400).json({
+        message: 'Invalid cursor',
+        success: false
+      });
+    }
+
+    let revisions;
+    let pagination;
+
+    if (cursor !== undefined) {
+      const result = toCursorPage(
+        await PostRevision.findByPost(post._id, { after }).limit(parseInt(limit) + 1),
+        parseInt(limit),
+        'revisionNumber'
+      );
+      revisions = result.items;
+      pagination = result.pagination;
+    } else {
+      revisions = await PostRevision.findByPost(post._id);
+    }
+
+    res.json({
+      message: 'Revisions retrieved successfully',
+      success: true,
+      data: {
+        revisions,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve revisions',
+      success: false
+    });
+  }
+};
+
+// Get a single revision with its content
+const getRevision = async (req, res) => {
+  try {
+    const post = await findManageablePost(req, res);
+    if (!post) return;
+
+    const revision = await findRevision(post._id, req.params.revId);
+    if (!revision) {
+      return res.status(404).json({
+        message: 'Revision not found',
+        success: false
+      });
+    }
+
+    res.json({
+      message: 'Revision retrieved successfully',
+      success: true,
+      data: {
+        revision
+      }
+    });
+
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve revision',
+      success: false
+    });
+  }
+};
+
+// Word-level diff between two revisions (?from=<revId>&to=<revId>)
+const diffRevisions = async (req, res) => {
+  try {
+    const post = await findManageablePost(req, res);
+    if (!post) return;
+
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({
+        message: 'Both from and to revision IDs are required',
+        success: false
+      });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      findRevision(post._id, from),
+      findRevision(post._id, to)
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        message: 'Revision not found',
+        success: false
+      });
+    }
+
+    // Compare categories by name
+    await Promise.all([fromRevision, toRevision].map(revision => revision.populate('categories', 'name')));
+    const categoryNames = revision => revision.categories.filter(Boolean).map(category => category.name);
+
+    const content = diffWords(toPlainText(fromRevision.content), toPlainText(toRevision.content));
+    const title = diffWords(fromRevision.title, toRevision.title);
+    const excerpt = diffWords(fromRevision.excerpt, toRevision.excerpt);
+    const metaTitle = diffWords(fromRevision.seo.metaTitle, toRevision.seo.metaTitle);
+    const metaDescription = diffWords(fromRevision.seo.metaDescription, toRevision.seo.metaDescription);
+
+    res.json({
+      message: 'Revision diff generated successfully',
+      success: true,
+      data: {
+        from: { _id: fromRevision._id, revisionNumber: fromRevision.revisionNumber, createdAt: fromRevision.createdAt },
+        to: { _id: toRevision._id, revisionNumber: toRevision.revisionNumber, createdAt: toRevision.createdAt },
+        diff: {
+          title,
+          excerpt,
+          content,
+          tags: diffLists(fromRevision.tags, toRevision.tags),
+          categories: diffLists(categoryNames(fromRevision), categoryNames(toRevision)),
+          seo: {
+            metaTitle,
+            metaDescription,
+            keywords: diffLists(fromRevision.seo.keywords, toRevision.seo.keywords)
+          }
+        },
+        changed: [title, excerpt, content, metaTitle, metaDescription].some(hasChanges)
+      }
+    });
+
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({
+      message: 'Failed to generate revision diff',
+      success: false
+    });
+  }
+};
+
+// Restore a post to the state captured in a revision
+const restoreRevision = async (req, res) => {
+  try {
+    const post = await findManageablePost(req, res);
+    if (!post) return;
+
+    const revision = await findRevision(post._id, req.params.revId);
+    if (!revision) {
+      return res.status(404).json({
+        message: 'Revision not found',
+        success: false
+      });
+    }
+
+    PostRevision.SNAPSHOT_FIELDS.forEach(field => {
+      post.set(field, revision[field]);
+    });
+
+    // Categories deleted since the revision was taken are left out
+    const existingCategories = new Set((await Category.find({ _id: { $in: revision.categories } }).select('_id'))
+      .map(category => String(category._id)));
+    post.categories = revision.categories.filter(id => existingCategories.has(String(id)));
+
+    // Saving (instead of findByIdAndUpdate) keeps slug, readTime and excerpt hooks in sync
+    await post.save();
+    clearRelatedPostsCache();
+    await PostRevision.snapshot(post, req.user._id, {
+      reason: 'restore',
+      restoredFrom: revision._id
+    });
+
+    await post.populate([
+      { path: 'author', select: 'username firstName lastName avatar' },
+      { path: 'coAuthors.user', select: 'username firstName lastName avatar' },
+      { path: 'categories', select: 'name slug' }
+    ]);
+
+    res.json({
+      message: `Post restored to revision ${revision.revisionNumber}`,
+      success: true,
+      data: {
+        post: post.getPublicData({ includeContent: true })
+      }
+    });
+
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({
+      message: 'Failed to restore revision',
+      success: false
+    });
+  }
+};
+
+module.exports = {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+};
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLES, ROLE_PERMISSIONS, normalizeRole } = require('../utils/permissions');
+const { decodeCursor, applyCursor, toCursorPage } = require('../utils/pagination');
+
+// Get the roles with their permissions and user counts
+const getRoles = async (req, res) => {
+  try {
+    const counts = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+
+    const countByRole = counts.reduce((result, { _id, count }) => {
+      const role = normalizeRole(_id);
+      result[role] = (result[role] || 0) + count;
+      return result;
+    }, {});
+
+    res.json({
+      message: 'Roles retrieved successfully',
+      success: true,
+      data: {
+        roles: ROLES.map(role => ({
+          name: role,
+          permissions: ROLE_PERMISSIONS[role],
+          userCount: countByRole[role] || 0
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve roles',
+      success: false
+    });
+  }
+};
+
+// List users with their roles (filter by role, search by name/username/email)
+const getUsers = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, role, search, cursor } = req.query;
+
+    const query = {};
+    if (role) {
+      // Legacy "user" accounts are listed as authors
+      query.role = role === 'author' ? { $in: ['author', 'user'] } : role;
+    }
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [
+        { username: pattern },
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern }
+      ];
+    }
+
+    // Cursor mode (`cursor` given, empty for the first page) continues after the last user seen
+    if (cursor) {
+      const after = decodeCursor(cursor);
+      if (!after) {
+        return res.status(400).json({
+          message: 'Invalid cursor',
+          success: false
+        });
+      }
+      applyCursor(query, 'createdAt', -1, after);
+    }
+
+    const usersQuery = User.find(query)
+      .select('username email firstName lastName avatar role isActive lastLogin createdAt')
+      .sort({ createdAt: -1, _id: -1 });
+
+    let users;
+    let pagination;
+
+    if (cursor !== undefined) {
+      const result = toCursorPage(await usersQuery.limit(parseInt(limit) + 1), parseInt(limit), 'createdAt');
+      users = result.items;
+      pagination = result.pagination;
+    } else {
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      users = await usersQuery.skip(skip).limit(parseInt(limit));
+
+      const total = await User.countDocuments(query);
+      pagination = {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      };
+    }
+
+    res.json({
+      message: 'Users retrieved successfully',
+      success: true,
+      data: {
+        users: users.map(user => ({
+          ...user.toObject(),
+          role: normalizeRole(user.role)
+        })),
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve users',
+      success: false
+    });
+  }
+};
+
+// Change the role of a user
+const updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        message: `Role must be one of: ${ROLES.join(', ')}`,
+        success: false
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        message: 'User not found',
+        success: false
+      });
+    }
+
+    // Prevents admins from locking themselves (and possibly everyone) out of the admin area
+    if (id === req.user._id.toString()) {
+      return res.status(400).json({
+        message: 'You cannot change your own role',
+        success: false
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      id,
+      { role },
+      { new: true, runValidators: true }
+    ).select('username email firstName lastName avatar role isActive lastLogin createdAt');
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found',
+        success: false
+      });
+    }
+
+    res.json({
+      message: 'User role updated successfully',
+      success: true,
+      data: {
+        user
+      }
+    });
+
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      message: 'Failed to update user role',
+      success: false
+    });
+  }
+};
+
+module.exports = {
+  getRoles,
+  getUsers,
+  updateUserRole
+};
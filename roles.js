@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+
+const roleController = require('../controllers/roleController');
+const { requirePermission } = require('../middleware/authorize');
+
+// Role management (admin area; `auth` runs where the router is mounted)
+router.get('/roles', requirePermission('user:manage'), roleController.getRoles);
+router.get('/roles/users', requirePermission('user:manage'), roleController.getUsers);
+router.put('/users/:id/role', requirePermission('user:manage'), roleController.updateUserRole);
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const os = require('os');
+const crypto = require('crypto');
+const BlogPost = require('../models/BlogPost');
+const SchedulerLock = require('../models/SchedulerLock');
+const { clearRelatedPostsCache } = require('./relatedPosts');
+
+const LOCK_NAME = 'publish-scheduled-posts';
+
+// Unique identity of this server instance for lease ownership
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+
+let timer = null;
+let running = false;
+
+// Publish every draft whose scheduledAt has passed
+// Also catches up on posts that became due while the server was down
+const publishDuePosts = async (now = new Date()) => {
+  const duePosts = await BlogPost.find({
+    status: 'draft',
+    scheduledAt: { $ne: null, $lte: now }
+  }).select('_id scheduledAt');
+
+  let published = 0;
+
+  for (const post of duePosts) {
+    // Conditional update so a post edited or published meanwhile is left alone
+    // The schedule is cleared so the post isn't published again if it goes back to draft
+    const result = await BlogPost.updateOne(
+      { _id: post._id, status: 'draft', scheduledAt: post.scheduledAt },
+      {
+        status: 'published',
+        publishedAt: post.scheduledAt,
+        scheduledAt: null,
+        lastModified: now
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      published++;
+    }
+  }
+
+  // Newly published posts can be related to others
+  if (published > 0) {
+    clearRelatedPostsCache();
+  }
+
+  return published;
+};
+
+// Run one scheduler pass if this instance holds the lease
+const tick = async (intervalMs) => {
+  if (running) return;
+  running = true;
+
+  try {
+    // Lease outlives one interval so a crashed holder is replaced on the next pass
+    const acquired = await SchedulerLock.acquire(LOCK_NAME, instanceId, intervalMs * 2);
+    if (!acquired) return;
+
+    const published = await publishDuePosts();
+    if (published > 0) {
+      console.log(`Scheduler published ${published} scheduled post(s)`);
+    }
+  } catch (error) {
+    console.error('Scheduler error:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+// Start the in-process scheduler
+const startScheduler = (options = {}) => {
+  if (timer || process.env.SCHEDULER_DISABLED === 'true') {
+    return;
+  }
+
+  const intervalMs = options.intervalMs ||
+    parseInt(process.env.SCHEDULER_INTERVAL_MS) ||
+    60 * 1000; // 1 minute
+
+  timer = setInterval(() => tick(intervalMs), intervalMs);
+  timer.unref();
+
+  // Catch up immediately on startup
+  tick(intervalMs);
+};
+
+// Stop the scheduler and release the lease
+const stopScheduler = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  await SchedulerLock.release(LOCK_NAME, instanceId);
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  publishDuePosts
+};
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+
+const searchController = require('../controllers/searchController');
+const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+
+// Public search routes
+router.get('/', searchController.searchPosts);
+router.get('/suggest', searchController.getSuggestions);
+
+// People to credit as co-authors
+router.get('/users', auth, requirePermission('post:create'), searchController.searchUsers);
+
+module.exports = router;
@@ -0,0 +1,370 @@
+const BlogPost = require('../models/BlogPost');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const {
+  tokenize,
+  contentText,
+  expandTerms,
+  prefixRegex,
+  escapeRegex,
+  highlight,
+  snippet
+} = require('../utils/textSearch');
+const { decodeCursor, toCursorPage } = require('../utils/pagination');
+
+// Maximum number of matching posts ranked and faceted per search
+const CANDIDATE_LIMIT = 500;
+const MAX_QUERY_WORDS = 10;
+const MAX_TAG_FACETS = 20;
+
+// Suggestions start after this many characters; each group has at most MAX_SUGGESTIONS entries
+const MIN_SUGGEST_LENGTH = 2;
+const MAX_SUGGESTIONS = 10;
+
+const RESULT_FIELDS = 'title slug excerpt featuredImage author coAuthors tags categories publishedAt readTime';
+
+const publishedQuery = () => ({ status: 'published', publishedAt: { $lte: new Date() } });
+
+// Query values can be nested (e.g. ?tags[0][x]=1), so every item is read as a string
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const postAuthorIds = (post) => [post.author, ...post.coAuthors.map(coAuthor => coAuthor.user)]
+  .filter(Boolean)
+  .map(author => String(author._id || author));
+
+// Relevance of a post: full-word text score plus prefix matches in the title, tags and excerpt
+const scorePost = (post, words, textScore) => {
+  const titleWords = tokenize(post.title);
+  const excerptWords = tokenize(post.excerpt);
+
+  return words.reduce((score, word) => score
+    + (titleWords.some(titleWord => titleWord.startsWith(word)) ? 3 : 0)
+    + (post.tags.some(tag => tag.startsWith(word)) ? 2 : 0)
+    + (excerptWords.some(excerptWord => excerptWord.startsWith(word)) ? 1 : 0),
+  textScore * 10);
+};
+
+// Position in the ranked results right after a decoded cursor
+// Ranks are computed per request, so when the post the cursor points to is no longer
+// in the results the page continues at the first lower score
+const indexAfterCursor = (results, { value, id }) => {
+  const index = results.findIndex(post => post.score === value && String(post._id) === String(id));
+  if (index !== -1) return index + 1;
+
+  const lower = results.findIndex(post => post.score < value);
+  return lower === -1 ? results.length : lower;
+};
+
+// Count facet values over posts; `valuesOf` returns the values of one post
+const countFacet = (posts, valuesOf) => {
+  const counts = new Map();
+  posts.forEach(post => {
+    new Set(valuesOf(post)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  });
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+};
+
+// Search published posts
+// Results are ranked by relevance and come with highlighted title and snippet.
+// Facet counts for one facet ignore that facet's own filter, so other values stay selectable
+const searchPosts = async (req, res) => {
+  try {
+    const { q = '', page = 1, limit = 10, cursor } = req.query;
+
+    // Cursor mode (`cursor` given, empty for the first page) continues after the last result seen
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      return res.status(400).json({
+        message: 'Invalid cursor',
+        success: false
+      });
+    }
+
+    const words = [...new Set(tokenize(q))].slice(0, MAX_QUERY_WORDS);
+    if (words.length === 0) {
+      return res.status(400).json({
+        message: 'Search query is required',
+        success: false
+      });
+    }
+
+    // Typo corrections are searched alongside the words as typed
+    const { terms, didYouMean } = await expandTerms(words);
+    const prefix = prefixRegex(terms);
+
+    const [textMatches, prefixMatches] = await Promise.all([
+      BlogPost.find({ ...publishedQuery(), $text: { $search: terms.join(' ') } }, { score: { $meta: 'textScore' } })
+        .select(RESULT_FIELDS)
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(CANDIDATE_LIMIT)
+        .lean(),
+      BlogPost.find({ ...publishedQuery(), $or: [{ title: prefix }, { tags: prefix }, { excerpt: prefix }] })
+        .select(RESULT_FIELDS)
+        .sort({ publishedAt: -1 })
+        .limit(CANDIDATE_LIMIT)
+        .lean()
+    ]);
+
+    const bestTextScore = textMatches.length > 0 ? textMatches[0].score : 1;
+    const candidates = new Map();
+    [...textMatches, ...prefixMatches].forEach(post => {
+      const id = String(post._id);
+      if (candidates.has(id)) return;
+      candidates.set(id, { ...post, score: scorePost(post, terms, (post.score || 0) / bestTextScore) });
+    });
+
+    const ranked = [...candidates.values()]
+      .sort((a, b) => b.score - a.score || b.publishedAt - a.publishedAt)
+      .slice(0, CANDIDATE_LIMIT);
+
+    // Filters
+    const tagFilter = toList(req.query.tags).map(tag => tag.toLowerCase());
+    const yearFilter = toList(req.query.years).map(Number);
+
+    const categoryValues = toList(req.query.categories);
+    const selectedCategories = categoryValues.length > 0
+      ? await Category.findDescendantIds((await Category.findByIdsOrSlugs(categoryValues)).map(category => category._id))
+      : [];
+    const categoryFilter = new Set(selectedCategories.map(String));
+
+    const authorValues = toList(req.query.authors);
+    const selectedAuthors = authorValues.length > 0
+      ? await User.find({
+        $or: [
+          { username: { $in: authorValues } },
+          { _id: { $in: authorValues.filter(value => /^[a-f\d]{24}$/i.test(value)) } }
+        ]
+      }).select('_id')
+      : [];
+    const authorFilter = new Set(selectedAuthors.map(author => String(author._id)));
+
+    const filters = {
+      tags: post => tagFilter.length === 0 || post.tags.some(tag => tagFilter.includes(tag)),
+      categories: post => categoryValues.length === 0 || post.categories.some(id => categoryFilter.has(String(id))),
+      authors: post => authorValues.length === 0 || postAuthorIds(post).some(id => authorFilter.has(id)),
+      years: post => yearFilter.length === 0 || yearFilter.includes(new Date(post.publishedAt).getUTCFullYear())
+    };
+    const matchesFilters = (post, except) => Object.entries(filters)
+      .every(([name, test]) => name === except || test(post));
+
+    const results = ranked.filter(post => matchesFilters(post));
+
+    // Facets
+    const tagCounts = countFacet(ranked.filter(post => matchesFilters(post, 'tags')), post => post.tags)
+      .slice(0, MAX_TAG_FACETS);
+    const categoryCounts = countFacet(ranked.filter(post => matchesFilters(post, 'categories')),
+      post => post.categories.map(String));
+    const authorCounts = countFacet(ranked.filter(post => matchesFilters(post, 'authors')), postAuthorIds);
+    const yearCounts = countFacet(ranked.filter(post => matchesFilters(post, 'years')),
+      post => [new Date(post.publishedAt).getUTCFullYear()]);
+
+    const [categoryDocs, authorDocs] = await Promise.all([
+      Category.find({ _id: { $in: categoryCounts.map(([id]) => id) } }).select('name slug').lean(),
+      User.find({ _id: { $in: authorCounts.map(([id]) => id) } }).select('username firstName lastName').lean()
+    ]);
+    const categoriesById = new Map(categoryDocs.map(category => [String(category._id), category]));
+    const authorsById = new Map(authorDocs.map(author => [String(author._id), author]));
+
+    // Page of results with highlights (content is only loaded for this page)
+    let pageResults;
+    let pagination;
+
+    if (cursor !== undefined) {
+      const start = after ? indexAfterCursor(results, after) : 0;
+      const result = toCursorPage(results.slice(start, start + parseInt(limit) + 1), parseInt(limit), 'score');
+      pageResults = result.items;
+      pagination = { ...result.pagination, total: results.length };
+    } else {
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      pageResults = results.slice(skip, skip + parseInt(limit));
+      pagination = {
+        current: parseInt(page),
+        pages: Math.ceil(results.length / parseInt(limit)),
+        total: results.length,
+        limit: parseInt(limit)
+      };
+    }
+
+    const contents = await BlogPost.find({ _id: { $in: pageResults.map(post => post._id) } })
+      .select('renderedHtml')
+      .lean();
+    const contentById = new Map(contents.map(post => [String(post._id), post.renderedHtml]));
+
+    await BlogPost.populate(pageResults, [
+      { path: 'author', select: 'username firstName lastName avatar' },
+      { path: 'categories', select: 'name slug' }
+    ]);
+
+    res.json({
+      message: 'Search completed successfully',
+      success: true,
+      data: {
+        query: q,
+        didYouMean,
+        results: pageResults.map(({ coAuthors, ...post }) => ({
+          ...post,
+          highlights: {
+            title: highlight(post.title, terms),
+            snippet: snippet(contentText(contentById.get(String(post._id))) || post.excerpt, terms)
+          }
+        })),
+        facets: {
+          tags: tagCounts.map(([value, count]) => ({ value, count })),
+          categories: categoryCounts
+            .filter(([id]) => categoriesById.has(id))
+            .map(([id, count]) => ({ ...categoriesById.get(id), count })),
+          authors: authorCounts
+            .filter(([id]) => authorsById.has(id))
+            .map(([id, count]) => ({ ...authorsById.get(id), count })),
+          years: yearCounts
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => b.value - a.value)
+        },
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      message: 'Search failed',
+      success: false
+    });
+  }
+};
+
+// Suggestions for a partly typed query: post titles, tags, categories and authors
+// The last word is matched as a prefix, earlier words as whole words; each group is
+// ranked by popularity (views, then likes)
+const getSuggestions = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 5, MAX_SUGGESTIONS);
+    const words = BlogPost.toTitleWords(String(req.query.q || '')).slice(0, MAX_QUERY_WORDS);
+
+    if (words.length === 0 || words.join(' ').length < MIN_SUGGEST_LENGTH) {
+      return res.json({
+        message: 'Suggestions retrieved successfully',
+        success: true,
+        data: { posts: [], tags: [], categories: [], authors: [] }
+      });
+    }
+
+    // Titles match word by word; tags and names match the query as typed
+    const phrase = String(req.query.q).trim().toLowerCase();
+    const wordPrefix = new RegExp(`^${escapeRegex(words[words.length - 1])}`);
+    const phrasePrefix = new RegExp(`^${escapeRegex(phrase)}`);
+    const namePrefix = new RegExp(`^${escapeRegex(phrase)}`, 'i');
+
+    const [posts, tags, categories, authors] = await Promise.all([
+      // Anchored, case-sensitive regexes on lowercase fields use the indexes
+      BlogPost.aggregate([
+        { $match: { ...publishedQuery(), titleWords: { $all: [...words.slice(0, -1), wordPrefix] } } },
+        { $addFields: { likesCount: { $size: '$likes' } } },
+        { $sort: { views: -1, likesCount: -1 } },
+        { $limit: limit },
+        { $project: { title: 1, slug: 1, views: 1, likesCount: 1 } }
+      ]),
+      BlogPost.aggregate([
+        { $match: { ...publishedQuery(), tags: phrasePrefix } },
+        { $unwind: '$tags' },
+        { $match: { tags: phrasePrefix } },
+        { $group: { _id: '$tags', count: { $sum: 1 }, views: { $sum: '$views' } } },
+        { $sort: { views: -1, count: -1 } },
+        { $limit: limit },
+        { $project: { _id: 0, name: '$_id', count: 1 } }
+      ]),
+      Category.find({ name: namePrefix }).select('name slug').limit(MAX_SUGGESTIONS).lean(),
+      User.find({
+        $or: [{ username: namePrefix }, { firstName: namePrefix }, { lastName: namePrefix }]
+      }).select('username firstName lastName avatar').limit(MAX_SUGGESTIONS).lean()
+    ]);
+
+    // Popularity of categories and authors from their published posts
+    const [categoryStats, authorStats] = await Promise.all([
+      BlogPost.aggregate([
+        { $match: { ...publishedQuery(), categories: { $in: categories.map(category => category._id) } } },
+        { $unwind: '$categories' },
+        { $group: { _id: '$categories', count: { $sum: 1 }, views: { $sum: '$views' } } }
+      ]),
+      BlogPost.aggregate([
+        { $match: { ...publishedQuery(), author: { $in: authors.map(author => author._id) } } },
+        { $group: { _id: '$author', count: { $sum: 1 }, views: { $sum: '$views' } } }
+      ])
+    ]);
+
+    // Attach post counts, drop entries without published posts and keep the most viewed
+    const rank = (items, stats) => {
+      const statsById = new Map(stats.map(stat => [String(stat._id), stat]));
+      return items
+        .filter(item => statsById.has(String(item._id)))
+        .map(item => ({ ...item, ...statsById.get(String(item._id)), _id: item._id }))
+        .sort((a, b) => b.views - a.views || b.count - a.count)
+        .slice(0, limit)
+        .map(({ views, ...item }) => item);
+    };
+
+    res.json({
+      message: 'Suggestions retrieved successfully',
+      success: true,
+      data: {
+        posts,
+        tags,
+        categories: rank(categories, categoryStats),
+        authors: rank(authors, authorStats)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get suggestions error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve suggestions',
+      success: false
+    });
+  }
+};
+
+// Users matching a partly typed name or username, for crediting co-authors
+const searchUsers = async (req, res) => {
+  try {
+    const phrase = String(req.query.q || '').trim();
+
+    if (phrase.length < MIN_SUGGEST_LENGTH) {
+      return res.json({
+        message: 'Users retrieved successfully',
+        success: true,
+        data: { users: [] }
+      });
+    }
+
+    const namePrefix = new RegExp(`^${escapeRegex(phrase)}`, 'i');
+    const users = await User.find({
+      isActive: true,
+      $or: [{ username: namePrefix }, { firstName: namePrefix }, { lastName: namePrefix }]
+    })
+      .select('username firstName lastName avatar')
+      .sort({ username: 1 })
+      .limit(MAX_SUGGESTIONS)
+      .lean();
+
+    res.json({
+      message: 'Users retrieved successfully',
+      success: true,
+      data: { users }
+    });
+
+  } catch (error) {
+    console.error('Search users error:', error);
+    res.status(500).json({
+      message: 'Failed to search users',
+      success: false
+    });
+  }
+};
+
+module.exports = {
+  searchPosts,
+  getSuggestions,
+  searchUsers
+};
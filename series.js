@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+
+const seriesController = require('../controllers/seriesController');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { validateCreateSeries, validateUpdateSeries } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/authorize');
+
+// Series the current user can manage (before /:slug so "mine" isn't taken as a slug)
+router.get('/mine', auth, seriesController.getMySeries);
+
+// Public routes
+router.get('/:slug', optionalAuth, seriesController.getSeriesBySlug);
+
+// Protected routes (authentication required)
+router.post('/', auth, requirePermission('series:create'), validateCreateSeries, seriesController.createSeries);
+router.put('/:id', auth, validateUpdateSeries, seriesController.updateSeries);
+router.delete('/:id', auth, seriesController.deleteSeries);
+
+module.exports = router;
@@ -0,0 +1,275 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Series = require('../models/Series');
+const BlogPost = require('../models/BlogPost');
+const { can } = require('../utils/permissions');
+const { decodeCursor, applyCursor, toCursorPage } = require('../utils/pagination');
+const { clearRelatedPostsCache } = require('../utils/relatedPosts');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array(),
+      success: false
+    });
+    return true;
+  }
+  return false;
+};
+
+// Load a series by ID and check that the current user may manage it
+const findManageableSeries = async (req, res) => {
+  const series = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Series.findById(req.params.id)
+    : null;
+
+  if (!series) {
+    res.status(404).json({
+      message: 'Series not found',
+      success: false
+    });
+    return null;
+  }
+
+  if (!can(req.user, 'series:manage', series)) {
+    res.status(403).json({
+      message: 'Access denied',
+      success: false
+    });
+    return null;
+  }
+
+  return series;
+};
+
+// Get a series landing page: description and parts in reading order
+const getSeriesBySlug = async (req, res) => {
+  try {
+    const series = await Series.findOne({ slug: req.params.slug })
+      .populate('author', 'username firstName lastName avatar');
+
+    if (!series) {
+      return res.status(404).json({
+        message: 'Series not found',
+        success: false
+      });
+    }
+
+    const canManage = can(req.user, 'series:manage', series);
+    const parts = await series.getVisibleParts(post => can(req.user, 'post:read', post));
+    const publishedParts = parts.filter(part => part.status === 'published').length;
+
+    // Series without published parts stay hidden from readers
+    if (publishedParts === 0 && !canManage) {
+      return res.status(404).json({
+        message: 'Series not found',
+        success: false
+      });
+    }
+
+    res.json({
+      message: 'Series retrieved successfully',
+      success: true,
+      data: {
+        series: {
+          _id: series._id,
+          title: series.title,
+          slug: series.slug,
+          description: series.description,
+          author: series.author,
+          createdAt: series.createdAt,
+          updatedAt: series.updatedAt,
+          parts: parts.map((part, index) => ({ ...part.toObject(), position: index + 1 })),
+          // Only parts the reader can see, so unpublished parts aren't revealed
+          totalParts: parts.length,
+          publishedParts,
+          canManage
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve series',
+      success: false
+    });
+  }
+};
+
+// Series the current user can manage (for the post editor)
+const getMySeries = async (req, res) => {
+  try {
+    const { limit = 20, cursor } = req.query;
+
+    // Cursor mode (`cursor` given, empty for the first page) returns one page at a time
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      return res.status(400).json({
+        message: 'Invalid cursor',
+        success: false
+      });
+    }
+
+    const query = can(req.user, 'series:manage:any') ? {} : { author: req.user._id };
+    if (after) applyCursor(query, 'updatedAt', -1, after);
+
+    const seriesQuery = Series.find(query)
+      .populate('posts', 'title slug status')
+      .sort({ updatedAt: -1, _id: -1 });
+
+    let series;
+    let pagination;
+
+    if (cursor !== undefined) {
+      const result = toCursorPage(await seriesQuery.limit(parseInt(limit) + 1), parseInt(limit), 'updatedAt');
+      series = result.items;
+      pagination = result.pagination;
+    } else {
+      series = await seriesQuery;
+    }
+
+    res.json({
+      message: 'Series retrieved successfully',
+      success: true,
+      data: {
+        series,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my series error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve series',
+      success: false
+    });
+  }
+};
+
+// Create a series
+const createSeries = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { title, description } = req.body;
+
+    const series = await Series.create({
+      title,
+      description,
+      author: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Series created successfully',
+      success: true,
+      data: {
+        series
+      }
+    });
+
+  } catch (error) {
+    console.error('Create series error:', error);
+    res.status(500).json({
+      message: 'Failed to create series',
+      success: false
+    });
+  }
+};
+
+// Update a series; `posts` replaces the list of parts (reorder, remove or add)
+const updateSeries = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const series = await findManageableSeries(req, res);
+    if (!series) return;
+
+    const { title, description, posts } = req.body;
+
+    if (posts !== undefined) {
+      const postIds = [...new Set(posts.map(String))];
+      const current = new Set(series.posts.map(String));
+      const addedIds = postIds.filter(id => !current.has(id));
+
+      // New parts must exist and be editable by the current user
+      const added = await BlogPost.find({ _id: { $in: addedIds } });
+      if (added.length !== addedIds.length) {
+        return res.status(400).json({
+          message: 'One or more posts do not exist',
+          success: false
+        });
+      }
+      if (!added.every(post => can(req.user, 'post:edit', post))) {
+        return res.status(403).json({
+          message: 'You can only add your own posts to a series',
+          success: false
+        });
+      }
+
+      // A post belongs to one series at a time
+      await Series.updateMany(
+        { _id: { $ne: series._id }, posts: { $in: addedIds } },
+        { $pull: { posts: { $in: addedIds } } }
+      );
+
+      series.posts = postIds;
+    }
+
+    if (title !== undefined) series.title = title;
+    if (description !== undefined) series.description = description;
+
+    await series.save();
+    // Series membership is a related-posts signal
+    if (posts !== undefined) clearRelatedPostsCache();
+    await series.populate('posts', 'title slug status');
+
+    res.json({
+      message: 'Series updated successfully',
+      success: true,
+      data: {
+        series
+      }
+    });
+
+  } catch (error) {
+    console.error('Update series error:', error);
+    res.status(500).json({
+      message: 'Failed to update series',
+      success: false
+    });
+  }
+};
+
+// Delete a series (its posts are kept)
+const deleteSeries = async (req, res) => {
+  try {
+    const series = await findManageableSeries(req, res);
+    if (!series) return;
+
+    await series.deleteOne();
+    clearRelatedPostsCache();
+
+    res.json({
+      message: 'Series deleted successfully',
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Delete series error:', error);
+    res.status(500).json({
+      message: 'Failed to delete series',
+      success: false
+    });
+  }
+};
+
+module.exports = {
+  getSeriesBySlug,
+  getMySeries,
+  createSeries,
+  updateSeries,
+  deleteSeries
+};
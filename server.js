@@ -5,6 +5,12 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 require('dotenv').config();
+const { startScheduler } = require('./utils/scheduler');
+const BlogPost = require('./models/BlogPost');
+const { migrateCategoryStrings } = require('./utils/categoryMigration');
+const { auth } = require('./middleware/auth');
+const { requireTwoFactorForRole } = require('./middleware/twoFactorPolicy');
+const { rejectRevokedTokens } = require('./middleware/tokenRevocation');
 
 const app = express();
 
@@ -23,16 +29,54 @@ app.use(helmet());
 app.use(mongoSanitize());
 
 // Rate limiting
+const isDraftAutosave = (req) => req.method === 'PUT' && /^\/posts\/[^/]+\/draft$/.test(req.path);
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  skip: (req) => req.path === '/search/suggest' || isDraftAutosave(req)
 });
 app.use('/api/', limiter);
 
+// Search suggestions are requested while typing, so they get their own larger budget
+const suggestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 600,
+  message: 'Too many requests from this IP, please try again later.'
+});
+app.use('/api/search/suggest', suggestLimiter);
+
+// The post editor autosaves every few seconds while an author writes
+const draftLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 300,
+  message: 'Too many requests from this IP, please try again later.',
+  skip: (req) => !isDraftAutosave(req)
+});
+app.use('/api/', draftLimiter);
+
+// Tokens of revoked sessions or issued before a password change are refused on every route
+app.use('/api/', rejectRevokedTokens);
+
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blog-cms')
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  startScheduler();
+  // Legacy string categories are converted first so the other syncs see valid posts
+  migrateCategoryStrings()
+    .then(({ postsUpdated, revisionsUpdated }) => {
+      if (postsUpdated || revisionsUpdated) {
+        console.log(`Migrated categories of ${postsUpdated} post(s) and ${revisionsUpdated} revision(s)`);
+      }
+    })
+    .catch(err => console.error('Category migration error:', err.message))
+    .then(() => {
+      BlogPost.syncTitleWords().catch(err => console.error('Title words sync error:', err.message));
+      BlogPost.syncRenderedHtml().catch(err => console.error('Rendered HTML sync error:', err.message));
+    });
+})
 .catch(err => {
   console.error('MongoDB connection error:', err.message);
   console.log('Server will continue running without database connection');
@@ -44,10 +88,27 @@ app.get('/', (req, res) => {
 });
 
 // API routes
+// Session routes come first so register, login (with its two-factor challenge), token refresh
+// and logout go through the session store
+app.use('/api/auth', require('./routes/sessions'));
+app.use('/api/auth', require('./routes/twoFactor'));
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/auth', require('./routes/verification'));
+app.use('/api/auth', require('./routes/passwordReset'));
 app.use('/api/posts', require('./routes/posts'));
 app.use('/api/comments', require('./routes/comments'));
-app.use('/api/admin', require('./routes/admin'));
+app.use('/api/series', require('./routes/series'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/search', require('./routes/search'));
+app.use('/api/admin', auth, requireTwoFactorForRole, require('./routes/roles'));
+app.use('/api/admin', auth, requireTwoFactorForRole, require('./routes/categories'));
+app.use('/api/admin', auth, requireTwoFactorForRole, require('./routes/tagAdmin'));
+app.use('/api/admin', auth, requireTwoFactorForRole, require('./routes/admin'));
+
+// Feed, sitemap and page routes
+app.use('/', require('./routes/feeds'));
+app.use('/', require('./routes/sitemap'));
+app.use('/', require('./routes/pages'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,338 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyRefreshToken, generateTwoFactorChallengeToken } = require('../utils/jwt');
+const {
+  startSession,
+  rotateSession,
+  revokeFamily,
+  getCurrentSessionId,
+  describeUserAgent
+} = require('../utils/sessionTokens');
+const { decodeCursor, toCursorPage } = require('../utils/pagination');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array(),
+      success: false
+    });
+    return true;
+  }
+  return false;
+};
+
+// Register a new account and sign it in
+const register = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { username, email, password, firstName, lastName } = req.body;
+
+    const existingUser = await User.findOne({ $or: [{ email }, { username }] });
+    if (existingUser) {
+      return res.status(400).json({
+        message: existingUser.email === email
+          ? 'User with this email already exists'
+          : 'Username is already taken',
+        success: false
+      });
+    }
+
+    const user = await User.create({ username, email, password, firstName, lastName });
+    const { token, refreshToken } = await startSession(user, req);
+
+    res.status(201).json({
+      message: 'User registered successfully',
+      success: true,
+      data: {
+        user: user.getPublicProfile(),
+        token,
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({
+      message: 'Registration failed',
+      success: false
+    });
+  }
+};
+
+// Log in with email or username and password, starting a new session
+const login = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { identifier, password } = req.body;
+
+    const user = await User.findByEmailOrUsername(identifier);
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        message: 'Invalid credentials',
+        success: false
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        message: 'Account has been deactivated',
+        success: false
+      });
+    }
+
+    // Accounts with 2FA get a challenge to exchange, with a code, at POST /2fa/verify
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        success: true,
+        data: {
+          requiresTwoFactor: true,
+          challengeToken: generateTwoFactorChallengeToken(user)
+        }
+      });
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    const { token, refreshToken } = await startSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      success: true,
+      data: {
+        user: user.getPublicProfile(),
+        token,
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      message: 'Login failed',
+      success: false
+    });
+  }
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+const refreshToken = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(req.body.refreshToken);
+    } catch (error) {
+      return res.status(401).json({
+        message: 'Invalid or expired refresh token',
+        success: false
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive) {
+      await revokeFamily(decoded.family, 'revoked');
+      return res.status(401).json({
+        message: 'Invalid or expired refresh token',
+        success: false
+      });
+    }
+
+    const result = await rotateSession(decoded, req);
+
+    if (!result) {
+      const session = await Session.findOne({ family: decoded.family });
+
+      // A valid signature on a superseded token means it was copied: kill the whole family
+      if (session && !session.revokedAt) {
+        await revokeFamily(decoded.family, 'reuse');
+        console.warn(`Refresh token reuse detected for user ${decoded.userId}, session ${session._id} revoked`);
+      }
+
+      return res.status(401).json({
+        message: 'Session is no longer valid, please sign in again',
+        success: false
+      });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      success: true,
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      message: 'Failed to refresh token',
+      success: false
+    });
+  }
+};
+
+// Log out: revoke the session of the given refresh token
+const logout = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    if (token) {
+      try {
+        const decoded = verifyRefreshToken(token);
+        await revokeFamily(decoded.family, 'logout');
+      } catch (error) {
+        // Invalid or expired tokens have nothing left to revoke
+      }
+    }
+
+    res.json({
+      message: 'Logged out successfully',
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      message: 'Failed to log out',
+      success: false
+    });
+  }
+};
+
+// List active sessions (devices) of the current user
+const getSessions = async (req, res) => {
+  try {
+    const { limit = 20, cursor } = req.query;
+
+    // Cursor mode (`cursor` given, empty for the first page) returns one page at a time
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      return res.status(400).json({
+        message: 'Invalid cursor',
+        success: false
+      });
+    }
+
+    let sessions;
+    let pagination;
+
+    if (cursor !== undefined) {
+      const result = toCursorPage(
+        await Session.findActiveByUser(req.user._id, { after }).limit(parseInt(limit) + 1),
+        parseInt(limit),
+        'lastUsedAt'
+      );
+      sessions = result.items;
+      pagination = result.pagination;
+    } else {
+      sessions = await Session.findActiveByUser(req.user._id);
+    }
+
+    const currentSessionId = getCurrentSessionId(req);
+
+    res.json({
+      message: 'Sessions retrieved successfully',
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          _id: session._id,
+          device: describeUserAgent(session.userAgent),
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          isCurrent: session._id.toString() === currentSessionId
+        })),
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve sessions',
+      success: false
+    });
+  }
+};
+
+// Revoke one of the current user's sessions
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        message: 'Session not found',
+        success: false
+      });
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked' }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        message: 'Session not found',
+        success: false
+      });
+    }
+
+    res.json({
+      message: 'Session revoked successfully',
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      message: 'Failed to revoke session',
+      success: false
+    });
+  }
+};
+
+// Log out every other device of the current user
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const currentSessionId = getCurrentSessionId(req);
+    const result = await Session.revokeAllForUser(req.user._id, 'revoked', currentSessionId);
+
+    res.json({
+      message: 'Other sessions revoked successfully',
+      success: true,
+      data: {
+        revoked: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      message: 'Failed to revoke sessions',
+      success: false
+    });
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { generateToken, generateRefreshToken, decodeToken } = require('./jwt');
+
+const hashJti = (jti) => crypto.createHash('sha256').update(jti).digest('hex');
+
+const getClientInfo = (req) => ({
+  userAgent: (req.get('User-Agent') || '').substring(0, 500),
+  ipAddress: req.ip || (req.connection && req.connection.remoteAddress) || ''
+});
+
+// Sign a new refresh token for a session family
+const signRefreshToken = (userId, family) => {
+  const jti = crypto.randomUUID();
+  const refreshToken = generateRefreshToken(userId, { family, jti });
+  const { exp } = decodeToken(refreshToken);
+
+  return {
+    refreshToken,
+    tokenHash: hashJti(jti),
+    expiresAt: new Date(exp * 1000)
+  };
+};
+
+// Start a new session (one refresh token family) after a successful login
+// Resolves to { token, refreshToken, session }
+const startSession = async (user, req) => {
+  const family = crypto.randomUUID();
+  const { refreshToken, tokenHash, expiresAt } = signRefreshToken(user._id, family);
+
+  const session = await Session.create({
+    user: user._id,
+    family,
+    tokenHash,
+    expiresAt,
+    ...getClientInfo(req)
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    session
+  };
+};
+
+// Rotate the refresh token of a session
+// Resolves to null when the presented token is not the current one (reuse) or the session is gone
+const rotateSession = async (decoded, req) => {
+  const { refreshToken, tokenHash, expiresAt } = signRefreshToken(decoded.userId, decoded.family);
+
+  // Conditional update: only the holder of the current token can rotate it
+  const session = await Session.findOneAndUpdate(
+    {
+      family: decoded.family,
+      tokenHash: hashJti(decoded.jti),
+      revokedAt: null
+    },
+    {
+      tokenHash,
+      expiresAt,
+      lastUsedAt: new Date(),
+      ...getClientInfo(req)
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    return null;
+  }
+
+  return {
+    token: generateToken(session.user, session._id),
+    refreshToken,
+    session
+  };
+};
+
+// Revoke an entire refresh token family
+const revokeFamily = (family, reason) => {
+  return Session.updateOne(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Session ID of the access token used for the current request
+const getCurrentSessionId = (req) => {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.substring(7) : null;
+  const decoded = token ? decodeToken(token) : null;
+  return decoded && decoded.sid ? decoded.sid : null;
+};
+
+// Short human-readable device label from a User-Agent string
+const describeUserAgent = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  return [browser && browser[0], system && system[0]].filter(Boolean).join(' on ');
+};
+
+module.exports = {
+  startSession,
+  rotateSession,
+  revokeFamily,
+  getCurrentSessionId,
+  describeUserAgent
+};
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+
+const sessionController = require('../controllers/sessionController');
+const { auth } = require('../middleware/auth');
+const {
+  validateRegister,
+  validateLogin,
+  validateRefreshToken
+} = require('../middleware/validation');
+
+// Sign-in, token rotation and logout
+router.post('/register', validateRegister, sessionController.register);
+router.post('/login', validateLogin, sessionController.login);
+router.post('/refresh', validateRefreshToken, sessionController.refreshToken);
+router.post('/logout', sessionController.logout);
+
+// Session (device) management
+router.get('/sessions', auth, sessionController.getSessions);
+router.delete('/sessions', auth, sessionController.revokeOtherSessions);
+router.delete('/sessions/:id', auth, sessionController.revokeSession);
+
+module.exports = router;
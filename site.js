@@ -0,0 +1,15 @@
+// Public URL of the frontend, used for links to posts and pages
+const getSiteUrl = (req) => {
+  return (process.env.SITE_URL || process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`)
+    .replace(/\/$/, '');
+};
+
+// URL of this API server, used for links to feeds and sitemaps
+const getApiUrl = (req) => {
+  return `${req.protocol}://${req.get('host')}`;
+};
+
+module.exports = {
+  getSiteUrl,
+  getApiUrl
+};
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+
+const sitemapController = require('../controllers/sitemapController');
+
+// Sitemap routes
+router.get('/sitemap.xml', sitemapController.getSitemapIndex);
+router.get('/sitemaps/posts-:page.xml', sitemapController.getPostsSitemap);
+router.get('/sitemaps/authors.xml', sitemapController.getAuthorsSitemap);
+router.get('/sitemaps/tags.xml', sitemapController.getTagsSitemap);
+router.get('/sitemaps/categories.xml', sitemapController.getCategoriesSitemap);
+router.get('/robots.txt', sitemapController.getRobotsTxt);
+
+module.exports = router;
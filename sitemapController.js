@@ -0,0 +1,283 @@
+const BlogPost = require('../models/BlogPost');
+const { escapeXml } = require('../utils/feed');
+const { getSiteUrl, getApiUrl } = require('../utils/site');
+
+// Number of posts per sitemap page (protocol limit is 50,000 URLs)
+const POSTS_PER_SITEMAP = parseInt(process.env.SITEMAP_PAGE_SIZE) || 5000;
+
+// Only published, already-live posts are listed; drafts and archived posts are excluded
+const publishedQuery = () => ({ status: 'published', publishedAt: { $lte: new Date() } });
+
+const sendXml = (req, res, xml, lastModified) => {
+  res.set({
+    'Content-Type': 'application/xml; charset=utf-8',
+    'Cache-Control': 'public, max-age=3600'
+  });
+
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+  }
+
+  res.send(xml);
+};
+
+const urlEntry = ({ loc, lastmod, images = [] }) => `
+  <url>
+    <loc>${escapeXml(loc)}</loc>${lastmod ? `
+    <lastmod>${new Date(lastmod).toISOString()}</lastmod>` : ''}${images.map(image => `
+    <image:image>
+      <image:loc>${escapeXml(image.url)}</image:loc>${image.title ? `
+      <image:title>${escapeXml(image.title)}</image:title>` : ''}${image.caption ? `
+      <image:caption>${escapeXml(image.caption)}</image:caption>` : ''}
+    </image:image>`).join('')}
+  </url>`;
+
+const urlSet = (entries) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">${entries.join('')}
+</urlset>
+`;
+
+// Collect featured and inline images of a post for image sitemap entries
+const getPostImages = (post) => {
+  const images = [];
+  const title = (post.seo && post.seo.metaTitle) || post.title;
+
+  if (post.featuredImage && post.featuredImage.url) {
+    images.push({
+      url: post.featuredImage.url,
+      title,
+      caption: post.featuredImage.alt
+    });
+  }
+
+  (post.images || []).forEach(image => {
+    if (image.url) {
+      images.push({
+        url: image.url,
+        title,
+        caption: image.caption || image.alt
+      });
+    }
+  });
+
+  return images;
+};
+
+// Latest modification date across published posts matching a query
+const getLatestModified = async (match = {}) => {
+  const latest = await BlogPost.findOne({ ...publishedQuery(), ...match })
+    .sort({ lastModified: -1 })
+    .select('lastModified');
+  return latest ? latest.lastModified : null;
+};
+
+// Sitemap index listing every post page plus author, tag and category sitemaps
+const getSitemapIndex = async (req, res) => {
+  try {
+    const apiUrl = getApiUrl(req);
+    const total = await BlogPost.countDocuments(publishedQuery());
+    const pages = Math.max(1, Math.ceil(total / POSTS_PER_SITEMAP));
+    const lastModified = await getLatestModified();
+
+    const sitemaps = [];
+    for (let page = 1; page <= pages; page++) {
+      sitemaps.push(`${apiUrl}/sitemaps/posts-${page}.xml`);
+    }
+    sitemaps.push(`${apiUrl}/sitemaps/authors.xml`);
+    sitemaps.push(`${apiUrl}/sitemaps/tags.xml`);
+    sitemaps.push(`${apiUrl}/sitemaps/categories.xml`);
+
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${sitemaps.map(loc => `
+  <sitemap>
+    <loc>${escapeXml(loc)}</loc>${lastModified ? `
+    <lastmod>${lastModified.toISOString()}</lastmod>` : ''}
+  </sitemap>`).join('')}
+</sitemapindex>
+`;
+
+    sendXml(req, res, xml, lastModified);
+
+  } catch (error) {
+    console.error('Get sitemap index error:', error);
+    res.status(500).json({
+      message: 'Failed to generate sitemap',
+      success: false
+    });
+  }
+};
+
+// One page of post URLs with image entries
+const getPostsSitemap = async (req, res) => {
+  try {
+    const page = parseInt(req.params.page);
+    if (!page || page < 1) {
+      return res.status(404).json({
+        message: 'Sitemap not found',
+        success: false
+      });
+    }
+
+    const posts = await BlogPost.find(publishedQuery())
+      .select('slug title seo lastModified publishedAt featuredImage images')
+      .sort({ publishedAt: -1, _id: -1 })
+      .skip((page - 1) * POSTS_PER_SITEMAP)
+      .limit(POSTS_PER_SITEMAP);
+
+    if (posts.length === 0 && page > 1) {
+      return res.status(404).json({
+        message: 'Sitemap not found',
+        success: false
+      });
+    }
+
+    const siteUrl = getSiteUrl(req);
+    const entries = posts.map(post => urlEntry({
+      loc: `${siteUrl}/post/${post.slug}`,
+      lastmod: post.lastModified || post.publishedAt,
+      images: getPostImages(post)
+    }));
+
+    const lastModified = posts.reduce((latest, post) => {
+      return post.lastModified > latest ? post.lastModified : latest;
+    }, new Date(0));
+
+    sendXml(req, res, urlSet(entries), posts.length > 0 ? lastModified : null);
+
+  } catch (error) {
+    console.error('Get posts sitemap error:', error);
+    res.status(500).json({
+      message: 'Failed to generate sitemap',
+      success: false
+    });
+  }
+};
+
+// Author pages for everyone with at least one published post
+const getAuthorsSitemap = async (req, res) => {
+  try {
+    const authors = await BlogPost.aggregate([
+      { $match: publishedQuery() },
+      { $group: { _id: '$author', lastmod: { $max: '$lastModified' } } },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $unwind: '$user' },
+      { $match: { 'user.isActive': true } },
+      { $project: { username: '$user.username', lastmod: 1 } },
+      { $sort: { username: 1 } }
+    ]);
+
+    const siteUrl = getSiteUrl(req);
+    const entries = authors.map(author => urlEntry({
+      loc: `${siteUrl}/author/${encodeURIComponent(author.username)}`,
+      lastmod: author.lastmod
+    }));
+
+    sendXml(req, res, urlSet(entries), await getLatestModified());
+
+  } catch (error) {
+    console.error('Get authors sitemap error:', error);
+    res.status(500).json({
+      message: 'Failed to generate sitemap',
+      success: false
+    });
+  }
+};
+
+// Tag pages for every tag used by a published post
+const getTagsSitemap = async (req, res) => {
+  try {
+    const tags = await BlogPost.aggregate([
+      { $match: publishedQuery() },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', lastmod: { $max: '$lastModified' } } },
+      { $lookup: { from: 'tags', localField: '_id', foreignField: 'name', as: 'registered' } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const siteUrl = getSiteUrl(req);
+    const entries = tags.map(tag => urlEntry({
+      loc: `${siteUrl}/tag/${encodeURIComponent(tag.registered[0]?.slug || tag._id)}`,
+      lastmod: tag.lastmod
+    }));
+
+    sendXml(req, res, urlSet(entries), await getLatestModified());
+
+  } catch (error) {
+    console.error('Get tags sitemap error:', error);
+    res.status(500).json({
+      message: 'Failed to generate sitemap',
+      success: false
+    });
+  }
+};
+
+// Category archive pages for every category used by a published post
+const getCategoriesSitemap = async (req, res) => {
+  try {
+    const categories = await BlogPost.aggregate([
+      { $match: publishedQuery() },
+      { $unwind: '$categories' },
+      { $group: { _id: '$categories', lastmod: { $max: '$lastModified' } } },
+      { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+      { $unwind: '$category' },
+      { $project: { slug: '$category.slug', lastmod: 1 } },
+      { $sort: { slug: 1 } }
+    ]);
+
+    const siteUrl = getSiteUrl(req);
+    const entries = categories.map(category => urlEntry({
+      loc: `${siteUrl}/category/${encodeURIComponent(category.slug)}`,
+      lastmod: category.lastmod
+    }));
+
+    sendXml(req, res, urlSet(entries), await getLatestModified());
+
+  } catch (error) {
+    console.error('Get categories sitemap error:', error);
+    res.status(500).json({
+      message: 'Failed to generate sitemap',
+      success: false
+    });
+  }
+};
+
+// robots.txt, configurable through ROBOTS_DISALLOW and ROBOTS_DISABLE_INDEXING
+const getRobotsTxt = (req, res) => {
+  const disallow = process.env.ROBOTS_DISABLE_INDEXING === 'true'
+    ? ['/']
+    : (process.env.ROBOTS_DISALLOW || '/dashboard,/create-post,/edit-post,/profile,/admin,/api/')
+      .split(',')
+      .map(path => path.trim())
+      .filter(Boolean);
+
+  const lines = ['User-agent: *'];
+  if (disallow.length === 0) {
+    lines.push('Disallow:');
+  } else {
+    disallow.forEach(path => lines.push(`Disallow: ${path}`));
+  }
+
+  if (process.env.ROBOTS_CRAWL_DELAY) {
+    lines.push(`Crawl-delay: ${parseInt(process.env.ROBOTS_CRAWL_DELAY)}`);
+  }
+
+  lines.push('', `Sitemap: ${getApiUrl(req)}/sitemap.xml`, '');
+
+  res.set({
+    'Content-Type': 'text/plain; charset=utf-8',
+    'Cache-Control': 'public, max-age=86400'
+  });
+  res.send(lines.join('\n'));
+};
+
+module.exports = {
+  getSitemapIndex,
+  getPostsSitemap,
+  getAuthorsSitemap,
+  getTagsSitemap,
+  getCategoriesSitemap,
+  getRobotsTxt
+};
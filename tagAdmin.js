@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+
+const tagController = require('../controllers/tagController');
+const { validateUpdateTag, validateRenameTag, validateMergeTags } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/authorize');
+
+// Tag management (admin area; `auth` runs where the router is mounted)
+router.post('/tags/merge', requirePermission('tag:manage'), validateMergeTags, tagController.mergeTags);
+router.put('/tags/:slug', requirePermission('tag:manage'), validateUpdateTag, tagController.updateTag);
+router.post('/tags/:slug/rename', requirePermission('tag:manage'), validateRenameTag, tagController.renameTag);
+
+module.exports = router;
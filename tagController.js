@@ -0,0 +1,381 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+const BlogPost = require('../models/BlogPost');
+const { decodeCursor, applyCursor, toCursorPage } = require('../utils/pagination');
+const { clearRelatedPostsCache } = require('../utils/relatedPosts');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array(),
+      success: false
+    });
+    return true;
+  }
+  return false;
+};
+
+const publishedQuery = () => ({ status: 'published', publishedAt: { $lte: new Date() } });
+
+// Update pipeline expression replacing `sources` by `target` in a post's tags,
+// keeping their order and dropping the duplicates a merge can create
+const replaceTagsExpression = (sources, target) => ({
+  $reduce: {
+    input: '$tags',
+    initialValue: [],
+    in: {
+      $let: {
+        vars: { tag: { $cond: [{ $in: ['$$this', sources] }, target, '$$this'] } },
+        in: {
+          $cond: [
+            { $in: ['$$tag', '$$value'] },
+            '$$value',
+            { $concatArrays: ['$$value', ['$$tag']] }
+          ]
+        }
+      }
+    }
+  }
+});
+
+// Whether the MongoDB deployment supports transactions: a replica set or a sharded cluster
+// (a standalone server, e.g. the default mongodb://localhost:27017, does not)
+const supportsTransactions = async () => {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  return !!hello.setName || hello.msg === 'isdbgrid';
+};
+
+// Renames and merges rewrite posts and the registry together, so they need transactions
+// Sends the error response and returns false when they aren't available
+const checkTransactions = async (res) => {
+  if (await supportsTransactions()) return true;
+
+  res.status(503).json({
+    message: 'Renaming and merging tags requires MongoDB to run as a replica set (a single-node replica set is enough)',
+    code: 'TRANSACTIONS_UNSUPPORTED',
+    success: false
+  });
+  return false;
+};
+
+// Merge the `sources` tags into `target` on every post and in the registry, in one transaction
+// The source names become aliases of the target so posts saved later keep using it
+const mergeIntoTag = async (sources, target) => {
+  const sourceNames = [...new Set(sources.map(Tag.normalize))]
+    .filter(name => name && name !== target);
+
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      const { modifiedCount } = await BlogPost.updateMany(
+        { tags: { $in: sourceNames } },
+        [{ $set: { tags: replaceTagsExpression(sourceNames, target) } }],
+        { session }
+      );
+
+      const sourceTags = await Tag.find({ name: { $in: sourceNames } }).session(session);
+      const targetTag = await Tag.findOne({ name: target }).session(session) || new Tag({ name: target });
+
+      // An alias can only point to one tag
+      await Tag.updateMany(
+        { _id: { $ne: targetTag._id }, aliases: { $in: [target, ...sourceNames] } },
+        { $pull: { aliases: { $in: [target, ...sourceNames] } } },
+        { session }
+      );
+      await Tag.deleteMany({ _id: { $in: sourceTags.map(tag => tag._id) } }, { session });
+
+      const aliases = new Set([
+        ...targetTag.aliases,
+        ...sourceNames,
+        ...sourceTags.flatMap(tag => tag.aliases)
+      ]);
+      aliases.delete(target);
+      targetTag.aliases = [...aliases];
+
+      if (!targetTag.description) {
+        targetTag.description = sourceTags.find(tag => tag.description)?.description || '';
+      }
+
+      await targetTag.save({ session });
+
+      result = { tag: targetTag, postsUpdated: modifiedCount };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Tags are a related-posts signal
+  clearRelatedPostsCache();
+  return result;
+};
+
+// Get the tag index: every tag used on published posts with its usage count,
+// plus registered tags that are not used yet
+const getTags = async (req, res) => {
+  try {
+    const { search, sort = 'count', limit } = req.query;
+
+    const [counts, registered] = await Promise.all([
+      BlogPost.aggregate([
+        { $match: publishedQuery() },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 }, lastUsedAt: { $max: '$publishedAt' } } }
+      ]),
+      Tag.find().select('name slug description aliases').lean()
+    ]);
+
+    const tagsByName = new Map(registered.map(tag => [tag.name, {
+      name: tag.name,
+      slug: tag.slug,
+      description: tag.description,
+      aliases: tag.aliases,
+      count: 0,
+      lastUsedAt: null
+    }]));
+
+    counts.forEach(({ _id, count, lastUsedAt }) => {
+      const tag = tagsByName.get(_id) || { name: _id, slug: _id, description: '', aliases: [] };
+      tagsByName.set(_id, { ...tag, count, lastUsedAt });
+    });
+
+    let tags = [...tagsByName.values()];
+
+    if (search) {
+      const term = Tag.normalize(search);
+      tags = tags.filter(tag => tag.name.includes(term) || tag.aliases.some(alias => alias.includes(term)));
+    }
+
+    tags.sort(sort === 'name'
+      ? (a, b) => a.name.localeCompare(b.name)
+      : (a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+    if (limit) {
+      tags = tags.slice(0, parseInt(limit));
+    }
+
+    res.json({
+      message: 'Tags retrieved successfully',
+      success: true,
+      data: {
+        tags
+      }
+    });
+
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve tags',
+      success: false
+    });
+  }
+};
+
+// Get a tag page: the tag (registered or only used on posts) and its published posts
+// An alias resolves to its tag so old links keep working
+const getTagBySlug = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, cursor } = req.query;
+    const value = Tag.normalize(req.params.slug);
+
+    // Cursor mode (`cursor` given, empty for the first page) continues after the last post seen
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      return res.status(400).json({
+        message: 'Invalid cursor',
+        success: false
+      });
+    }
+
+    const registered = await Tag.findBySlugOrName(req.params.slug)
+      || await Tag.findOne({ aliases: value });
+    const name = registered ? registered.name : value;
+
+    const query = { ...publishedQuery(), tags: name };
+    const postsQuery = BlogPost.find(after ? applyCursor({ ...query }, 'publishedAt', -1, after) : query)
+      .populate('author', 'username firstName lastName avatar')
+      .populate('coAuthors.user', 'username firstName lastName avatar')
+      .populate('categories', 'name slug')
+      .sort({ publishedAt: -1, _id: -1 });
+
+    // The total is needed for the tag's post count in both modes
+    const [found, total] = await Promise.all([
+      cursor !== undefined
+        ? postsQuery.limit(parseInt(limit) + 1)
+        : postsQuery.skip((parseInt(page) - 1) * parseInt(limit)).limit(parseInt(limit)),
+      BlogPost.countDocuments(query)
+    ]);
+
+    let posts = found;
+    let pagination = {
+      current: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total,
+      limit: parseInt(limit)
+    };
+
+    if (cursor !== undefined) {
+      const result = toCursorPage(found, parseInt(limit), 'publishedAt');
+      posts = result.items;
+      pagination = { ...result.pagination, total };
+    }
+
+    if (!registered && total === 0) {
+      return res.status(404).json({
+        message: 'Tag not found',
+        success: false
+      });
+    }
+
+    res.json({
+      message: 'Tag retrieved successfully',
+      success: true,
+      data: {
+        tag: {
+          name,
+          slug: registered ? registered.slug : name,
+          description: registered ? registered.description : '',
+          aliases: registered ? registered.aliases : [],
+          count: total
+        },
+        posts: posts.map(post => post.getPublicData()),
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Get tag error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve tag',
+      success: false
+    });
+  }
+};
+
+// Set the description and aliases of a tag, registering it if needed
+// Aliases apply to posts saved from now on; merge the alias to rewrite existing posts
+const updateTag = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { description, aliases } = req.body;
+    const tag = await Tag.findBySlugOrName(req.params.slug)
+      || new Tag({ name: Tag.normalize(req.params.slug) });
+
+    if (aliases !== undefined) {
+      const aliasNames = [...new Set(aliases.map(Tag.normalize))]
+        .filter(alias => alias && alias !== tag.name);
+
+      const conflict = await Tag.findOne({
+        _id: { $ne: tag._id },
+        $or: [{ name: { $in: aliasNames } }, { aliases: { $in: aliasNames } }]
+      });
+
+      if (conflict) {
+        return res.status(409).json({
+          message: `An alias is already used by the tag "${conflict.name}"`,
+          success: false
+        });
+      }
+
+      tag.aliases = aliasNames;
+    }
+
+    if (description !== undefined) tag.description = description;
+
+    await tag.save();
+
+    res.json({
+      message: 'Tag updated successfully',
+      success: true,
+      data: {
+        tag
+      }
+    });
+
+  } catch (error) {
+    console.error('Update tag error:', error);
+    res.status(500).json({
+      message: 'Failed to update tag',
+      success: false
+    });
+  }
+};
+
+// Rename a tag on every post; renaming to an existing tag merges them
+const renameTag = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const registered = await Tag.findBySlugOrName(req.params.slug);
+    const currentName = registered ? registered.name : Tag.normalize(req.params.slug);
+    const name = Tag.normalize(req.body.name);
+
+    if (name === currentName) {
+      return res.status(400).json({
+        message: 'The new name is the same as the current one',
+        success: false
+      });
+    }
+
+    if (!(await checkTransactions(res))) return;
+
+    const { tag, postsUpdated } = await mergeIntoTag([currentName], name);
+
+    res.json({
+      message: 'Tag renamed successfully',
+      success: true,
+      data: {
+        tag,
+        postsUpdated
+      }
+    });
+
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    res.status(500).json({
+      message: 'Failed to rename tag',
+      success: false
+    });
+  }
+};
+
+// Merge several tags into one on every post
+const mergeTags = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (!(await checkTransactions(res))) return;
+
+    const target = Tag.normalize(req.body.target);
+    const { tag, postsUpdated } = await mergeIntoTag(req.body.sources, target);
+
+    res.json({
+      message: 'Tags merged successfully',
+      success: true,
+      data: {
+        tag,
+        postsUpdated
+      }
+    });
+
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    res.status(500).json({
+      message: 'Failed to merge tags',
+      success: false
+    });
+  }
+};
+
+module.exports = {
+  getTags,
+  getTagBySlug,
+  updateTag,
+  renameTag,
+  mergeTags
+};
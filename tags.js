@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+
+const tagController = require('../controllers/tagController');
+
+// Public tag routes
+router.get('/', tagController.getTags);
+router.get('/:slug', tagController.getTagBySlug);
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const BlogPost = require('../models/BlogPost');
+const { toPlainText } = require('./diff');
+
+// Words of the index vocabulary (post titles and tags) are reloaded after this delay
+const VOCABULARY_TTL = 10 * 60 * 1000;
+
+let vocabulary = null;
+let vocabularyLoadedAt = 0;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Lowercase words of a query or text (letters, digits and inner dashes)
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || [])
+  .map(word => word.replace(/['-]+$/, ''));
+
+// Readable text of stored post HTML, with common entities decoded
+const contentText = (html) => toPlainText(html || '')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Edit distance between two words, giving up once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Typos tolerated for a word: none below 4 letters, 1 up to 7, then 2
+const allowedTypos = (word) => (word.length < 4 ? 0 : word.length <= 7 ? 1 : 2);
+
+// Words from the titles and tags of published posts, used to correct typos
+const getVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabularyLoadedAt < VOCABULARY_TTL) {
+    return vocabulary;
+  }
+
+  const posts = await BlogPost.find({ status: 'published', publishedAt: { $lte: new Date() } })
+    .select('title tags')
+    .lean();
+
+  vocabulary = new Set(posts.flatMap(post => [...tokenize(post.title), ...post.tags.flatMap(tokenize)]));
+  vocabularyLoadedAt = Date.now();
+  return vocabulary;
+};
+
+// Expand query words with their vocabulary corrections
+// Returns the words to search for and, when a word was corrected, a suggested query
+const expandTerms = async (words) => {
+  const known = await getVocabulary();
+  const terms = new Set(words);
+  let corrected = false;
+
+  const suggestion = words.map(word => {
+    const typos = allowedTypos(word);
+    if (known.has(word) || typos === 0) return word;
+
+    let best = null;
+    let bestDistance = typos + 1;
+    for (const candidate of known) {
+      const distance = editDistance(word, candidate, typos);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+
+    if (!best) return word;
+    terms.add(best);
+    corrected = true;
+    return best;
+  });
+
+  return {
+    terms: [...terms],
+    didYouMean: corrected ? suggestion.join(' ') : null
+  };
+};
+
+// Regex matching any of the words at the start of a word (prefix matching)
+const prefixRegex = (words) => new RegExp(`(^|[^\\p{L}\\p{N}])(${words.map(escapeRegex).join('|')})`, 'iu');
+
+// Escaped text with the words (and words starting with them) wrapped in <mark>
+const highlight = (text, words) => {
+  if (words.length === 0) return escapeHtml(text);
+
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${words.map(escapeRegex).join('|')})([\\p{L}\\p{N}]*)`, 'giu');
+  let result = '';
+  let last = 0;
+
+  text.replace(pattern, (match, before, word, rest, offset) => {
+    const start = offset + before.length;
+    result += escapeHtml(text.slice(last, start)) + `<mark>${escapeHtml(word + rest)}</mark>`;
+    last = start + word.length + rest.length;
+    return match;
+  });
+
+  return result + escapeHtml(text.slice(last));
+};
+
+// Highlighted excerpt of about `length` characters around the first match in `text`
+const snippet = (text, words, length = 200) => {
+  const match = words.length > 0 ? prefixRegex(words).exec(text) : null;
+  const matchIndex = match ? match.index + match[1].length : 0;
+
+  let start = Math.max(0, matchIndex - Math.floor(length / 3));
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space === -1 || space > matchIndex ? start : space + 1;
+  }
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > matchIndex ? space : end;
+  }
+
+  return `${start > 0 ? '…' : ''}${highlight(text.slice(start, end), words)}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+  tokenize,
+  contentText,
+  expandTerms,
+  prefixRegex,
+  escapeRegex,
+  highlight,
+  snippet
+};
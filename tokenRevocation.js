@@ -0,0 +1,58 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyToken } = require('../utils/jwt');
+
+const sendRevoked = (res) => {
+  res.status(401).json({
+    message: 'Session is no longer valid, please sign in again',
+    success: false
+  });
+};
+
+// Reject access tokens that were valid when issued but have been invalidated since:
+// their session was revoked (logout, "log out other devices", token reuse) or they were
+// issued before the user's password was last changed or reset.
+// Other tokens signed with the same secret (refresh, email verification, 2FA challenge)
+// carry a `type` and are never accepted as access tokens.
+// Runs ahead of the routes; `auth` still authenticates the request, so requests
+// without a valid token are passed on untouched
+const rejectRevokedTokens = async (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  if (!header.startsWith('Bearer ')) {
+    return next();
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(header.substring(7));
+  } catch (error) {
+    return next();
+  }
+
+  if (decoded.type) {
+    return sendRevoked(res);
+  }
+
+  try {
+    const [user, session] = await Promise.all([
+      User.findById(decoded.userId).select('passwordChangedAt'),
+      decoded.sid ? Session.findById(decoded.sid).select('user revokedAt expiresAt') : null
+    ]);
+
+    if (user && user.changedPasswordAfter(decoded.iat)) {
+      return sendRevoked(res);
+    }
+
+    if (decoded.sid && (!session || !session.isActive() || String(session.user) !== String(decoded.userId))) {
+      return sendRevoked(res);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  rejectRevokedTokens
+};
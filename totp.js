@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30; // seconds
+const WINDOW = 1; // accepted steps of clock drift in either direction
+
+// RFC 4648 base32 (no padding), the format authenticator apps expect
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a random 160-bit secret (base32)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP value for a counter (RFC 4226)
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** DIGITS);
+
+  return String(code).padStart(DIGITS, '0');
+};
+
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD);
+
+// TOTP value for a point in time (RFC 6238)
+const generateTotp = (secret, time = Date.now()) => generateHotp(secret, getStep(time));
+
+// Verify a TOTP code, allowing for clock drift
+// Resolves to the matched time step, or null; steps <= lastUsedStep are rejected to prevent replay
+const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getStep();
+  for (let step = currentStep - WINDOW; step <= currentStep + WINDOW; step++) {
+    if (step <= lastUsedStep) continue;
+
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI for authenticator apps and QR codes
+const buildOtpauthUri = (secret, accountName) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || process.env.SITE_TITLE || 'Blog CMS';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Generate one-time recovery codes like "a1b2c-3d4e5"
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.substring(0, 5)}-${code.substring(5)}`;
+  });
+};
+
+const hashRecoveryCode = (code) => {
+  return crypto
+    .createHash('sha256')
+    .update(String(code).trim().toLowerCase().replace(/\s/g, ''))
+    .digest('hex');
+};
+
+// Secrets are stored encrypted (AES-256-GCM) so a database leak doesn't expose them
+const getEncryptionKey = () => {
+  return crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, authTag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,31 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+const twoFactorController = require('../controllers/twoFactorController');
+const { auth } = require('../middleware/auth');
+const {
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable
+} = require('../middleware/validation');
+
+// Limit code guesses per IP
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 requests per windowMs
+  message: 'Too many authentication attempts, please try again later.'
+});
+
+// Second step of login: POST /login answers with a challenge token for accounts with 2FA enabled
+router.post('/2fa/verify', twoFactorLimiter, validateTwoFactorLogin, twoFactorController.verifyLogin);
+
+// Enrollment and management
+router.get('/2fa', auth, twoFactorController.getStatus);
+router.get('/2fa/audit', auth, twoFactorController.getAuditLog);
+router.post('/2fa/setup', auth, twoFactorController.setup);
+router.post('/2fa/enable', auth, twoFactorLimiter, validateTwoFactorCode, twoFactorController.enable);
+router.post('/2fa/disable', auth, twoFactorLimiter, validateTwoFactorDisable, twoFactorController.disable);
+router.post('/2fa/recovery-codes', auth, twoFactorLimiter, validateTwoFactorCode, twoFactorController.regenerateRecoveryCodes);
+
+module.exports = router;
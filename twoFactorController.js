@@ -0,0 +1,336 @@
+const { validationResult } = require('express-validator');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret
+} = require('../utils/totp');
+const { verifyTwoFactorChallengeToken } = require('../utils/jwt');
+const { startSession } = require('../utils/sessionTokens');
+const { isTwoFactorRequired } = require('../middleware/twoFactorPolicy');
+
+// Secret fields are unselected by default
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array(),
+      success: false
+    });
+    return true;
+  }
+  return false;
+};
+
+// Second step of login: exchange a challenge token and code for a session
+const verifyLogin = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallengeToken(req.body.challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        message: 'Login challenge has expired, please sign in again',
+        success: false
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        message: 'Login challenge has expired, please sign in again',
+        success: false
+      });
+    }
+
+    const method = user.verifyTwoFactorCode(req.body.code);
+    if (!method) {
+      return res.status(401).json({
+        message: 'Invalid authentication code',
+        success: false
+      });
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    if (method === 'recovery') {
+      await user.recordTwoFactorEvent('recovery_code_used', req);
+    }
+
+    const { token, refreshToken } = await startSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      success: true,
+      data: {
+        user: user.getPublicProfile(),
+        token,
+        refreshToken,
+        recoveryCodesRemaining: method === 'recovery' ? user.twoFactor.recoveryCodes.length : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      message: 'Login failed',
+      success: false
+    });
+  }
+};
+
+// Get the current user's 2FA status
+const getStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      message: 'Two-factor status retrieved successfully',
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+        required: isTwoFactorRequired(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve two-factor status',
+      success: false
+    });
+  }
+};
+
+// Start enrollment: generate a secret and return it as an otpauth URI and QR code
+const setup = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        message: 'Two-factor authentication is already enabled',
+        success: false
+      });
+    }
+
+    const secret = generateSecret();
+    const otpauthUri = buildOtpauthUri(secret, user.email);
+
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+    await user.recordTwoFactorEvent('setup_started', req);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      success: true,
+      data: {
+        secret,
+        otpauthUri,
+        qrCode: await QRCode.toDataURL(otpauthUri)
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      message: 'Failed to start two-factor setup',
+      success: false
+    });
+  }
+};
+
+// Finish enrollment: confirm a code from the app and issue recovery codes
+const enable = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        message: 'Two-factor authentication is already enabled',
+        success: false
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        message: 'Start two-factor setup first',
+        success: false
+      });
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        message: 'Invalid authentication code',
+        success: false
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.createRecoveryCodes();
+    await user.save();
+    await user.recordTwoFactorEvent('enabled', req);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      success: true,
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      message: 'Failed to enable two-factor authentication',
+      success: false
+    });
+  }
+};
+
+// Turn 2FA off (requires the password and a current code)
+const disable = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled',
+        success: false
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is required for your role and cannot be disabled',
+        code: 'TWO_FACTOR_REQUIRED',
+        success: false
+      });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        message: 'Invalid password or authentication code',
+        success: false
+      });
+    }
+
+    user.twoFactor = {
+      enabled: false,
+      enabledAt: null,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: null
+    };
+    await user.save();
+    await user.recordTwoFactorEvent('disabled', req);
+
+    res.json({
+      message: 'Two-factor authentication disabled',
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      message: 'Failed to disable two-factor authentication',
+      success: false
+    });
+  }
+};
+
+// Replace all recovery codes (requires a current code)
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled',
+        success: false
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        message: 'Invalid authentication code',
+        success: false
+      });
+    }
+
+    const recoveryCodes = user.createRecoveryCodes();
+    await user.save();
+    await user.recordTwoFactorEvent('recovery_codes_regenerated', req);
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      success: true,
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      message: 'Failed to regenerate recovery codes',
+      success: false
+    });
+  }
+};
+
+// Get the 2FA audit log of the current user (newest first)
+const getAuditLog = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorAudit');
+
+    res.json({
+      message: 'Two-factor audit log retrieved successfully',
+      success: true,
+      data: {
+        events: [...user.twoFactorAudit].reverse()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor audit log error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve two-factor audit log',
+      success: false
+    });
+  }
+};
+
+module.exports = {
+  verifyLogin,
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  getAuditLog
+};
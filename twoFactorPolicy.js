@@ -0,0 +1,27 @@
+const { isTwoFactorRequired } = require('../utils/permissions');
+
+// Send the response for users whose role requires 2FA but who haven't enrolled
+const sendTwoFactorRequired = (res) => {
+  res.status(403).json({
+    message: 'Two-factor authentication is required for your role. Enable it in your profile security settings.',
+    code: 'TWO_FACTOR_REQUIRED',
+    success: false
+  });
+};
+
+// Block users whose role requires 2FA until they have enrolled
+// Privileged permissions are also withheld by `can`, so this only guards whole route groups
+// Must run after `auth` so req.user is set
+const requireTwoFactorForRole = (req, res, next) => {
+  if (!isTwoFactorRequired(req.user) || (req.user.twoFactor && req.user.twoFactor.enabled)) {
+    return next();
+  }
+
+  sendTwoFactorRequired(res);
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  sendTwoFactorRequired,
+  requireTwoFactorForRole
+};
@@ -0,0 +1,186 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { postsAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const AUTOSAVE_INTERVAL = 10 * 1000;
+
+// Editor fields kept in a draft, in a fixed order so drafts can be compared as JSON
+const DRAFT_FIELDS = [
+  'title', 'content', 'isMarkdown', 'excerpt', 'tags', 'categories', 'seo', 'featuredImage', 'series', 'scheduledAt',
+];
+
+const pickDraft = (source) => Object.fromEntries(DRAFT_FIELDS.map((field) => [field, source[field] ?? null]));
+
+// Local drafts are kept per user, so another account on the same browser never sees them
+const storageKey = (userId, draftId) => `postDraft:${userId}:${draftId}`;
+
+// Key of local drafts saved before they were kept per user
+const legacyStorageKey = (draftId) => `postDraft:${draftId}`;
+
+// `key` is null without a signed-in user; nothing is kept locally then
+const readLocalDraft = (key) => {
+  if (!key) return null;
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+};
+
+const writeLocalDraft = (key, draft) => {
+  if (!key) return;
+  try {
+    localStorage.setItem(key, JSON.stringify(draft));
+  } catch {
+    // Storage full or disabled: the server draft is all we have
+  }
+};
+
+const removeLocalDraft = (key) => key && localStorage.removeItem(key);
+
+// Autosave of the post editor
+// Every few seconds a changed editor state is saved to the user's server-side draft
+// of the post (`draftId` is the post id or 'new'), which never touches the post itself.
+// When the request fails or the browser is offline the state is kept in localStorage
+// and sent once the connection is back.
+// On load, a draft newer than the post's last save is offered as `recovered`;
+// `restore` hands its data to `onRestore`, `discard` drops it. Saving waits until
+// that choice is made, `ready` is true (the editor holds the post) and `paused` is false.
+// Call `clear` once the post has been saved.
+const useAutosave = ({ draftId, data, onRestore, ready = true, paused = false }) => {
+  const { user } = useAuth();
+  const localKey = user ? storageKey(user._id, draftId) : null;
+  const [status, setStatus] = useState('idle'); // idle | saving | saved | local
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const [recovered, setRecovered] = useState(null); // { data, savedAt, local }
+  const [checked, setChecked] = useState(false);
+
+  const serialized = JSON.stringify(pickDraft(data));
+  const latestRef = useRef(serialized);
+  latestRef.current = serialized;
+  // Editor state last saved (or loaded), so unchanged state isn't saved again
+  const lastSavedRef = useRef(null);
+
+  // Look for unsaved changes from an earlier session
+  useEffect(() => {
+    if (!ready) return undefined;
+    let cancelled = false;
+
+    const check = async () => {
+      // A draft under the old key may belong to anyone who used this browser
+      removeLocalDraft(legacyStorageKey(draftId));
+      const local = readLocalDraft(localKey);
+      let server = null;
+      let postModifiedAt = null;
+      try {
+        const response = await postsAPI.getDraft(draftId);
+        server = response.data.draft;
+        postModifiedAt = response.data.postModifiedAt;
+      } catch {
+        // Offline: only the local draft can be recovered
+      }
+      if (cancelled) return;
+
+      const newest = [
+        server && { data: pickDraft(server), savedAt: server.savedAt, local: false },
+        local && { data: pickDraft(local.data), savedAt: local.savedAt, local: true },
+      ]
+        .filter(Boolean)
+        .filter((draft) => !postModifiedAt || new Date(draft.savedAt) > new Date(postModifiedAt))
+        .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt))[0];
+
+      lastSavedRef.current = latestRef.current;
+      if (newest && JSON.stringify(newest.data) !== latestRef.current) {
+        setRecovered(newest);
+      }
+      setChecked(true);
+    };
+
+    check();
+    return () => {
+      cancelled = true;
+    };
+  }, [draftId, localKey, ready]);
+
+  const save = useCallback(async () => {
+    const current = latestRef.current;
+    if (current === lastSavedRef.current) return;
+
+    const draft = JSON.parse(current);
+    const savedAt = new Date().toISOString();
+    lastSavedRef.current = current;
+    setStatus('saving');
+
+    // Kept locally first so a closed tab or a failed request loses nothing
+    writeLocalDraft(localKey, { data: draft, savedAt });
+
+    try {
+      if (!navigator.onLine) throw new Error('Offline');
+      const response = await postsAPI.saveDraft(draftId, draft);
+      removeLocalDraft(localKey);
+      setLastSavedAt(new Date(response.data.savedAt));
+      setStatus('saved');
+    } catch {
+      setLastSavedAt(new Date(savedAt));
+      setStatus('local');
+    }
+  }, [draftId, localKey]);
+
+  const active = ready && checked && !recovered && !paused;
+
+  useEffect(() => {
+    if (!active) return undefined;
+
+    const timer = setInterval(save, AUTOSAVE_INTERVAL);
+
+    // Send the locally kept state once the connection is back
+    const handleOnline = () => {
+      lastSavedRef.current = null;
+      save();
+    };
+
+    // The tab may be closed before the next save; keep the latest state locally
+    const keepLocally = () => {
+      if (latestRef.current !== lastSavedRef.current) {
+        writeLocalDraft(localKey, { data: JSON.parse(latestRef.current), savedAt: new Date().toISOString() });
+      }
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') keepLocally();
+    };
+
+    window.addEventListener('online', handleOnline);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', keepLocally);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', handleOnline);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', keepLocally);
+    };
+  }, [active, save, localKey]);
+
+  const restore = () => {
+    onRestore(recovered.data);
+    // The restored state is saved to the server on the next tick
+    lastSavedRef.current = null;
+    setRecovered(null);
+  };
+
+  const discard = () => {
+    postsAPI.discardDraft(draftId).catch(() => {});
+    removeLocalDraft(localKey);
+    lastSavedRef.current = latestRef.current;
+    setRecovered(null);
+  };
+
+  const clear = useCallback(() => {
+    removeLocalDraft(localKey);
+    lastSavedRef.current = latestRef.current;
+    setStatus('idle');
+  }, [localKey]);
+
+  return { status, lastSavedAt, recovered, restore, discard, clear };
+};
+
+export default useAutosave;
@@ -0,0 +1,10 @@
+import { useAuth } from '../contexts/AuthContext';
+
+// Whether the signed-in user's role grants a permission (matrix is defined by the API)
+const usePermission = (permission) => {
+  const { user } = useAuth();
+  const permissions = user?.permissions || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+export default usePermission;
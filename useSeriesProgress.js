@@ -0,0 +1,36 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const STORAGE_KEY = 'seriesProgress';
+
+const readProgress = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+// Parts of a series the reader has opened, kept in localStorage per series ID
+const useSeriesProgress = (seriesId) => {
+  const [readParts, setReadParts] = useState(() => readProgress()[seriesId] || []);
+
+  useEffect(() => {
+    setReadParts(readProgress()[seriesId] || []);
+  }, [seriesId]);
+
+  const markRead = useCallback((postId) => {
+    if (!seriesId || !postId) return;
+
+    const progress = readProgress();
+    const parts = progress[seriesId] || [];
+    if (parts.includes(postId)) return;
+
+    progress[seriesId] = [...parts, postId];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+    setReadParts(progress[seriesId]);
+  }, [seriesId]);
+
+  return { readParts, markRead };
+};
+
+export default useSeriesProgress;
@@ -121,12 +121,68 @@ const validateRefreshToken = [
     .withMessage('Refresh token is required')
 ];
 
+// Validation for forgot password request
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
+// Validation for password reset
+const validateResetPassword = [
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.password) {
+        throw new Error('Password confirmation does not match password');
+      }
+      return true;
+    })
+];
+
+// Validation for a two-factor code (TOTP or recovery code)
+const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+];
+
+// Validation for the second step of a two-factor login
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Login challenge is required'),
+
+  ...validateTwoFactorCode
+];
+
+// Validation for turning two-factor authentication off
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  ...validateTwoFactorCode
+];
+
 module.exports = {
   validateRegister,
   validateLogin,
   validateProfileUpdate,
   validatePasswordChange,
-  validateRefreshToken
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable
 };
 
 
@@ -170,15 +226,39 @@ const validateCreatePost = [
     .withMessage('Categories must be an array'),
   
   body('categories.*')
+    .isMongoId()
+    .withMessage('Each category must be a valid category ID'),
+  
+  body('coAuthors')
     .optional()
-    .trim()
-    .isLength({ max: 100 })
-    .withMessage('Each category cannot exceed 100 characters'),
+    .isArray({ max: 20 })
+    .withMessage('Co-authors must be an array of at most 20 entries'),
+  
+  body('coAuthors.*.user')
+    .isMongoId()
+    .withMessage('Each co-author must reference a valid user ID'),
+  
+  body('coAuthors.*.role')
+    .optional()
+    .isIn(['writer', 'editor', 'photographer'])
+    .withMessage('Co-author role must be writer, editor, or photographer'),
+  
+  body('coAuthors.*.order')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Co-author order must be a non-negative integer')
+    .toInt(),
+  
+  body('series')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Series must be a valid series ID'),
   
   body('isMarkdown')
     .optional()
     .isBoolean()
-    .withMessage('isMarkdown must be a boolean'),
+    .withMessage('isMarkdown must be a boolean')
+    .toBoolean(),
   
   body('seo.metaTitle')
     .optional()
@@ -191,9 +271,15 @@ const validateCreatePost = [
     .withMessage('Meta description cannot exceed 160 characters'),
   
   body('scheduledAt')
-    .optional()
+    .optional({ values: 'null' })
     .isISO8601()
-    .withMessage('Scheduled date must be a valid ISO 8601 date'),
+    .withMessage('Scheduled date must be a valid ISO 8601 date')
+    .custom(value => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Scheduled date must be in the future');
+      }
+      return true;
+    }),
   
   body('featuredImage.url')
     .optional()
@@ -227,10 +313,12 @@ const validateUpdatePost = [
     .isLength({ max: 500 })
     .withMessage('Excerpt cannot exceed 500 characters'),
   
+  // Review statuses are accepted so a post under review can be saved unchanged;
+  // moving into them goes through the review endpoints
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived'),
+    .isIn(['draft', 'in_review', 'changes_requested', 'published', 'archived'])
+    .withMessage('Status must be draft, in_review, changes_requested, published, or archived'),
   
   body('tags')
     .optional()
@@ -249,15 +337,39 @@ const validateUpdatePost = [
     .withMessage('Categories must be an array'),
   
   body('categories.*')
+    .isMongoId()
+    .withMessage('Each category must be a valid category ID'),
+  
+  body('coAuthors')
     .optional()
-    .trim()
-    .isLength({ max: 100 })
-    .withMessage('Each category cannot exceed 100 characters'),
+    .isArray({ max: 20 })
+    .withMessage('Co-authors must be an array of at most 20 entries'),
+  
+  body('coAuthors.*.user')
+    .isMongoId()
+    .withMessage('Each co-author must reference a valid user ID'),
+  
+  body('coAuthors.*.role')
+    .optional()
+    .isIn(['writer', 'editor', 'photographer'])
+    .withMessage('Co-author role must be writer, editor, or photographer'),
+  
+  body('coAuthors.*.order')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Co-author order must be a non-negative integer')
+    .toInt(),
+  
+  body('series')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Series must be a valid series ID'),
   
   body('isMarkdown')
     .optional()
     .isBoolean()
-    .withMessage('isMarkdown must be a boolean'),
+    .withMessage('isMarkdown must be a boolean')
+    .toBoolean(),
   
   body('seo.metaTitle')
     .optional()
@@ -270,7 +382,7 @@ const validateUpdatePost = [
     .withMessage('Meta description cannot exceed 160 characters'),
   
   body('scheduledAt')
-    .optional()
+    .optional({ values: 'null' })
     .isISO8601()
     .withMessage('Scheduled date must be a valid ISO 8601 date'),
   
@@ -286,14 +398,328 @@ const validateUpdatePost = [
     .withMessage('Featured image alt text cannot exceed 200 characters')
 ];
 
+// Validation for rendering a content preview
+const validatePreviewContent = [
+  body('content')
+    .isString()
+    .withMessage('Content must be a string'),
+
+  body('isMarkdown')
+    .optional()
+    .isBoolean()
+    .withMessage('isMarkdown must be a boolean')
+    .toBoolean()
+];
+
+// Validation for autosaved drafts
+// Drafts hold work in progress, so only types and sizes are checked
+const validateSaveDraft = [
+  body('title')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+
+  body('content')
+    .optional()
+    .isString()
+    .withMessage('Content must be a string'),
+
+  body('isMarkdown')
+    .optional()
+    .isBoolean()
+    .withMessage('isMarkdown must be a boolean')
+    .toBoolean(),
+
+  body('excerpt')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Excerpt cannot exceed 500 characters'),
+
+  body('tags')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Tags must be an array'),
+
+  body('tags.*')
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Each tag cannot exceed 50 characters'),
+
+  body('categories')
+    .optional()
+    .isArray()
+    .withMessage('Categories must be an array'),
+
+  body('categories.*')
+    .isMongoId()
+    .withMessage('Each category must be a valid category ID'),
+
+  body('seo.metaTitle')
+    .optional()
+    .isString()
+    .withMessage('Meta title must be a string'),
+
+  body('seo.metaDescription')
+    .optional()
+    .isString()
+    .withMessage('Meta description must be a string'),
+
+  body('featuredImage')
+    .optional()
+    .isString()
+    .withMessage('Featured image must be a URL'),
+
+  body('series')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Series must be a valid series ID'),
+
+  body('scheduledAt')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Scheduled time must be a valid date')
+];
+
+// Validation for review actions (submit/approve)
+const validateReviewNote = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Review note cannot exceed 2000 characters')
+];
+
+// Validation for requesting changes (a note is required)
+const validateRequestChanges = [
+  body('note')
+    .trim()
+    .notEmpty()
+    .withMessage('Please describe the changes you are requesting')
+    .isLength({ max: 2000 })
+    .withMessage('Review note cannot exceed 2000 characters')
+];
+
+// Validation for editorial annotations
+const validateCreateAnnotation = [
+  body('body')
+    .trim()
+    .notEmpty()
+    .withMessage('Annotation text is required')
+    .isLength({ max: 2000 })
+    .withMessage('Annotation cannot exceed 2000 characters'),
+
+  body('anchor.start')
+    .isInt({ min: 0 })
+    .withMessage('Anchor start must be a non-negative integer'),
+
+  body('anchor.end')
+    .isInt({ min: 0 })
+    .withMessage('Anchor end must be a non-negative integer')
+    .custom((value, { req }) => {
+      if (parseInt(value) <= parseInt(req.body.anchor.start)) {
+        throw new Error('Anchor end must be after its start');
+      }
+      return true;
+    }),
+
+  body('anchor.quote')
+    .isString()
+    .notEmpty()
+    .withMessage('Annotated text is required')
+    .isLength({ max: 1000 })
+    .withMessage('Annotated text cannot exceed 1000 characters'),
+
+  body(['anchor.prefix', 'anchor.suffix'])
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Anchor context cannot exceed 200 characters')
+];
+
+// Validation for annotation replies
+const validateAnnotationReply = [
+  body('body')
+    .trim()
+    .notEmpty()
+    .withMessage('Reply text is required')
+    .isLength({ max: 2000 })
+    .withMessage('Reply cannot exceed 2000 characters')
+];
+
+// Validation for category fields shared by create and update
+const categoryFieldRules = [
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Parent must be a valid category ID'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+
+  body('coverImage.url')
+    .optional({ values: 'falsy' })
+    .isURL()
+    .withMessage('Cover image URL must be valid'),
+
+  body('coverImage.alt')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Cover image alt text cannot exceed 200 characters'),
+
+  body('sortOrder')
+    .optional()
+    .isInt()
+    .withMessage('Sort order must be an integer')
+    .toInt()
+];
+
+// Validation for category creation
+const validateCreateCategory = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+
+  ...categoryFieldRules
+];
+
+// Validation for category update
+const validateUpdateCategory = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+
+  ...categoryFieldRules
+];
+
+// Validation for series creation
+const validateCreateSeries = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Title is required')
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters')
+];
+
+// Validation for series update (posts is the full list of parts in reading order)
+const validateUpdateSeries = [
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Title cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+
+  body('posts')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Posts must be an array of at most 100 entries'),
+
+  body('posts.*')
+    .isMongoId()
+    .withMessage('Each part must be a valid post ID')
+];
+
+// Validation for tag description and aliases
+const validateUpdateTag = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('aliases')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Aliases must be an array of at most 50 entries'),
+
+  body('aliases.*')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each alias must be between 1 and 50 characters')
+];
+
+// Validation for tag rename
+const validateRenameTag = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 50 })
+    .withMessage('Tag cannot exceed 50 characters')
+];
+
+// Validation for tag merge
+const validateMergeTags = [
+  body('sources')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Sources must be an array of 1 to 50 tags'),
+
+  body('sources.*')
+    .trim()
+    .notEmpty()
+    .withMessage('Source tags cannot be empty'),
+
+  body('target')
+    .trim()
+    .notEmpty()
+    .withMessage('Target tag is required')
+    .isLength({ max: 50 })
+    .withMessage('Tag cannot exceed 50 characters')
+];
+
 module.exports = {
   validateRegister,
   validateLogin,
   validateProfileUpdate,
   validatePasswordChange,
   validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
   validateCreatePost,
-  validateUpdatePost
+  validateUpdatePost,
+  validatePreviewContent,
+  validateSaveDraft,
+  validateReviewNote,
+  validateRequestChanges,
+  validateCreateAnnotation,
+  validateAnnotationReply,
+  validateCreateSeries,
+  validateUpdateSeries,
+  validateCreateCategory,
+  validateUpdateCategory,
+  validateUpdateTag,
+  validateRenameTag,
+  validateMergeTags
 };
 
 
@@ -341,8 +767,26 @@ module.exports = {
   validateProfileUpdate,
   validatePasswordChange,
   validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
   validateCreatePost,
   validateUpdatePost,
+  validatePreviewContent,
+  validateSaveDraft,
+  validateReviewNote,
+  validateRequestChanges,
+  validateCreateAnnotation,
+  validateAnnotationReply,
+  validateCreateSeries,
+  validateUpdateSeries,
+  validateCreateCategory,
+  validateUpdateCategory,
+  validateUpdateTag,
+  validateRenameTag,
+  validateMergeTags,
   validateCreateComment,
   validateUpdateComment,
   validateModerateComment
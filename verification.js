@@ -0,0 +1,19 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+const verificationController = require('../controllers/verificationController');
+const { auth } = require('../middleware/auth');
+
+// Limit verification email requests per IP on top of the per-user cooldown
+const resendLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 requests per windowMs
+  message: 'Too many verification emails requested, please try again later.'
+});
+
+// Email verification routes
+router.get('/verify-email/:token', verificationController.verifyEmail);
+router.post('/resend-verification', auth, resendLimiter, verificationController.resendVerification);
+
+module.exports = router;
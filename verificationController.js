@@ -0,0 +1,110 @@
+const User = require('../models/User');
+const { verifyEmailVerificationToken } = require('../utils/jwt');
+const { sendVerificationEmail } = require('../utils/emails');
+
+// Minimum time between verification emails for one user
+const RESEND_COOLDOWN_MS = (parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN) || 60) * 1000;
+
+// Verify email address from the emailed token
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    let decoded;
+    try {
+      decoded = verifyEmailVerificationToken(token);
+    } catch (error) {
+      return res.status(400).json({
+        message: error.name === 'TokenExpiredError'
+          ? 'Verification link has expired'
+          : 'Invalid verification link',
+        success: false
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    // Tokens issued for a previous email address are no longer valid
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        message: 'Invalid verification link',
+        success: false
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await user.save();
+    }
+
+    res.json({
+      message: 'Email verified successfully',
+      success: true,
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      message: 'Failed to verify email',
+      success: false
+    });
+  }
+};
+
+// Resend the verification email to the current user
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found',
+        success: false
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        message: 'Email is already verified',
+        success: false
+      });
+    }
+
+    const elapsed = user.emailVerificationSentAt
+      ? Date.now() - user.emailVerificationSentAt.getTime()
+      : Infinity;
+
+    if (elapsed < RESEND_COOLDOWN_MS) {
+      const retryAfter = Math.ceil((RESEND_COOLDOWN_MS - elapsed) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: `Please wait ${retryAfter} seconds before requesting another email`,
+        success: false,
+        data: { retryAfter }
+      });
+    }
+
+    user.emailVerificationSentAt = new Date();
+    await user.save();
+    await sendVerificationEmail(user);
+
+    res.json({
+      message: 'Verification email sent',
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      message: 'Failed to send verification email',
+      success: false
+    });
+  }
+};
+
+module.exports = {
+  verifyEmail,
+  resendVerification
+};
@@ -0,0 +1,36 @@
+// Actions gated behind a verified email, e.g. REQUIRE_VERIFIED_EMAIL=publish,comment
+const isVerificationRequired = (action) => {
+  return (process.env.REQUIRE_VERIFIED_EMAIL || '')
+    .split(',')
+    .map(item => item.trim())
+    .includes(action);
+};
+
+// Block an action for users whose email address is not verified
+// `appliesTo` narrows the check to matching requests
+const requireVerifiedEmail = (action, description, appliesTo = () => true) => (req, res, next) => {
+  if (!isVerificationRequired(action) || !appliesTo(req) || (req.user && req.user.emailVerified)) {
+    return next();
+  }
+
+  res.status(403).json({
+    message: `Please verify your email address before ${description}`,
+    code: 'EMAIL_NOT_VERIFIED',
+    success: false
+  });
+};
+
+// Publishing covers publishing directly and scheduling for later
+const requireVerifiedEmailToPublish = requireVerifiedEmail(
+  'publish',
+  'publishing posts',
+  req => req.body.status === 'published' || !!req.body.scheduledAt
+);
+
+const requireVerifiedEmailToComment = requireVerifiedEmail('comment', 'commenting');
+
+module.exports = {
+  requireVerifiedEmail,
+  requireVerifiedEmailToPublish,
+  requireVerifiedEmailToComment
+};